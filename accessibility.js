@@ -0,0 +1,77 @@
+// --- ACCESSIBILITY ---
+// Colour palettes for effects and markers, and the screen-reader announcer.
+// Effects never rely on colour alone (each also has its own symbol), but the
+// palettes keep the important pairs apart for the common kinds of colour blindness.
+
+// Each palette fills the same roles:
+//     danger   crashes and predicted impacts     reward    stars and score
+//     comet    comet impacts                     bonus     bonus pickups, aim and trajectory
+//     planet   planet impacts                    speed     speed pickups
+//     success  level complete                   fuel      fuel pickups and gauge
+const COLOR_PALETTES = {
+    default: {
+        danger: '#FF4444',
+        comet: '#FF6B00',
+        planet: '#8A2BE2',
+        reward: '#FFD700',
+        bonus: '#00FFFF',
+        speed: '#FF69B4',
+        success: '#00FF00',
+        fuel: '#ADFF2F'
+    },
+    // Okabe-Ito colours, for deuteranopia and protanopia
+    redGreen: {
+        danger: '#D55E00',
+        comet: '#E69F00',
+        planet: '#0072B2',
+        reward: '#F0E442',
+        bonus: '#56B4E9',
+        speed: '#CC79A7',
+        success: '#009E73',
+        fuel: '#FFFFFF'
+    },
+    // Red/cyan/magenta contrasts, for tritanopia
+    blueYellow: {
+        danger: '#E41A1C',
+        comet: '#FF8C69',
+        planet: '#984EA3',
+        reward: '#FFFFFF',
+        bonus: '#00CED1',
+        speed: '#F781BF',
+        success: '#4DAF4A',
+        fuel: '#A6D854'
+    }
+};
+const DEFAULT_PALETTE = 'default';
+const ANNOUNCE_DELAY_MS = 100; // Lets messages from the same moment be read as one
+
+// Unknown names fall back to the default palette
+function getColorPalette(name) {
+    return COLOR_PALETTES[name] || COLOR_PALETTES[DEFAULT_PALETTE];
+}
+
+// Writes messages into an aria-live region. Messages sent close together are
+// joined, and the region is cleared first so a repeated message is read again.
+class Announcer {
+    constructor(element) {
+        this.element = element;
+        this.pending = [];
+        this.timer = null;
+    }
+
+    announce(message) {
+        this.pending.push(message);
+        if (this.timer !== null) return;
+
+        this.element.textContent = '';
+        this.timer = setTimeout(() => {
+            this.element.textContent = this.pending.join('. ');
+            this.pending = [];
+            this.timer = null;
+        }, ANNOUNCE_DELAY_MS);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { COLOR_PALETTES, DEFAULT_PALETTE, ANNOUNCE_DELAY_MS, getColorPalette, Announcer };
+}
@@ -0,0 +1,278 @@
+// --- PROCEDURAL AUDIO ---
+// Every sound is synthesized with Web Audio at runtime; there are no sample files.
+// Effects play into the sfx bus and the ambient drone into the music bus, and both
+// feed the master bus, which is what mute silences.
+
+const AUDIO_DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.8 };
+const AUDIO_RAMP_SECONDS = 0.05; // Volume changes glide instead of clicking
+const AUDIO_SILENCE = 0.0001; // Exponential ramps can't reach 0
+const DRONE_BASE_FREQUENCY = 55; // Hz with the ship at rest
+const DRONE_FREQUENCY_PER_SPEED = 9; // Hz per base unit of speed per tick
+const DRONE_MAX_FREQUENCY = 220;
+const DRONE_VOLUME = 0.18;
+const DRONE_GLIDE_SECONDS = 0.15;
+
+class AudioEngine {
+    constructor() {
+        this.context = null;
+        this.buses = null;
+        this.drone = null;
+        this.noiseBuffer = null;
+        this.volumes = { ...AUDIO_DEFAULT_VOLUMES };
+        this.muted = false;
+        this.held = false; // Suspended by the game (PAUSED) rather than by the browser
+    }
+
+    // Browsers only let audio start from a user gesture, so this runs on the first one
+    unlock() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return;
+
+            this.context = new AudioContextClass();
+            this.createBuses();
+            this.noiseBuffer = this.createNoiseBuffer();
+            this.startDrone();
+            if (this.held) this.context.suspend();
+        }
+        if (!this.held && this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    createBuses() {
+        const ctx = this.context;
+        const master = ctx.createGain();
+        const music = ctx.createGain();
+        const sfx = ctx.createGain();
+        music.connect(master);
+        sfx.connect(master);
+        master.connect(ctx.destination);
+        this.buses = { master, music, sfx };
+        this.applyVolumes();
+    }
+
+    // One second of white noise, reused by every noisy effect
+    createNoiseBuffer() {
+        const ctx = this.context;
+        const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    applyVolumes() {
+        if (!this.buses) return;
+        const now = this.context.currentTime;
+        for (const name of Object.keys(this.buses)) {
+            const level = name === 'master' && this.muted ? 0 : this.volumes[name];
+            this.buses[name].gain.setTargetAtTime(level, now, AUDIO_RAMP_SECONDS);
+        }
+    }
+
+    // Set the master, music or sfx bus volume (0-1)
+    setVolume(bus, value) {
+        if (!(bus in this.volumes)) return;
+        this.volumes[bus] = Math.min(1, Math.max(0, value));
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    // Stop all sound until resume(), e.g. while the game is paused
+    suspend() {
+        this.held = true;
+        if (this.context) this.context.suspend();
+    }
+
+    resume() {
+        this.held = false;
+        if (this.context) this.context.resume();
+    }
+
+    isRunning() {
+        return this.context !== null && this.context.state === 'running';
+    }
+
+    // --- BUILDING BLOCKS ---
+
+    // An oscillator with a pitch sweep and a quick attack / exponential decay
+    playTone({ type = 'sine', frequency, endFrequency = frequency, duration, volume, delay = 0 }) {
+        if (!this.isRunning()) return;
+        const ctx = this.context;
+        const start = ctx.currentTime + delay;
+
+        const oscillator = ctx.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+
+        const gain = this.createEnvelope(start, duration, volume);
+        oscillator.connect(gain);
+        oscillator.start(start);
+        oscillator.stop(start + duration);
+    }
+
+    // Filtered noise with a sweeping cutoff, for impacts and whooshes
+    playNoise({ filterType = 'lowpass', frequency, endFrequency = frequency, q = 1, duration, volume, delay = 0, attack }) {
+        if (!this.isRunning()) return;
+        const ctx = this.context;
+        const start = ctx.currentTime + delay;
+
+        const source = ctx.createBufferSource();
+        source.buffer = this.noiseBuffer;
+        source.loop = true;
+
+        const filter = ctx.createBiquadFilter();
+        filter.type = filterType;
+        filter.Q.value = q;
+        filter.frequency.setValueAtTime(frequency, start);
+        filter.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+
+        const gain = this.createEnvelope(start, duration, volume, attack);
+        source.connect(filter);
+        filter.connect(gain);
+        source.start(start);
+        source.stop(start + duration);
+    }
+
+    // Gain node on the sfx bus shaped as attack then decay to silence
+    createEnvelope(start, duration, volume, attack = 0.01) {
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(AUDIO_SILENCE, start);
+        gain.gain.exponentialRampToValueAtTime(volume, start + attack);
+        gain.gain.exponentialRampToValueAtTime(AUDIO_SILENCE, start + duration);
+        gain.connect(this.buses.sfx);
+        return gain;
+    }
+
+    // --- SOUND EFFECTS ---
+
+    // strength is the launch power as a fraction of the maximum
+    playLaunch(strength) {
+        const s = Math.min(1, Math.max(0, strength));
+        this.playTone({ type: 'sawtooth', frequency: 90, endFrequency: 180 + 420 * s, duration: 0.25 + 0.15 * s, volume: 0.15 });
+        this.playNoise({ filterType: 'bandpass', frequency: 600, endFrequency: 2400, q: 0.8, duration: 0.3, volume: 0.2 * (0.5 + s) });
+    }
+
+    playStarPickup() {
+        this.playTone({ type: 'triangle', frequency: 880, endFrequency: 1320, duration: 0.12, volume: 0.25 });
+        this.playTone({ type: 'sine', frequency: 1320, endFrequency: 1760, duration: 0.18, volume: 0.2, delay: 0.07 });
+    }
+
+    // Quick rising sweep with a shimmer on top
+    playPowerUp() {
+        this.playTone({ type: 'square', frequency: 330, endFrequency: 990, duration: 0.2, volume: 0.12 });
+        this.playTone({ type: 'triangle', frequency: 1320, endFrequency: 1980, duration: 0.25, volume: 0.15, delay: 0.12 });
+    }
+
+    // A hollow clang, lighter than a crash
+    playShieldHit() {
+        this.playTone({ type: 'triangle', frequency: 660, endFrequency: 220, duration: 0.4, volume: 0.3 });
+        this.playNoise({ filterType: 'highpass', frequency: 2000, duration: 0.2, volume: 0.25 });
+    }
+
+    // Soft two-note touchdown
+    playLanding() {
+        this.playTone({ type: 'sine', frequency: 392, duration: 0.2, volume: 0.25 });
+        this.playTone({ type: 'sine', frequency: 523.25, duration: 0.3, volume: 0.22, delay: 0.12 });
+        this.playNoise({ frequency: 500, endFrequency: 150, duration: 0.3, volume: 0.15 });
+    }
+
+    // Two quick high beeps, for comets on their way
+    playCometWarning() {
+        this.playTone({ type: 'square', frequency: 1175, duration: 0.08, volume: 0.12 });
+        this.playTone({ type: 'square', frequency: 1175, duration: 0.08, volume: 0.12, delay: 0.14 });
+    }
+
+    // Falling then rising sweep, in one end and out of the other
+    playWormhole() {
+        this.playTone({ type: 'sine', frequency: 880, endFrequency: 220, duration: 0.25, volume: 0.25 });
+        this.playTone({ type: 'sine', frequency: 220, endFrequency: 880, duration: 0.25, volume: 0.25, delay: 0.2 });
+    }
+
+    // A deep thump for planets, a brighter crack for comets
+    playImpact(kind) {
+        if (kind === 'comet') {
+            this.playNoise({ frequency: 4000, endFrequency: 300, duration: 0.5, volume: 0.6 });
+            this.playTone({ type: 'square', frequency: 220, endFrequency: 60, duration: 0.3, volume: 0.15 });
+        } else {
+            this.playNoise({ frequency: 900, endFrequency: 80, duration: 0.8, volume: 0.8 });
+            this.playTone({ type: 'sine', frequency: 110, endFrequency: 35, duration: 0.6, volume: 0.5 });
+        }
+    }
+
+    // Rising major arpeggio
+    playLevelComplete() {
+        [523.25, 659.25, 783.99, 1046.5].forEach((frequency, i) => {
+            this.playTone({ type: 'triangle', frequency, duration: 0.35, volume: 0.22, delay: i * 0.1 });
+        });
+    }
+
+    // closeness is 0 for a pass at the edge of the near-miss range, 1 for a graze
+    playNearMiss(closeness) {
+        const c = Math.min(1, Math.max(0, closeness));
+        this.playNoise({
+            filterType: 'bandpass',
+            frequency: 300,
+            endFrequency: 1500 + 1500 * c,
+            q: 3,
+            duration: 0.45,
+            volume: 0.15 + 0.35 * c,
+            attack: 0.15
+        });
+    }
+
+    // strength is 0 for the smallest slingshot that counts, 1 for a big one
+    playSlingshot(strength) {
+        const s = Math.min(1, Math.max(0, strength));
+        this.playTone({ type: 'sawtooth', frequency: 110, endFrequency: 440 + 440 * s, duration: 0.5, volume: 0.12 });
+        this.playNoise({ filterType: 'bandpass', frequency: 400, endFrequency: 3000, q: 2, duration: 0.5, volume: 0.2 + 0.2 * s, attack: 0.2 });
+    }
+
+    // --- AMBIENT DRONE ---
+
+    // Two detuned oscillators through a lowpass, running for the whole session
+    startDrone() {
+        const ctx = this.context;
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = DRONE_BASE_FREQUENCY * 4;
+        const gain = ctx.createGain();
+        gain.gain.value = DRONE_VOLUME;
+        filter.connect(gain);
+        gain.connect(this.buses.music);
+
+        const oscillators = [0, 7].map(detune => {
+            const oscillator = ctx.createOscillator();
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.value = DRONE_BASE_FREQUENCY;
+            oscillator.detune.value = detune;
+            oscillator.connect(filter);
+            oscillator.start();
+            return oscillator;
+        });
+        this.drone = { oscillators, filter };
+    }
+
+    // speed is in base units per tick; faster ships hum higher and brighter
+    setDroneSpeed(speed) {
+        if (!this.drone || !this.isRunning()) return;
+        const frequency = Math.min(DRONE_MAX_FREQUENCY, DRONE_BASE_FREQUENCY + speed * DRONE_FREQUENCY_PER_SPEED);
+        const now = this.context.currentTime;
+        this.drone.oscillators.forEach(oscillator => {
+            oscillator.frequency.setTargetAtTime(frequency, now, DRONE_GLIDE_SECONDS);
+        });
+        this.drone.filter.frequency.setTargetAtTime(frequency * 4, now, DRONE_GLIDE_SECONDS);
+    }
+}
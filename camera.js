@@ -0,0 +1,116 @@
+// --- CAMERA ---
+// Which part of the world is on screen. The camera eases after the ship, zooms
+// out as it speeds up and carries the screen shake; draw code applies all three
+// as one canvas transform and works in world coordinates underneath it.
+
+const CAMERA_FOLLOW_RATE = 0.1; // Fraction of the way to the target covered per 60 Hz frame
+const CAMERA_ZOOM_RATE = 0.03;
+const CAMERA_MIN_ZOOM = 0.6; // Furthest out the camera pulls back
+const CAMERA_ZOOM_OUT_SPEED = 15; // Ship speed, base units per tick, at which it is fully zoomed out
+const CAMERA_FRAME_MS = 1000 / 60;
+
+class Camera {
+    constructor() {
+        this.x = 0; // World point at the centre of the screen
+        this.y = 0;
+        this.zoom = 1; // Screen pixels per world unit
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.shake = null; // { intensity, remainingMs, durationMs } while shaking
+        this.shakeX = 0;
+        this.shakeY = 0;
+    }
+
+    // Size of the screen the world is drawn into
+    setViewport(width, height) {
+        this.viewWidth = width;
+        this.viewHeight = height;
+    }
+
+    // Jump straight to a point, e.g. at the start of a level
+    centerOn(x, y, zoom = 1) {
+        this.x = x;
+        this.y = y;
+        this.zoom = zoom;
+    }
+
+    // Ease towards a point, and towards the zoom for a speed in base units per tick,
+    // over deltaMs of real time
+    follow(x, y, speed, deltaMs) {
+        const frames = deltaMs / CAMERA_FRAME_MS;
+        const ease = rate => 1 - Math.pow(1 - rate, frames);
+        const targetZoom = 1 - (1 - CAMERA_MIN_ZOOM) * Math.min(1, speed / CAMERA_ZOOM_OUT_SPEED);
+
+        this.x += (x - this.x) * ease(CAMERA_FOLLOW_RATE);
+        this.y += (y - this.y) * ease(CAMERA_FOLLOW_RATE);
+        this.zoom += (targetZoom - this.zoom) * ease(CAMERA_ZOOM_RATE);
+    }
+
+    // Keep the view inside a world of the given size; along an axis where the
+    // world is smaller than the view, it is centred instead
+    clampTo(worldWidth, worldHeight) {
+        const clampAxis = (centre, worldSize, viewSize) => {
+            const half = viewSize / this.zoom / 2;
+            return worldSize <= half * 2 ? worldSize / 2 : Math.min(worldSize - half, Math.max(half, centre));
+        };
+        this.x = clampAxis(this.x, worldWidth, this.viewWidth);
+        this.y = clampAxis(this.y, worldHeight, this.viewHeight);
+    }
+
+    // A stronger shake takes over from a weaker one; a weaker one is ignored
+    startShake(intensity, durationMs) {
+        if (this.shake && this.shake.intensity * this.shake.remainingMs / this.shake.durationMs >= intensity) return;
+        this.shake = { intensity, remainingMs: durationMs, durationMs };
+    }
+
+    // New random offset for this frame, fading out over the shake's duration
+    updateShake(deltaMs, random = Math.random) {
+        if (!this.shake) return;
+        this.shake.remainingMs -= deltaMs;
+        if (this.shake.remainingMs <= 0) {
+            this.shake = null;
+            this.shakeX = 0;
+            this.shakeY = 0;
+            return;
+        }
+        const strength = this.shake.intensity * this.shake.remainingMs / this.shake.durationMs;
+        this.shakeX = (random() * 2 - 1) * strength;
+        this.shakeY = (random() * 2 - 1) * strength;
+    }
+
+    // Part of the world on screen, as a rectangle in world units (shake left out)
+    getViewRect() {
+        const width = this.viewWidth / this.zoom;
+        const height = this.viewHeight / this.zoom;
+        return { x: this.x - width / 2, y: this.y - height / 2, width, height };
+    }
+
+    worldToScreen(x, y) {
+        return {
+            x: (x - this.x) * this.zoom + this.viewWidth / 2 + this.shakeX,
+            y: (y - this.y) * this.zoom + this.viewHeight / 2 + this.shakeY
+        };
+    }
+
+    screenToWorld(x, y) {
+        return {
+            x: (x - this.viewWidth / 2 - this.shakeX) / this.zoom + this.x,
+            y: (y - this.viewHeight / 2 - this.shakeY) / this.zoom + this.y
+        };
+    }
+
+    // Multiply the camera onto a canvas context's current transform
+    applyTo(ctx) {
+        ctx.translate(this.viewWidth / 2 + this.shakeX, this.viewHeight / 2 + this.shakeY);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.x, -this.y);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CAMERA_MIN_ZOOM,
+        CAMERA_ZOOM_OUT_SPEED,
+        Camera
+    };
+}
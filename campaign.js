@@ -0,0 +1,43 @@
+// --- CAMPAIGN ---
+// Hand-authored levels listed by the server's /levels route and played in order
+// before the game falls back to procedural generation.
+
+const CAMPAIGN_INDEX_URL = '/levels';
+
+// Parsed levels in play order; stays empty if the campaign can't be loaded
+let campaignLevels = [];
+
+// One level file, or null if it is missing or broken so only that level is skipped
+function loadCampaignLevel(file) {
+    return fetch(`${CAMPAIGN_INDEX_URL}/${encodeURIComponent(file)}`)
+        .then(response => {
+            if (!response.ok) throw new Error(`Could not fetch ${file} (${response.status})`);
+            return response.text();
+        })
+        .then(text => ({ ...parseLevel(text), id: file }))
+        .catch(err => {
+            console.warn(`Skipping campaign level ${file}:`, err.message);
+            return null;
+        });
+}
+
+function loadCampaign() {
+    return fetch(CAMPAIGN_INDEX_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`Level list request failed (${response.status})`);
+            return response.json();
+        })
+        .then(index => Promise.all(index.levels.map(loadCampaignLevel)))
+        .then(results => {
+            const levels = results.filter(Boolean);
+            campaignLevels = levels;
+            console.log(`✓ Campaign loaded: ${levels.length} levels`);
+            return levels;
+        })
+        .catch(err => {
+            // Without a campaign every level is generated, which is still a full game
+            console.warn('Campaign unavailable, using procedural levels only:', err.message);
+            campaignLevels = [];
+            return campaignLevels;
+        });
+}
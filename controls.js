@@ -0,0 +1,92 @@
+// --- KEYBOARD AND GAMEPAD AIMING ---
+// Pointer-free launching: the aim is an angle that arrow keys or a stick turn,
+// and power is a charge that builds while space or a trigger is held.
+// Launching turns the charge into the same angle/power pair a drag produces.
+
+const AIM_DEFAULT_ANGLE = -Math.PI / 2; // Straight up
+const AIM_TURN_SPEED = Math.PI; // Radians per second while a turn key is held
+const AIM_CHARGE_TIME_MS = 1200; // Time to reach full power
+const AIM_MIN_CHARGE = 0.05; // Releasing below this is treated as a cancelled shot
+
+class AimController {
+    constructor() {
+        this.angle = AIM_DEFAULT_ANGLE;
+        this.charge = 0; // 0-1 fraction of full power
+        this.chargeRate = 0; // 0 when not charging, 1 for a full key press or trigger pull
+        this.turn = 0; // -1 counter-clockwise, 1 clockwise
+        this.active = false; // Whether the reticle should be shown
+    }
+
+    // direction is -1, 0 or 1
+    setTurn(direction) {
+        this.turn = direction;
+        if (direction !== 0) this.active = true;
+    }
+
+    // Point straight at an angle, e.g. from an analog stick
+    setAngle(angle) {
+        this.angle = angle;
+        this.active = true;
+    }
+
+    // rate scales how fast the charge builds; a half-pulled trigger charges at half speed
+    startCharge(rate = 1) {
+        this.chargeRate = rate;
+        this.active = true;
+    }
+
+    // Stop building power but keep what has been charged so far
+    stopCharge() {
+        this.chargeRate = 0;
+    }
+
+    isCharging() {
+        return this.chargeRate > 0;
+    }
+
+    // Advance turning and charging by deltaMs of real time
+    update(deltaMs) {
+        if (this.turn !== 0) {
+            this.angle = normalizeAngle(this.angle + this.turn * AIM_TURN_SPEED * deltaMs / 1000);
+        }
+        if (this.chargeRate > 0) {
+            this.charge = Math.min(1, this.charge + this.chargeRate * deltaMs / AIM_CHARGE_TIME_MS);
+        }
+    }
+
+    // Use up the charge; returns the fraction of full power, or 0 if there wasn't enough
+    release() {
+        const charge = this.charge;
+        this.cancel();
+        return charge >= AIM_MIN_CHARGE ? charge : 0;
+    }
+
+    cancel() {
+        this.charge = 0;
+        this.chargeRate = 0;
+    }
+
+    // Back to the default aim, e.g. when the mouse takes over
+    reset() {
+        this.cancel();
+        this.angle = AIM_DEFAULT_ANGLE;
+        this.turn = 0;
+        this.active = false;
+    }
+}
+
+// Keep angles in (-PI, PI] so they stay comparable after many turns
+function normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AIM_DEFAULT_ANGLE,
+        AIM_TURN_SPEED,
+        AIM_CHARGE_TIME_MS,
+        AIM_MIN_CHARGE,
+        AimController,
+        normalizeAngle
+    };
+}
@@ -0,0 +1,78 @@
+// --- ADAPTIVE DIFFICULTY ---
+// Keeps the player's last few level outcomes (deaths, how quickly levels were cleared
+// and how many near misses it took) and turns them into a pressure from -1, for a
+// player who is struggling, to 1, for one who is cruising. Generated levels are tuned
+// by it within DIFFICULTY_BOUNDS. Fixed difficulty, for competitive runs, holds the
+// pressure at 0, which is the standard formula, and records nothing.
+//
+// The state is plain data, { fixed, outcomes }, with outcomes oldest first, so the
+// profile can keep it between runs and replays can record where a run started.
+
+const DIFFICULTY_HISTORY = 6; // Outcomes remembered
+const DIFFICULTY_PAR_SECONDS = 45; // Clearing a level this fast counts as neither fast nor slow
+const DIFFICULTY_EXPERT_NEAR_MISSES = 4; // Near misses a minute that count as flying with skill
+const DIFFICULTY_NEAR_MISS_WEIGHT = 0.3; // Share of a clear's outcome that comes from near misses
+
+// Multipliers on the standard formula at pressure -1 and 1; 0 is always 1
+const DIFFICULTY_BOUNDS = {
+    planetCount: [0.6, 1.4],
+    planetSpeed: [0.7, 1.4],
+    cometInterval: [1.6, 0.7], // Longer gaps between comet waves for relief
+    starSpawnRate: [1.5, 0.75]
+};
+
+function createDifficultyState(fixed = false, outcomes = []) {
+    return { fixed, outcomes: outcomes.filter(Number.isFinite).slice(-DIFFICULTY_HISTORY) };
+}
+
+// A fixed difficulty doesn't learn, so competitive runs leave the history alone
+function recordOutcome(state, outcome) {
+    if (state.fixed) return;
+    state.outcomes = [...state.outcomes, Math.max(-1, Math.min(1, outcome))].slice(-DIFFICULTY_HISTORY);
+}
+
+// A cleared level: faster than par and with near misses to spare counts towards pressure
+function recordLevelCleared(state, seconds, nearMisses) {
+    const speed = Math.max(-1, Math.min(1, (DIFFICULTY_PAR_SECONDS - seconds) / DIFFICULTY_PAR_SECONDS));
+    const skill = Math.min(1, nearMisses / Math.max(seconds / 60, 1 / 60) / DIFFICULTY_EXPERT_NEAR_MISSES);
+    recordOutcome(state, speed * (1 - DIFFICULTY_NEAR_MISS_WEIGHT) + skill * DIFFICULTY_NEAR_MISS_WEIGHT);
+}
+
+function recordDeath(state) {
+    recordOutcome(state, -1);
+}
+
+// Recent outcomes averaged, the newest counting most
+function getDifficultyPressure(state) {
+    if (state.fixed || state.outcomes.length === 0) return 0;
+    let total = 0;
+    let weights = 0;
+    state.outcomes.forEach((outcome, i) => {
+        total += outcome * (i + 1);
+        weights += i + 1;
+    });
+    return total / weights;
+}
+
+// Multipliers for each knob at the current pressure
+function getDifficultyTuning(state) {
+    const pressure = getDifficultyPressure(state);
+    const tuning = {};
+    for (const [knob, [relief, stress]] of Object.entries(DIFFICULTY_BOUNDS)) {
+        tuning[knob] = 1 + (pressure < 0 ? (1 - relief) * pressure : (stress - 1) * pressure);
+    }
+    return tuning;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIFFICULTY_HISTORY,
+        DIFFICULTY_PAR_SECONDS,
+        DIFFICULTY_BOUNDS,
+        createDifficultyState,
+        recordLevelCleared,
+        recordDeath,
+        getDifficultyPressure,
+        getDifficultyTuning
+    };
+}
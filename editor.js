@@ -0,0 +1,485 @@
+// --- LEVEL EDITOR ---
+// Hand-build levels by placing planets, comets, collectable stars and the ship start.
+// Levels are saved in the shared format from level-format.js.
+
+const EDITOR_HISTORY_LIMIT = 100;
+const EDITOR_RESIZE_HANDLE = 8; // px either side of a planet's edge that grabs it for resizing
+const EDITOR_WHEEL_RESIZE_STEP = 2;
+
+// Editable object kinds and the level array each one lives in
+const EDITOR_TOOLS = {
+    select: null,
+    planet: 'planets',
+    comet: 'comets',
+    star: 'stars',
+    start: 'start'
+};
+
+// Editing model: the level being built, the selection and undo/redo history
+class LevelEditor {
+    constructor() {
+        this.level = createEmptyLevel();
+        this.tool = 'planet';
+        this.planetType = 0;
+        this.selection = null; // { kind: 'planets' | 'comets' | 'stars' | 'start', index }
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    // Call before every change so it can be undone
+    beginChange() {
+        this.undoStack.push(JSON.stringify(this.level));
+        if (this.undoStack.length > EDITOR_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    undo() {
+        if (this.undoStack.length === 0) return false;
+        this.redoStack.push(JSON.stringify(this.level));
+        this.level = JSON.parse(this.undoStack.pop());
+        this.selection = null;
+        return true;
+    }
+
+    redo() {
+        if (this.redoStack.length === 0) return false;
+        this.undoStack.push(JSON.stringify(this.level));
+        this.level = JSON.parse(this.redoStack.pop());
+        this.selection = null;
+        return true;
+    }
+
+    loadLevel(level) {
+        this.beginChange();
+        this.level = level;
+        this.selection = null;
+    }
+
+    getSelected() {
+        if (!this.selection) return null;
+        if (this.selection.kind === 'start') return this.level.start;
+        return this.level[this.selection.kind][this.selection.index] || null;
+    }
+
+    // Add an object at a normalized position and select it
+    addObject(kind, x, y) {
+        this.beginChange();
+        if (kind === 'start') {
+            this.level.start = { x, y };
+            this.selection = { kind: 'start' };
+            return;
+        }
+
+        const object = { x, y };
+        if (kind === 'planets') {
+            Object.assign(object, { radius: LEVEL_DEFAULT_PLANET_RADIUS, type: this.planetType, dx: 0, dy: 0 });
+        } else if (kind === 'comets') {
+            Object.assign(object, { dx: 0, dy: 0 });
+        }
+        this.level[kind].push(object);
+        this.selection = { kind, index: this.level[kind].length - 1 };
+    }
+
+    deleteSelected() {
+        // The ship start can be moved but never removed
+        if (!this.selection || this.selection.kind === 'start') return false;
+        this.beginChange();
+        const [removed] = this.level[this.selection.kind].splice(this.selection.index, 1);
+        if (this.selection.kind === 'planets') {
+            this.reparentMoons(this.selection.index, removed);
+        }
+        this.selection = null;
+        return true;
+    }
+
+    // Planet indices after a removed one shift down; its moons keep circling where it was
+    reparentMoons(removedIndex, removed) {
+        this.level.planets.forEach(planet => {
+            if (!planet.orbit || !Number.isInteger(planet.orbit.parent)) return;
+            if (planet.orbit.parent === removedIndex) {
+                planet.orbit = { ...planet.orbit, parent: null };
+                planet.x = removed.x;
+                planet.y = removed.y;
+            } else if (planet.orbit.parent > removedIndex) {
+                planet.orbit = { ...planet.orbit, parent: planet.orbit.parent - 1 };
+            }
+        });
+    }
+
+    // Find the topmost object under a point; `radiusOf` gives each kind's on-screen radius
+    hitTest(px, py, toScreen, radiusOf) {
+        const candidates = [{ kind: 'start', object: this.level.start }];
+        for (const kind of ['stars', 'comets', 'planets']) {
+            this.level[kind].forEach((object, index) => candidates.push({ kind, index, object }));
+        }
+
+        // Small things are checked first so they stay clickable on top of planets
+        for (const { kind, index, object } of candidates) {
+            const pos = toScreen(object);
+            const radius = radiusOf(kind, object);
+            if (Math.hypot(px - pos.x, py - pos.y) <= radius + EDITOR_RESIZE_HANDLE) {
+                return kind === 'start' ? { kind } : { kind, index };
+            }
+        }
+        return null;
+    }
+}
+
+// Editor session, kept across visits so work isn't lost when test playing
+const levelEditor = new LevelEditor();
+let editorDrag = null; // { mode: 'move' | 'resize', changed, offsetX, offsetY }
+let editorTestPlay = false;
+
+// --- EDITOR UI ELEMENTS ---
+const editorToolbar = document.getElementById('editor-toolbar');
+const editorPlanetTypeSelect = document.getElementById('editor-planet-type');
+const editorDxInput = document.getElementById('editor-dx');
+const editorDyInput = document.getElementById('editor-dy');
+const editorLoadInput = document.getElementById('editor-load');
+const editorNameInput = document.getElementById('editor-name');
+const editorGoalScoreInput = document.getElementById('editor-goal-score');
+const editorGoalStarsInput = document.getElementById('editor-goal-stars');
+const editorParInput = document.getElementById('editor-par');
+
+// --- COORDINATES ---
+
+function editorToScreen(object) {
+    return { x: object.x * canvasWidth, y: object.y * canvasHeight };
+}
+
+function editorRadiusOf(kind, object) {
+    switch (kind) {
+        case 'planets': return object.radius * scale;
+        case 'comets': return COMET_RADIUS * scale;
+        case 'stars': return STAR_RADIUS * scale;
+        default: return PLAYER_RADIUS * scale;
+    }
+}
+
+function getEditorPointer(e) {
+    const source = e.touches ? e.touches[0] : (e.changedTouches ? e.changedTouches[0] : e);
+    return { x: source.clientX, y: source.clientY };
+}
+
+// --- EDITOR ACTIONS ---
+
+function setEditorTool(tool) {
+    levelEditor.tool = tool;
+    editorToolbar.querySelectorAll('[data-tool]').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === tool);
+    });
+}
+
+// Show the selected planet or comet's values in the toolbar
+function syncEditorInputs() {
+    const selected = levelEditor.getSelected();
+    const hasVelocity = selected && (levelEditor.selection.kind === 'planets' || levelEditor.selection.kind === 'comets');
+
+    editorDxInput.disabled = !hasVelocity;
+    editorDyInput.disabled = !hasVelocity;
+    editorDxInput.value = hasVelocity ? selected.dx : '';
+    editorDyInput.value = hasVelocity ? selected.dy : '';
+    if (selected && levelEditor.selection.kind === 'planets') {
+        editorPlanetTypeSelect.value = selected.type;
+    }
+}
+
+// Show the level-wide settings (name, goals, par) in the toolbar
+function syncEditorLevelFields() {
+    const level = levelEditor.level;
+    editorNameInput.value = level.name;
+    editorGoalScoreInput.value = level.goals.score !== undefined ? level.goals.score : '';
+    editorGoalStarsInput.checked = Boolean(level.goals.collectAllStars);
+    editorParInput.value = level.par.join(', ');
+}
+
+// Switch between editing and playing the level as built
+function toggleEditorTestPlay() {
+    if (editorTestPlay) {
+        editorTestPlay = false;
+        game.customLevel = null;
+        gameStateMachine.transition(GAME_STATES.EDITOR);
+        return;
+    }
+
+    editorTestPlay = true;
+    game.customLevel = JSON.parse(JSON.stringify(levelEditor.level));
+    resetRun(game);
+    game.effects = [];
+    updateScore(game.score);
+    gameStateMachine.transition(GAME_STATES.PLAYING); // PLAYING sets up the custom level
+}
+
+function saveEditorLevel() {
+    const blob = new Blob([JSON.stringify(levelEditor.level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${levelEditor.level.name.replace(/[^a-z0-9-_]+/gi, '-') || 'level'}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// --- EDITOR INPUT ---
+
+function handleEditorMouseDown(e) {
+    const pointer = getEditorPointer(e);
+    const hit = levelEditor.hitTest(pointer.x, pointer.y, editorToScreen, editorRadiusOf);
+
+    if (!hit) {
+        const kind = EDITOR_TOOLS[levelEditor.tool];
+        if (kind) {
+            levelEditor.addObject(kind, pointer.x / canvasWidth, pointer.y / canvasHeight);
+        } else {
+            levelEditor.selection = null;
+        }
+        syncEditorInputs();
+        return;
+    }
+
+    levelEditor.selection = hit;
+    syncEditorInputs();
+
+    // Grabbing a planet by its rim resizes it, anywhere else moves the object
+    const selected = levelEditor.getSelected();
+    const pos = editorToScreen(selected);
+    const distance = Math.hypot(pointer.x - pos.x, pointer.y - pos.y);
+    const onRim = hit.kind === 'planets' &&
+        Math.abs(distance - editorRadiusOf('planets', selected)) <= EDITOR_RESIZE_HANDLE;
+
+    editorDrag = {
+        mode: onRim ? 'resize' : 'move',
+        changed: false,
+        offsetX: pointer.x - pos.x,
+        offsetY: pointer.y - pos.y
+    };
+}
+
+function handleEditorMouseMove(e) {
+    if (!editorDrag) return;
+    const pointer = getEditorPointer(e);
+    const selected = levelEditor.getSelected();
+    if (!selected) return;
+
+    // One undo step per drag, taken on the first actual movement
+    if (!editorDrag.changed) {
+        levelEditor.beginChange();
+        editorDrag.changed = true;
+    }
+
+    if (editorDrag.mode === 'resize') {
+        const pos = editorToScreen(selected);
+        const radius = Math.hypot(pointer.x - pos.x, pointer.y - pos.y) / scale;
+        selected.radius = Math.max(PLANET_MIN_RADIUS / 2, Math.min(radius, PLANET_MAX_RADIUS * 3));
+    } else {
+        selected.x = Math.max(0, Math.min(1, (pointer.x - editorDrag.offsetX) / canvasWidth));
+        selected.y = Math.max(0, Math.min(1, (pointer.y - editorDrag.offsetY) / canvasHeight));
+    }
+}
+
+function handleEditorMouseUp() {
+    editorDrag = null;
+}
+
+// Scroll over a planet to resize it
+function handleEditorWheel(e) {
+    const hit = levelEditor.hitTest(e.clientX, e.clientY, editorToScreen, editorRadiusOf);
+    if (!hit || hit.kind !== 'planets') return;
+
+    e.preventDefault();
+    levelEditor.selection = hit;
+    levelEditor.beginChange();
+    const planet = levelEditor.getSelected();
+    const step = e.deltaY < 0 ? EDITOR_WHEEL_RESIZE_STEP : -EDITOR_WHEEL_RESIZE_STEP;
+    planet.radius = Math.max(PLANET_MIN_RADIUS / 2, Math.min(planet.radius + step, PLANET_MAX_RADIUS * 3));
+    syncEditorInputs();
+}
+
+function handleEditorKey(e) {
+    const ctrl = e.ctrlKey || e.metaKey;
+
+    if (ctrl && e.key.toLowerCase() === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) levelEditor.redo(); else levelEditor.undo();
+        syncEditorInputs();
+        syncEditorLevelFields();
+    } else if (ctrl && e.key.toLowerCase() === 'y') {
+        e.preventDefault();
+        levelEditor.redo();
+        syncEditorInputs();
+        syncEditorLevelFields();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        levelEditor.deleteSelected();
+        syncEditorInputs();
+    } else if (e.key.toLowerCase() === 't') {
+        toggleEditorTestPlay();
+    } else if (e.key === 'Escape') {
+        gameStateMachine.transition(GAME_STATES.START);
+    }
+}
+
+// --- EDITOR DRAWING ---
+
+function drawEditor() {
+    if (images.background) {
+        ctx.drawImage(images.background, 0, 0, canvasWidth, canvasHeight);
+    } else {
+        ctx.fillStyle = '#000011';
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    }
+    drawStars();
+
+    const level = levelEditor.level;
+    level.planets.forEach((planet, index) => {
+        const image = images.planets && images.planets[planet.type];
+        drawEditorObject('planets', index, planet, image);
+    });
+    level.comets.forEach((comet, index) => drawEditorObject('comets', index, comet, images.comet));
+    level.stars.forEach((star, index) => drawEditorObject('stars', index, star, images.star));
+    drawEditorObject('start', undefined, level.start, images.playerShip);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.textAlign = 'center';
+    ctx.font = `${16 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('editor.help'), canvasWidth / 2, canvasHeight - 20 * scale);
+}
+
+function drawEditorObject(kind, index, object, image) {
+    const pos = editorToScreen(object);
+    const radius = editorRadiusOf(kind, object);
+
+    if (image) {
+        ctx.drawImage(image, pos.x - radius, pos.y - radius, radius * 2, radius * 2);
+    }
+
+    // Initial velocity, exaggerated so slow drifts are still visible
+    if (object.dx || object.dy) {
+        const arrowScale = 40 * scale;
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y);
+        ctx.lineTo(pos.x + object.dx * arrowScale, pos.y + object.dy * arrowScale);
+        ctx.stroke();
+    }
+
+    const selection = levelEditor.selection;
+    if (selection && selection.kind === kind && selection.index === index) {
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius + 4, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+}
+
+// Reminder shown over the level while test playing
+function drawEditorTestPlayBanner() {
+    ctx.fillStyle = 'rgba(255, 215, 0, 0.8)';
+    ctx.textAlign = 'center';
+    ctx.font = `${18 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('editor.testPlayBanner'), canvasWidth / 2, 30 * scale);
+}
+
+// --- TOOLBAR WIRING ---
+
+editorToolbar.querySelectorAll('[data-tool]').forEach(button => {
+    button.addEventListener('click', () => setEditorTool(button.dataset.tool));
+});
+
+editorPlanetTypeSelect.addEventListener('change', () => {
+    levelEditor.planetType = Number(editorPlanetTypeSelect.value);
+    const selected = levelEditor.getSelected();
+    if (selected && levelEditor.selection.kind === 'planets') {
+        levelEditor.beginChange();
+        selected.type = levelEditor.planetType;
+    }
+});
+
+[[editorDxInput, 'dx'], [editorDyInput, 'dy']].forEach(([input, key]) => {
+    input.addEventListener('change', () => {
+        const selected = levelEditor.getSelected();
+        const value = Number(input.value);
+        if (selected && key in selected && Number.isFinite(value)) {
+            levelEditor.beginChange();
+            selected[key] = value;
+        }
+    });
+});
+
+editorNameInput.addEventListener('change', () => {
+    levelEditor.beginChange();
+    levelEditor.level.name = editorNameInput.value.trim() || 'Untitled';
+    syncEditorLevelFields();
+});
+
+// Goals: a target score, collecting every star, or both; at least one is always kept
+[editorGoalScoreInput, editorGoalStarsInput].forEach(input => {
+    input.addEventListener('change', () => {
+        levelEditor.beginChange();
+        const goals = {};
+        const score = Number(editorGoalScoreInput.value);
+        if (editorGoalScoreInput.value !== '' && Number.isFinite(score) && score >= 0) {
+            goals.score = score;
+        }
+        if (editorGoalStarsInput.checked) {
+            goals.collectAllStars = true;
+        }
+        if (goals.score === undefined && !goals.collectAllStars) {
+            goals.score = LEVEL_DEFAULT_GOAL_SCORE;
+        }
+        levelEditor.level.goals = goals;
+        syncEditorLevelFields();
+    });
+});
+
+// Par scores for 1, 2 and 3 stars, typed as a comma separated list
+editorParInput.addEventListener('change', () => {
+    const par = editorParInput.value.split(',').map(value => Number(value.trim()));
+    if (par.length === LEVEL_MAX_RATING && par.every(Number.isFinite)) {
+        levelEditor.beginChange();
+        levelEditor.level.par = par.sort((a, b) => a - b);
+    }
+    syncEditorLevelFields();
+});
+
+document.getElementById('editor-delete').addEventListener('click', () => {
+    levelEditor.deleteSelected();
+    syncEditorInputs();
+});
+document.getElementById('editor-undo').addEventListener('click', () => {
+    levelEditor.undo();
+    syncEditorInputs();
+    syncEditorLevelFields();
+});
+document.getElementById('editor-redo').addEventListener('click', () => {
+    levelEditor.redo();
+    syncEditorInputs();
+    syncEditorLevelFields();
+});
+document.getElementById('editor-test').addEventListener('click', toggleEditorTestPlay);
+document.getElementById('editor-save').addEventListener('click', saveEditorLevel);
+document.getElementById('editor-exit').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.START);
+});
+
+editorLoadInput.addEventListener('change', () => {
+    const file = editorLoadInput.files[0];
+    editorLoadInput.value = '';
+    if (!file) return;
+
+    file.text()
+        .then(text => {
+            levelEditor.loadLevel(parseLevel(text));
+            syncEditorInputs();
+            syncEditorLevelFields();
+        })
+        .catch(err => {
+            console.error('❌ Could not load level:', err);
+            alert(`Could not load level: ${err.message}`);
+        });
+});
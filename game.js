@@ -7,96 +7,110 @@ const scoreEl = document.getElementById('score');
 const gameOverScreen = document.getElementById('game-over-screen');
 const finalScoreEl = document.getElementById('final-score');
 const restartButton = document.getElementById('restart-button');
+const seedForm = document.getElementById('seed-form');
+const seedInput = document.getElementById('seed-input');
+const finalSeedEl = document.getElementById('final-seed');
+const difficultySelect = document.getElementById('difficulty-select');
+const watchReplayButton = document.getElementById('watch-replay-button');
+const exportReplayButton = document.getElementById('export-replay-button');
+const replayFileInput = document.getElementById('replay-file-input');
+const finalRankEl = document.getElementById('final-rank');
+const scoreForm = document.getElementById('score-form');
+const playerNameInput = document.getElementById('player-name');
+const personalBestEl = document.getElementById('personal-best');
+const finalBreakdownEl = document.getElementById('final-breakdown');
+const levelSelectScreen = document.getElementById('level-select');
+const levelGrid = document.getElementById('level-grid');
+const muteButton = document.getElementById('mute-button');
+const pauseMenu = document.getElementById('pause-menu');
+const settingsScreen = document.getElementById('settings-screen');
+const languageSelect = document.getElementById('setting-language');
+const bindingsList = document.getElementById('bindings-list');
+const announcerEl = document.getElementById('announcer');
+
+// --- GAME CONFIGURATION ---
+// Gameplay tuning (sizes, gravity, spawn rates, thresholds) lives in simulation.js
+let scale = 1; // Mirrors game.scale for drawing code
 
-// --- BASE GAME CONFIGURATION (used for scaling) ---
-const BASE_HEIGHT = 1080; // A base height for scaling calculations
-let scale = 1;
-
-// --- SCALABLE GAME CONFIGURATION ---
-const PLAYER_RADIUS = 20;
-const PLAYER_LAUNCH_POWER_DIVISOR = 20;
-const PLAYER_MAX_LAUNCH_POWER = 10;
-const PLANET_MIN_RADIUS = 20;
-const PLANET_MAX_RADIUS = 50;
-const GRAVITY = 0.5;
-const COMET_START_LEVEL = 3;
-const COMET_SPEED = 2;
-const COMET_RADIUS = 15;
-const STAR_SPAWN_RATE = 0.01;
-const STAR_RADIUS = 10;
-const STAR_SCORE = 100;
 const STATIC_STAR_COUNT = 100;
 const LEVEL_TRANSITION_DELAY = 2000; // ms
-const BASE_PLANET_COUNT = 3;
-const PLANET_COUNT_PER_LEVEL = 2;
-const BASE_SCORE_THRESHOLD = 1000;
-const SCORE_THRESHOLD_MULTIPLIER = 1.5;
 const FONT_FAMILY = 'Arial';
 
-// Performance optimization constants
-const MAX_COLLISION_DISTANCE = 200; // Maximum distance to check for collisions
-const COLLISION_CHECK_FREQUENCY = 1; // Check collisions every N frames
+// Trajectory prediction shown while aiming
+const TRAJECTORY_PREDICTION_STEPS = 240; // Ticks simulated ahead (4 seconds at 60 Hz)
+const TRAJECTORY_DOT_SPACING = 4; // Draw a dot every N predicted ticks
+
+// Difficulty presets; trajectoryReveal is the fraction of the predicted path shown
+const DIFFICULTY_SETTINGS = {
+    easy: { label: 'Easy', trajectoryReveal: 1 },
+    normal: { label: 'Normal', trajectoryReveal: 0.5 },
+    hard: { label: 'Hard', trajectoryReveal: 0.15 }
+};
+const DEFAULT_DIFFICULTY = 'normal';
+
+// Replay playback
+const REPLAY_SCRUB_TICKS = 300; // 5 seconds per arrow key press
+const REPLAY_BAR_HEIGHT = 12;
+const REPLAY_BAR_MARGIN = 40;
+
+// Fixed timestep: the simulation always advances in SIMULATION_STEP_MS ticks, whatever the display rate
+const MAX_FRAME_DELTA_MS = 250; // Ignore long stalls (background tabs, debugger)
+const MAX_STEPS_PER_FRAME = 8; // Avoid a spiral of death on slow machines
+const MIN_TIME_SCALE = 0.25;
+const MAX_TIME_SCALE = 4;
+const TIME_SCALE_STEP = 2; // Multiplier applied by the slow-motion/fast-forward keys
+
+// Keyboard/gamepad aim reticle
+const AIM_RETICLE_DISTANCE = 70; // Base units from the ship's centre
+const AIM_RETICLE_SIZE = 10;
+
+// Power-ups have no sprites: each is drawn as its icon in a ring of its palette colour
+const POWER_UP_STYLES = {
+    shield: { role: 'success', icon: '🛡️' },
+    slowMotion: { role: 'bonus', icon: '⏳' },
+    magnet: { role: 'planet', icon: '🧲' },
+    boost: { role: 'speed', icon: '⚡' }
+};
+const POWER_UP_TIMER_WIDTH = 160; // HUD bar for each running power-up
+const FUEL_PICKUP_ICON = '⛽';
+
+// Mid-flight thrust
+const THRUST_DRAG_DEADZONE = 10; // Base units a drag must cover before it thrusts
+const FUEL_GAUGE_WIDTH = 200;
+const FUEL_LOW_FRACTION = 0.25; // The gauge turns to the danger colour below this
+
+// Scrolling view
+const BACKGROUND_PARALLAX = 0.3; // Background stars drift by this fraction of the camera's movement
+const MINIMAP_SIZE = 200; // Base units along the longer side of the world
+const MINIMAP_MARGIN = 60; // Clear of the replay progress bar
+
+// Screen-reader announcements
+const SCORE_ANNOUNCE_INTERVAL = 500; // Points between spoken score updates
+
+// On-screen FPS counter (settings)
+const FPS_SMOOTHING = 0.1; // Weight of the newest frame in the running average
 
 // --- GLOBAL GAME STATE ---
 let canvasWidth, canvasHeight;
 let images;
 let animationFrameId;
+let lastFrameTime = null;
+let simulationAccumulator = 0;
+let renderAlpha = 1; // How far the renderer is between the previous and current tick
+let timeScale = 1; // < 1 slow-motion, > 1 fast-forward
 let isDragging = false;
 let dragStartX, dragStartY;
+let dragCurrentX, dragCurrentY;
+let difficulty = DEFAULT_DIFFICULTY;
+let chosenSeed = null; // Typed into the seed box; kept for every restart like a shared one
+let fpsEstimate = 0;
+let lastControlsTime = null;
+let announcedScoreMilestone = 0;
 
 // --- STATE MANAGEMENT SYSTEM ---
 
-// Game States
-const GAME_STATES = {
-    LOADING: 'LOADING',
-    START: 'START',
-    LEVEL_TRANSITION: 'LEVEL_TRANSITION', 
-    PLAYING: 'PLAYING',
-    PAUSED: 'PAUSED',
-    GAME_OVER: 'GAME_OVER'
-};
-
-// State Machine Class
-class GameStateMachine {
-    constructor() {
-        this.currentState = GAME_STATES.LOADING;
-        this.previousState = null;
-        this.stateData = {};
-        this.transitions = this.defineTransitions();
-        this.stateHandlers = this.defineStateHandlers();
-    }
-
-    defineTransitions() {
-        return {
-            [GAME_STATES.LOADING]: {
-                [GAME_STATES.START]: true
-            },
-            [GAME_STATES.START]: {
-                [GAME_STATES.PLAYING]: true,
-                [GAME_STATES.LEVEL_TRANSITION]: true
-            },
-            [GAME_STATES.LEVEL_TRANSITION]: {
-                [GAME_STATES.PLAYING]: true,
-                [GAME_STATES.START]: true // Allow restart during transition
-            },
-            [GAME_STATES.PLAYING]: {
-                [GAME_STATES.PAUSED]: true,
-                [GAME_STATES.GAME_OVER]: true,
-                [GAME_STATES.LEVEL_TRANSITION]: true,
-                [GAME_STATES.START]: true // Allow restart
-            },
-            [GAME_STATES.PAUSED]: {
-                [GAME_STATES.PLAYING]: true,
-                [GAME_STATES.START]: true,
-                [GAME_STATES.GAME_OVER]: true
-            },
-            [GAME_STATES.GAME_OVER]: {
-                [GAME_STATES.START]: true,
-                [GAME_STATES.PLAYING]: true // Direct restart
-            }
-        };
-    }
-
+// What each state does on the page (the transition rules are in state-machine.js)
+class BrowserGameStateMachine extends GameStateMachine {
     defineStateHandlers() {
         return {
             [GAME_STATES.LOADING]: {
@@ -118,72 +132,109 @@ class GameStateMachine {
                 enter: () => {
                     console.log('🎮 Entering START state');
                     this.stateData.showInstructions = true;
+                    seedForm.style.display = 'flex';
+                    announcer.announce(t('a11y.start'));
                 },
                 update: () => {
                     // Wait for user input
                 },
                 render: () => {
-                    drawScreen('Stardust Drifter', 'Click and drag to launch your ship', 'Press any key to start');
+                    drawScreen(t('game.title'), t('start.instructions'), t('start.pressKey'));
+                    drawSeedLabel();
+                    drawProfileSummary();
+                    drawControlsHint();
                 },
                 exit: () => {
                     console.log('🚀 Exiting START state');
                     this.stateData.showInstructions = false;
-                }
+                    seedForm.style.display = 'none';
+                    seedInput.blur();
+                },
+                onAction: handleStartAction
             },
             [GAME_STATES.LEVEL_TRANSITION]: {
                 enter: () => {
                     console.log(`🌟 Entering LEVEL_TRANSITION state (Level ${game.currentLevel})`);
                     this.stateData.transitionStartTime = Date.now();
+                    this.stateData.transitionElapsed = 0; // Simulation time, so it honours the time scale
                     this.stateData.transitionDuration = LEVEL_TRANSITION_DELAY;
                     
                     // Show level complete effect if transitioning from playing
+                    this.stateData.levelBreakdown = null;
                     if (this.previousState === GAME_STATES.PLAYING) {
+                        this.stateData.levelBreakdown = { ...game.scoreBreakdown }; // setupLevel starts a new one
                         showLevelCompleteEffect();
+                        announcer.announce(t('a11y.levelComplete', { level: game.currentLevel - 1, score: game.score }));
                     }
                     
-                    setupLevel(); // Generate obstacles for the new level
+                    setupLevel(game); // Generate obstacles for the new level
+                    announceLevel();
                 },
                 update: () => {
-                    const elapsed = Date.now() - this.stateData.transitionStartTime;
-                    if (elapsed >= this.stateData.transitionDuration) {
+                    this.stateData.transitionElapsed += SIMULATION_STEP_MS;
+                    if (this.stateData.transitionElapsed >= this.stateData.transitionDuration) {
                         this.transition(GAME_STATES.PLAYING);
                     }
                 },
                 render: () => {
-                    drawScreen(`Level ${game.currentLevel}`, `Cumulative Score: ${game.score}`, 'Prepare for the next level...');
+                    const level = game.levelDefinition;
+                    const rating = this.stateData.completedRating;
+                    drawScreen(
+                        level ? t('level.named', { level: game.currentLevel, name: level.name }) : t('level.number', { level: game.currentLevel }),
+                        t('level.cumulativeScore', { score: game.score }),
+                        rating ? t('level.rating', { stars: formatStarRating(rating) }) : t('level.prepare')
+                    );
+                    if (this.stateData.levelBreakdown) {
+                        drawScoreBreakdown(this.stateData.levelBreakdown);
+                    }
                 },
                 exit: () => {
                     console.log('⚡ Exiting LEVEL_TRANSITION state');
-                }
+                },
+                onAction: handleStartAction
             },
             [GAME_STATES.PLAYING]: {
                 enter: () => {
                     console.log('🎯 Entering PLAYING state');
-                    if (this.previousState === GAME_STATES.START) {
-                        setupLevel();
+                    if (this.previousState === GAME_STATES.START || this.previousState === GAME_STATES.LEVEL_SELECT) {
+                        game.difficulty = createDifficultyState(playerSettings.fixedDifficulty, playerProfile.difficultyOutcomes);
+                        runRecorder.start(game.seed, canvasWidth, canvasHeight, game.currentLevel, game.difficulty);
+                        setupLevel(game);
+                    } else if (this.previousState === GAME_STATES.EDITOR) {
+                        setupLevel(game); // Test play of the level being edited
+                    }
+                    if (this.previousState === GAME_STATES.PAUSED) {
+                        announcer.announce(t('a11y.resumed'));
+                    } else if (this.previousState !== GAME_STATES.LEVEL_TRANSITION) {
+                        announceLevel(); // LEVEL_TRANSITION already said which level is next
                     }
                     this.stateData.playStartTime = Date.now();
                 },
                 update: () => {
-                    updatePlanets();
-                    updateComets();
-                    updatePlayer();
-                    spawnCollectableStars();
-                    updateEffects();
-                    checkCollisions();
-                    checkLevelCompletion();
+                    updateThrust();
+                    updateRun();
                 },
                 render: () => {
                     draw();
+                    drawTimeScaleIndicator();
+                    if (editorTestPlay) {
+                        drawEditorTestPlayBanner();
+                    }
                 },
                 exit: () => {
                     console.log('⏸️ Exiting PLAYING state');
-                }
+                    aimController.cancel(); // A charge never carries over a pause or a level
+                    isDragging = false;
+                },
+                onAction: handlePlayingAction
             },
             [GAME_STATES.PAUSED]: {
                 enter: () => {
                     console.log('⏸️ Entering PAUSED state');
                     this.stateData.pauseStartTime = Date.now();
+                    pauseMenu.style.display = 'flex';
+                    announcer.announce(t('pause.title'));
+                    audioEngine.suspend();
                 },
                 update: () => {
                     // Game logic paused, only check for unpause input
@@ -195,6 +246,12 @@ class GameStateMachine {
                 },
                 exit: () => {
                     console.log('▶️ Exiting PAUSED state');
+                    pauseMenu.style.display = 'none';
+                    audioEngine.resume(); // Also lets volume changes in SETTINGS be heard
+                },
+                onAction: (action) => {
+                    if (action.phase !== 'pressed' || !['pause', 'confirm', 'back'].includes(action.name)) return false;
+                    return this.transition(GAME_STATES.PLAYING);
                 }
             },
             [GAME_STATES.GAME_OVER]: {
@@ -202,7 +259,12 @@ class GameStateMachine {
                     console.log('💀 Entering GAME_OVER state');
                     this.stateData.gameOverTime = Date.now();
                     finalScoreEl.textContent = game.score;
+                    finalBreakdownEl.textContent = formatScoreBreakdown(game.scoreBreakdown); // The level the run ended on
                     gameOverScreen.style.display = 'flex';
+                    runRecorder.finish(game.tick, game.score);
+                    resetScoreForm();
+                    recordRunInPlayerProfile();
+                    announcer.announce(t('a11y.gameOver', { score: game.score, level: game.currentLevel }));
                     
                     // Show collision effect at player position
                     showCollisionEffect(game.player.x, game.player.y, 'normal');
@@ -217,777 +279,1922 @@ class GameStateMachine {
                 exit: () => {
                     console.log('🔄 Exiting GAME_OVER state');
                     gameOverScreen.style.display = 'none';
+                },
+                onAction: (action) => {
+                    if (action.phase !== 'pressed' || action.name !== 'confirm') return false;
+                    init(); // Same as the Restart button
+                    return true;
+                }
+            },
+            [GAME_STATES.REPLAY]: {
+                enter: () => {
+                    console.log('📼 Entering REPLAY state');
+                    announcer.announce(t('a11y.replay'));
+                    // Re-simulate in the recorded world size, whatever the window is now
+                    activeReplay = { recording: this.stateData.replay, paused: false, ended: false, seeking: false, nextLaunch: 0, nextThrust: 0 };
+                    setWorldSize(activeReplay.recording.width, activeReplay.recording.height);
+                    setTimeScale(1);
+                    seekReplay(0);
+                },
+                update: () => {
+                    updateReplay();
+                },
+                render: () => {
+                    drawReplay();
+                },
+                exit: () => {
+                    console.log('⏹️ Exiting REPLAY state');
+                    activeReplay = null;
+                    this.stateData.replay = null;
+                    setTimeScale(1);
+                    resizeCanvas();
+                },
+                onAction: handleReplayAction
+            },
+            [GAME_STATES.EDITOR]: {
+                enter: () => {
+                    console.log('🛠️ Entering EDITOR state');
+                    announcer.announce(t('a11y.editor'));
+                    isDragging = false;
+                    editorToolbar.style.display = 'flex';
+                    setEditorTool(levelEditor.tool);
+                    syncEditorInputs();
+                    syncEditorLevelFields();
+                },
+                update: () => {
+                    // Editing is driven entirely by input events
+                },
+                render: () => {
+                    drawEditor();
+                },
+                exit: () => {
+                    console.log('🛠️ Exiting EDITOR state');
+                    editorToolbar.style.display = 'none';
+                    editorDrag = null;
+                }
+            },
+            [GAME_STATES.LEVEL_SELECT]: {
+                enter: () => {
+                    console.log('🗺️ Entering LEVEL_SELECT state');
+                    buildLevelSelectGrid();
+                    levelSelectScreen.style.display = 'flex';
+                },
+                update: () => {
+                    // Waiting for a level to be picked
+                },
+                render: () => {
+                    drawScreen('', '', '');
+                },
+                exit: () => {
+                    console.log('🗺️ Exiting LEVEL_SELECT state');
+                    levelSelectScreen.style.display = 'none';
+                },
+                onAction: (action) => {
+                    if (action.phase !== 'pressed' || action.name !== 'back') return false;
+                    return this.transition(GAME_STATES.START);
+                }
+            },
+            [GAME_STATES.SETTINGS]: {
+                enter: () => {
+                    console.log('⚙️ Entering SETTINGS state');
+                    // Opened from the start screen or the pause menu; Back returns there
+                    this.stateData.settingsReturnState = this.previousState;
+                    syncSettingsInputs();
+                    buildBindingsList();
+                    settingsScreen.style.display = 'flex';
+                },
+                update: () => {
+                    // Settings apply as soon as an input changes
+                },
+                render: () => {
+                    if (this.stateData.settingsReturnState === GAME_STATES.PAUSED) {
+                        // Keep the paused run visible behind the panel
+                        draw();
+                        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+                    } else {
+                        drawScreen('', '', '');
+                    }
+                },
+                exit: () => {
+                    console.log('⚙️ Exiting SETTINGS state');
+                    settingsScreen.style.display = 'none';
+                    inputManager.cancelCapture();
+                },
+                onAction: (action) => {
+                    if (action.phase !== 'pressed' || action.name !== 'back') return false;
+                    closeSettings();
+                    return true;
                 }
             }
         };
     }
+}
 
-    transition(newState, data = {}) {
-        // Check if transition is valid
-        if (!this.canTransition(newState)) {
-            console.warn(`❌ Invalid transition from ${this.currentState} to ${newState}`);
-            return false;
-        }
+// Global state machine instance
+let gameStateMachine;
 
-        console.log(`🔄 State transition: ${this.currentState} → ${newState}`);
+// Backward compatibility
+let gameState;
 
-        // Exit current state
-        if (this.stateHandlers[this.currentState]?.exit) {
-            this.stateHandlers[this.currentState].exit();
-        }
+// The simulated world (see simulation.js) plus what only the page draws
+let game = Object.assign(createWorld({ width: 0, height: 0, seed: generateSeedCode() }), {
+    stars: [], // Background stars, purely cosmetic
+    effects: []
+});
 
-        // Update state
-        this.previousState = this.currentState;
-        this.currentState = newState;
-        
-        // Merge any transition data
-        this.stateData = { ...this.stateData, ...data };
+// Records the inputs of every run so it can be replayed
+const runRecorder = new RunRecorder();
 
-        // Enter new state
-        if (this.stateHandlers[this.currentState]?.enter) {
-            this.stateHandlers[this.currentState].enter();
-        }
+// Playback state while in REPLAY
+let activeReplay = null;
 
-        return true;
+// Synthesized sound effects and ambient drone
+const audioEngine = new AudioEngine();
+
+// Keyboard and gamepad aim, as an alternative to dragging
+const aimController = new AimController();
+
+// Which part of the world is on screen
+const camera = new Camera();
+let cameraTarget = null; // Ship being followed; a new one (level or run) is cut to, not panned to
+
+// Reads state changes, levels and score milestones out to screen readers
+const announcer = new Announcer(announcerEl);
+
+// Personal bests and run history, persisted in localStorage
+let playerProfile = loadProfile();
+
+// Volumes, language, effects and controls preferences, persisted in localStorage
+let playerSettings = loadSettings();
+
+// Update score display
+function updateScore(score) {
+    scoreEl.textContent = t('hud.score', { score });
+}
+
+// Generate static background stars
+function generateStaticStars() {
+    const rng = createSeededRandom(game.seed, 'stars');
+    for (let i = 0; i < STATIC_STAR_COUNT; i++) {
+        game.stars.push({
+            x: rng.next() * canvasWidth,
+            y: rng.next() * canvasHeight,
+            radius: (rng.next() * 2 + 1) * scale
+        });
     }
+}
+
+// Read a seed code from the page URL (?seed=ABC123), if one was shared
+function getSeedFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return normalizeSeedCode(params.get('seed'));
+}
 
-    canTransition(newState) {
-        return this.transitions[this.currentState]?.[newState] || false;
+// Switch the run to a new seed and rebuild everything derived from it
+function setRunSeed(seedCode) {
+    setWorldSeed(game, seedCode);
+    game.stars = [];
+    generateStaticStars();
+    finalSeedEl.textContent = seedCode;
+    seedInput.value = seedCode;
+}
+
+// Position to draw an entity at, interpolated between the last two ticks
+function getRenderPosition(entity) {
+    if (entity.prevX === undefined) {
+        return { x: entity.x, y: entity.y };
     }
+    return {
+        x: entity.prevX + (entity.x - entity.prevX) * renderAlpha,
+        y: entity.prevY + (entity.y - entity.prevY) * renderAlpha
+    };
+}
 
-    update() {
-        if (this.stateHandlers[this.currentState]?.update) {
-            this.stateHandlers[this.currentState].update();
-        }
+// Draw entity with image, ringed in outlineColor when high contrast is on
+function drawEntity(entity, image, outlineColor) {
+    const pos = getRenderPosition(entity);
+    ctx.drawImage(image, 
+                 pos.x - entity.radius, 
+                 pos.y - entity.radius, 
+                 entity.radius * 2, 
+                 entity.radius * 2);
+
+    if (playerSettings.highContrast && outlineColor) {
+        ctx.save();
+        ctx.strokeStyle = outlineColor;
+        ctx.lineWidth = 3 * scale;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, entity.radius + 2 * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
     }
+}
 
-    render() {
-        if (this.stateHandlers[this.currentState]?.render) {
-            this.stateHandlers[this.currentState].render();
-        }
+// Effect and marker colours for the chosen colour-blind palette
+function getPalette() {
+    return getColorPalette(playerSettings.colorPalette);
+}
+
+// 0 while reduced motion is on, from the settings or the operating system
+function getEffectIntensity() {
+    const systemReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return playerSettings.reducedMotion || systemReducedMotion ? 0 : playerSettings.effectIntensity;
+}
+
+// --- CORE FUNCTIONS ---
+
+function resizeCanvas() {
+    canvas.width = window.innerWidth;
+    canvas.height = window.innerHeight;
+    setWorldSize(canvas.width, canvas.height);
+}
+
+// Size of one screen of the playfield; normally the canvas, but replays use the recorded size
+function setWorldSize(width, height) {
+    setWorldDimensions(game, width, height);
+    canvasWidth = game.viewWidth;
+    canvasHeight = game.viewHeight;
+    scale = game.scale;
+    camera.setViewport(canvasWidth, canvasHeight);
+}
+
+// Restart the animation loop from a clean fixed-timestep state
+function restartGameLoop() {
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
     }
+    lastFrameTime = null;
+    simulationAccumulator = 0;
+    gameLoop();
+}
 
-    getCurrentState() {
-        return this.currentState;
+function init() {
+    resetRun(game);
+    game.customLevel = null;
+    game.effects = [];
+    editorTestPlay = false;
+    updateScore(game.score);
+    gameOverScreen.style.display = 'none';
+    
+    // Initialize state machine if not already done
+    if (!gameStateMachine) {
+        gameStateMachine = new BrowserGameStateMachine();
     }
+    
+    // Transition to start state
+    gameStateMachine.transition(GAME_STATES.START);
 
-    getStateData() {
-        return this.stateData;
+    // Keep a chosen or shared seed across restarts, otherwise roll a new one per run
+    setRunSeed(chosenSeed || getSeedFromUrl() || generateSeedCode());
+    
+    // Lazy load non-critical assets if not already loaded
+    ensureNonCriticalAssetsLoaded();
+
+    restartGameLoop();
+}
+
+function gameOver() {
+    if (editorTestPlay) {
+        // Crashing during a test play goes straight back to editing
+        toggleEditorTestPlay();
+        return;
     }
 
-    isInState(state) {
-        return this.currentState === state;
+    if (activeReplay) {
+        // The recorded run ends here; playback stops on the final frame
+        activeReplay.ended = true;
+        return;
     }
+
+    gameState = 'GAME_OVER';
+    // Go through the state machine so the loop stops stepping the simulation
+    gameStateMachine.transition(GAME_STATES.GAME_OVER);
 }
 
-// Global state machine instance
-let gameStateMachine;
+// --- GAME LOGIC (UPDATE) ---
 
-// Backward compatibility
-let gameState;
+// One simulation tick of a run, shared by live play and replays
+function updateRun() {
+    const events = stepWorld(game);
+    updateEffects();
+    if (!isSeekingReplay()) {
+        game.comets.forEach(comet => showTrailEffect(comet, getPalette().comet));
+    }
+    updateScore(game.score);
+    events.forEach(handleSimulationEvent);
+    if (!activeReplay) {
+        announceScoreMilestone();
+    }
+}
 
-let game = {
-    player: {},
-    planets: [],
-    stars: [],
-    comets: [],
-    collectableStars: [],
-    score: 0,
-    currentLevel: 1,
-};
+// --- SCREEN READER ANNOUNCEMENTS ---
+
+function announceLevel() {
+    const level = game.levelDefinition;
+    announcer.announce(level
+        ? t('level.named', { level: game.currentLevel, name: level.name })
+        : t('level.number', { level: game.currentLevel }));
+}
 
-// Performance tracking
-let frameCount = 0;
+// Speak the score every SCORE_ANNOUNCE_INTERVAL points
+function announceScoreMilestone() {
+    const milestone = Math.floor(game.score / SCORE_ANNOUNCE_INTERVAL);
+    if (milestone > announcedScoreMilestone) {
+        announcer.announce(t('a11y.score', { score: milestone * SCORE_ANNOUNCE_INTERVAL }));
+    }
+    announcedScoreMilestone = milestone; // Also follows the score back down when a run restarts
+}
 
-// --- HELPER FUNCTIONS ---
+// React to what the simulation reported for the tick
+function handleSimulationEvent(event) {
+    if (!isSeekingReplay()) {
+        playEventSound(event);
+    }
 
-// Calculate squared distance between two entities (faster than actual distance)
-function getDistanceSquared(entity1, entity2) {
-    const dx = entity1.x - entity2.x;
-    const dy = entity1.y - entity2.y;
-    return dx * dx + dy * dy;
+    switch (event.type) {
+        case 'crash':
+            saveDifficultyOutcomes();
+            gameOver();
+            break;
+        case 'starCollected':
+        case 'nearMiss':
+        case 'slingshot':
+            if (!isSeekingReplay()) {
+                showScoreCallout(event);
+            }
+            break;
+        case 'levelComplete':
+            saveDifficultyOutcomes();
+            handleLevelComplete(event);
+            break;
+        case 'powerUpCollected':
+            if (!isSeekingReplay()) {
+                showPowerUpEffect(event.x, event.y, event.kind);
+            }
+            if (!activeReplay) {
+                announcer.announce(t('a11y.powerUp', { name: t(`powerUp.${event.kind}`) }));
+            }
+            break;
+        case 'shieldHit':
+            if (!isSeekingReplay()) {
+                showCollisionEffect(event.x, event.y, event.cause);
+                showScreenShake(5, 15);
+            }
+            if (!activeReplay) {
+                announcer.announce(t('a11y.shieldHit'));
+            }
+            break;
+        case 'fuelCollected':
+            if (!isSeekingReplay()) {
+                showPowerUpEffect(event.x, event.y, 'fuel');
+            }
+            break;
+        case 'fuelEmpty':
+            if (!activeReplay) {
+                announcer.announce(t('a11y.fuelEmpty'));
+            }
+            break;
+        case 'landed':
+        case 'orbitCaptured':
+            if (!isSeekingReplay()) {
+                showLandingEffect(event.x, event.y, event.type === 'landed');
+            }
+            if (!activeReplay) {
+                announcer.announce(t(event.type === 'landed' ? 'a11y.landed' : 'a11y.orbit'));
+            }
+            break;
+        case 'cometWave':
+            if (!activeReplay) {
+                announcer.announce(t('a11y.cometWave', { count: event.count }));
+            }
+            break;
+        case 'cometImpact':
+            if (!isSeekingReplay()) {
+                showCollisionEffect(event.x, event.y, 'comet');
+            }
+            break;
+        case 'wormhole':
+            // No interpolated streak across the world between the two ends
+            snapshotPositions(game.player);
+            if (!isSeekingReplay()) {
+                showWormholeEffect(event);
+            }
+            if (!activeReplay) {
+                announcer.announce(t('a11y.wormhole'));
+            }
+            break;
+    }
 }
 
-// Calculate distance between two entities
-function getDistance(entity1, entity2) {
-    return Math.hypot(entity1.x - entity2.x, entity1.y - entity2.y);
+function playEventSound(event) {
+    switch (event.type) {
+        case 'starCollected':
+            audioEngine.playStarPickup();
+            break;
+        case 'crash':
+            if (event.cause !== 'wall') {
+                audioEngine.playImpact(event.cause);
+            }
+            break;
+        case 'nearMiss':
+            audioEngine.playNearMiss(1 - event.clearance / NEAR_MISS_DISTANCE);
+            break;
+        case 'slingshot':
+            audioEngine.playSlingshot(Math.min(1, event.speedGain / (SLINGSHOT_MIN_SPEED_GAIN * 3)));
+            break;
+        case 'powerUpCollected':
+        case 'fuelCollected':
+            audioEngine.playPowerUp();
+            break;
+        case 'landed':
+        case 'orbitCaptured':
+            audioEngine.playLanding();
+            break;
+        case 'shieldHit':
+            audioEngine.playShieldHit();
+            break;
+        case 'wormhole':
+            audioEngine.playWormhole();
+            break;
+        case 'cometWave':
+            audioEngine.playCometWarning();
+            break;
+    }
 }
 
-// Check if two entities are colliding (optimized with squared distance)
-function areColliding(entity1, entity2) {
-    const radiusSum = entity1.radius + entity2.radius;
-    const distanceSquared = getDistanceSquared(entity1, entity2);
-    return distanceSquared < (radiusSum * radiusSum);
+// Floating points for a skill score, naming it and the combo it was scored at
+function showScoreCallout({ type, x, y, points, multiplier }) {
+    const names = { nearMiss: t('callout.nearMiss'), slingshot: t('callout.slingshot') };
+    const combo = multiplier > 1 ? ` ×${multiplier.toFixed(1)}` : '';
+    showScoreEffect(x, y, points, names[type] ? names[type] + combo : combo.trim());
 }
 
-// Fast AABB (Axis-Aligned Bounding Box) collision check
-function areAABBColliding(entity1, entity2) {
-    return Math.abs(entity1.x - entity2.x) < (entity1.radius + entity2.radius) &&
-           Math.abs(entity1.y - entity2.y) < (entity1.radius + entity2.radius);
+// Seeking re-simulates a replay in one go; its sounds and effects would all land at once
+function isSeekingReplay() {
+    return Boolean(activeReplay && activeReplay.seeking);
 }
 
-// Optimized collision check with AABB pre-filter
-function areCollidingOptimized(entity1, entity2) {
-    // First check AABB (faster)
-    if (!areAABBColliding(entity1, entity2)) {
-        return false;
+function handleLevelComplete({ rating }) {
+    // Only authored levels are rated, and the completed one is still loaded
+    if (rating !== null && !game.customLevel && !activeReplay) {
+        recordLevelRating(playerProfile, game.levelDefinition.id, rating);
+        saveProfile(playerProfile);
+    }
+
+    if (editorTestPlay) {
+        // Reaching the goal during a test play also returns to the editor
+        toggleEditorTestPlay();
+        return;
     }
-    // Then check circular collision
-    return areColliding(entity1, entity2);
+    if (activeReplay) {
+        // Replays skip the transition screen but set up the level the same way
+        if (!activeReplay.ended) {
+            showLevelCompleteEffect();
+            setupLevel(game);
+        }
+        return;
+    }
+    gameStateMachine.transition(GAME_STATES.LEVEL_TRANSITION, { completedRating: rating });
 }
 
-// Move entity and handle wall bouncing
-function updateEntityWithBounce(entity, maxWidth, maxHeight) {
-    entity.x += entity.dx;
-    entity.y += entity.dy;
+// --- DRAWING ---
+
+function draw() {
+    // Use background if available, otherwise fallback
+    if (images.background && !playerSettings.highContrast) {
+        ctx.drawImage(images.background, 0, 0, canvasWidth, canvasHeight);
+    } else {
+        // High contrast draws on plain black, without background stars to mistake for pickups
+        ctx.fillStyle = playerSettings.highContrast ? '#000' : '#000011';
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    }
     
-    // Bounce off walls
-    if (entity.x < entity.radius || entity.x > maxWidth - entity.radius) {
-        entity.dx *= -1;
+    if (!playerSettings.highContrast) {
+        drawStars();
     }
-    if (entity.y < entity.radius || entity.y > maxHeight - entity.radius) {
-        entity.dy *= -1;
+
+    // The world, seen through the camera
+    ctx.save();
+    camera.applyTo(ctx);
+    drawWorldEdge();
+    drawEntities();
+    drawPlayer();
+    drawTrajectoryLine();
+    drawEffects(); // Draw visual effects
+    ctx.restore();
+
+    // The HUD, fixed to the screen
+    drawPowerUpTimers();
+    drawFuelGauge();
+    drawComboMeter();
+    drawCometWarnings();
+    drawMinimap();
+    drawFpsCounter();
+}
+
+// Follow the ship with the camera and move the screen shake on, once per frame
+function updateCamera(deltaMs) {
+    const p = game.player;
+    const pos = getRenderPosition(p);
+    if (p !== cameraTarget) {
+        cameraTarget = p;
+        camera.centerOn(pos.x, pos.y);
+    } else {
+        const speed = p.isMoving ? Math.hypot(p.dx, p.dy) / scale : 0;
+        camera.follow(pos.x, pos.y, speed, deltaMs);
+    }
+    camera.clampTo(game.width, game.height);
+    camera.updateShake(deltaMs);
+}
+
+// Ensure non-critical assets are loaded when needed
+function ensureNonCriticalAssetsLoaded() {
+    // Check if non-critical assets are loaded, if not, load them
+    if (typeof lazyLoadAsset === 'function') {
+        ['comet', 'planets', 'star'].forEach(assetKey => {
+            if (!images[assetKey]) {
+                lazyLoadAsset(assetKey)
+                    .then(asset => {
+                        images[assetKey] = asset;
+                        console.log(`✓ Lazy loaded: ${assetKey}`);
+                    })
+                    .catch(err => {
+                        console.warn(`Failed to lazy load ${assetKey}:`, err);
+                        // Create fallback
+                        if (assetKey === 'planets') {
+                            images[assetKey] = [createFallbackImage(64, 64, '#4ECDC4', 'P')];
+                        } else {
+                            images[assetKey] = createFallbackImage(64, 64, '#4ECDC4', assetKey.charAt(0).toUpperCase());
+                        }
+                    });
+            }
+        });
     }
 }
 
-// Check if entity is off-screen
-function isOffScreen(entity, maxWidth, maxHeight) {
-    return entity.x < -entity.radius || 
-           entity.x > maxWidth + entity.radius || 
-           entity.y < -entity.radius || 
-           entity.y > maxHeight + entity.radius;
+// Background stars are fixed to the screen, drifting slower than the world and
+// wrapping round so they never run out
+function drawStars() {
+    const offsetX = camera.x * BACKGROUND_PARALLAX;
+    const offsetY = camera.y * BACKGROUND_PARALLAX;
+    const wrap = (value, size) => ((value % size) + size) % size;
+    ctx.fillStyle = 'white';
+    game.stars.forEach(star => {
+        ctx.beginPath();
+        ctx.arc(wrap(star.x - offsetX, canvasWidth), wrap(star.y - offsetY, canvasHeight), star.radius, 0, Math.PI * 2);
+        ctx.fill();
+    });
 }
 
-// Update score display
-function updateScore(score) {
-    scoreEl.textContent = `Score: ${score}`;
+// Leaving the playfield is a crash, so show where it ends
+function drawWorldEdge() {
+    ctx.save();
+    ctx.strokeStyle = getPalette().danger;
+    ctx.globalAlpha = 0.4;
+    ctx.lineWidth = 3 * scale / camera.zoom;
+    ctx.strokeRect(0, 0, game.width, game.height);
+    ctx.restore();
 }
 
-// Check player collision with a group of entities (optimized)
-function checkPlayerCollisionWithEntities(entities, onCollision) {
-    for (let i = entities.length - 1; i >= 0; i--) {
-        const entity = entities[i];
-        if (areCollidingOptimized(game.player, entity)) {
-            onCollision(entity, i);
+// How the built-in entity types are drawn; types registered elsewhere bring their own render()
+const ENTITY_RENDERERS = {
+    planet: drawPlanet,
+    comet: drawComet,
+    star: drawCollectableStar,
+    powerUp: drawPowerUp,
+    fuel: drawFuelPickup
+};
+
+// Every entity, type by type in registration order
+function drawEntities() {
+    drawOrbitPaths();
+    getEntityTypes().forEach(type => {
+        const render = type.render || ENTITY_RENDERERS[type.name];
+        if (render) {
+            game[type.collection].forEach(entity => render(entity));
         }
-    }
+    });
 }
 
-// Check player collision with entities that cause game over (optimized)
-function checkPlayerCollisionWithDangerousEntities(entities) {
-    for (const entity of entities) {
-        if (areCollidingOptimized(game.player, entity)) {
-            gameOver();
-            return true;
-        }
+// Faint tracks for the planets on orbits, so a launch can be timed against them
+function drawOrbitPaths() {
+    ctx.save();
+    ctx.strokeStyle = playerSettings.highContrast ? 'rgba(255, 255, 255, 0.5)' : 'rgba(255, 255, 255, 0.15)';
+    ctx.lineWidth = scale;
+    ctx.setLineDash([6 * scale, 8 * scale]);
+    game.planets.forEach(planet => {
+        if (!planet.orbit) return;
+        const { a, b, tilt } = planet.orbit;
+        const centre = getOrbitCentre(game.planets, planet.orbit);
+        ctx.beginPath();
+        ctx.ellipse(centre.x, centre.y, a, b, tilt, 0, Math.PI * 2);
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+function drawPlanet(p) {
+    const planetImage = images.planets[p.type % images.planets.length];
+    if (planetImage) {
+        drawEntity(p, planetImage, getPalette().danger);
     }
-    return false;
 }
 
-// Optimized collision detection using spatial grid
-function checkPlayerCollisionWithEntitiesOptimized(entities, onCollision) {
-    if (!spatialGrid || entities.length === 0) {
-        return checkPlayerCollisionWithEntities(entities, onCollision);
+function drawComet(c) {
+    drawEntity(c, images.comet, getPalette().comet);
+}
+
+function drawCollectableStar(s) {
+    drawEntity(s, images.star, getPalette().reward);
+}
+
+// Pickups without a sprite: an icon in a ring of the given colour
+function drawPickup(entity, color, icon) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.strokeStyle = color;
+    ctx.lineWidth = (playerSettings.highContrast ? 3 : 2) * scale;
+    ctx.beginPath();
+    ctx.arc(entity.x, entity.y, entity.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${entity.radius * 1.2}px ${FONT_FAMILY}`;
+    ctx.fillText(icon, entity.x, entity.y);
+    ctx.restore();
+}
+
+function drawPowerUp(powerUp) {
+    const style = POWER_UP_STYLES[powerUp.kind];
+    drawPickup(powerUp, getPalette()[style.role], style.icon);
+}
+
+function drawFuelPickup(fuel) {
+    drawPickup(fuel, getPalette().fuel, FUEL_PICKUP_ICON);
+}
+
+function drawPlayer() {
+    if (isThrusting(game)) {
+        drawThrustFlame();
     }
+    if (game.player.anchor && game.player.anchor.angularSpeed !== 0) {
+        drawOrbitPath();
+    }
+    drawEntity(game.player, images.playerShip, '#FFFFFF');
 
-    const nearbyEntities = spatialGrid.getNearbyEntities(game.player);
-    const relevantEntities = nearbyEntities.filter(entity => entities.includes(entity));
-    
-    for (let i = relevantEntities.length - 1; i >= 0; i--) {
-        const entity = relevantEntities[i];
-        if (areCollidingOptimized(game.player, entity)) {
-            const index = entities.indexOf(entity);
-            if (index !== -1) {
-                onCollision(entity, index);
-            }
+    if (isPowerUpActive(game, 'shield')) {
+        const pos = getRenderPosition(game.player);
+        ctx.save();
+        ctx.strokeStyle = getPalette()[POWER_UP_STYLES.shield.role];
+        ctx.globalAlpha = 0.7;
+        ctx.lineWidth = 3 * scale;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, game.player.radius + 6 * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+function drawTrajectoryLine() {
+    if (isDragging && game.player.isMoving) {
+        drawThrustDrag();
+    } else if (isDragging) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 2 * scale;
+        const pos = getRenderPosition(game.player);
+        const dragStart = camera.screenToWorld(dragStartX, dragStartY); // The pointer is in screen pixels
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y);
+        ctx.lineTo(dragStart.x, dragStart.y);
+        ctx.stroke();
+
+        if (playerSettings.showTrajectory) {
+            drawPredictedTrajectory(getDragLaunchVelocity(dragCurrentX, dragCurrentY));
         }
+    } else if (aimController.active && gameStateMachine.isInState(GAME_STATES.PLAYING)) {
+        drawAimReticle();
     }
 }
 
-// Optimized dangerous collision check using spatial grid
-function checkPlayerCollisionWithDangerousEntitiesOptimized(entities) {
-    if (!spatialGrid || entities.length === 0) {
-        return checkPlayerCollisionWithDangerousEntities(entities);
+// In flight a drag steers thrust: show it from where the pointer went down.
+// The drag is in screen pixels, so it stays put on screen as the camera moves.
+function drawThrustDrag() {
+    const start = camera.screenToWorld(dragStartX, dragStartY);
+    const current = camera.screenToWorld(dragCurrentX, dragCurrentY);
+    ctx.save();
+    ctx.strokeStyle = getPalette().fuel;
+    ctx.globalAlpha = 0.6;
+    ctx.lineWidth = 2 * scale / camera.zoom;
+    ctx.beginPath();
+    ctx.arc(start.x, start.y, THRUST_DRAG_DEADZONE * scale / camera.zoom, 0, Math.PI * 2);
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(current.x, current.y);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Crosshair in the aim direction with the charge shown as a ring around the ship
+function drawAimReticle() {
+    const pos = getRenderPosition(game.player);
+    const cos = Math.cos(aimController.angle);
+    const sin = Math.sin(aimController.angle);
+    const distance = AIM_RETICLE_DISTANCE * scale;
+    const size = AIM_RETICLE_SIZE * scale;
+    const x = pos.x + cos * distance;
+    const y = pos.y + sin * distance;
+
+    const palette = getPalette();
+    ctx.save();
+    ctx.strokeStyle = palette.bonus;
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = 2 * scale;
+    ctx.beginPath();
+    ctx.moveTo(pos.x + cos * (game.player.radius + 4 * scale), pos.y + sin * (game.player.radius + 4 * scale));
+    ctx.lineTo(x - cos * size, y - sin * size);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(x, y, size, 0, Math.PI * 2);
+    ctx.moveTo(x - size * 1.5, y);
+    ctx.lineTo(x + size * 1.5, y);
+    ctx.moveTo(x, y - size * 1.5);
+    ctx.lineTo(x, y + size * 1.5);
+    ctx.stroke();
+
+    if (aimController.charge > 0) {
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = aimController.charge >= 1 ? palette.reward : palette.bonus;
+        ctx.lineWidth = 4 * scale;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, game.player.radius + 10 * scale, -Math.PI / 2, -Math.PI / 2 + aimController.charge * Math.PI * 2);
+        ctx.stroke();
     }
+    ctx.restore();
 
-    const nearbyEntities = spatialGrid.getNearbyEntities(game.player);
-    const relevantEntities = nearbyEntities.filter(entity => {
-        if (!entities.includes(entity)) return false;
-        
-        // Distance culling - skip entities that are too far away
-        const maxDistance = MAX_COLLISION_DISTANCE * scale;
-        const distanceSquared = getDistanceSquared(game.player, entity);
-        return distanceSquared < (maxDistance * maxDistance);
-    });
-    
-    for (const entity of relevantEntities) {
-        if (areCollidingOptimized(game.player, entity)) {
-            gameOver();
-            return true;
-        }
+    if (aimController.charge > 0 && playerSettings.showTrajectory) {
+        drawPredictedTrajectory(getAimVelocity());
     }
-    return false;
 }
 
-// Fast collision check with distance culling
-function checkPlayerCollisionWithEntitiesOptimizedFast(entities, onCollision) {
-    if (!spatialGrid || entities.length === 0) {
-        return checkPlayerCollisionWithEntities(entities, onCollision);
+// Launch velocity the keyboard/gamepad aim would give right now
+function getAimVelocity() {
+    const angle = aimController.angle;
+    const power = aimController.charge * PLAYER_MAX_LAUNCH_POWER * scale;
+    return { angle, power, dx: Math.cos(angle) * power, dy: Math.sin(angle) * power };
+}
+
+// Dotted gravity-aware flight path for a launch velocity, cut short by difficulty
+function drawPredictedTrajectory(velocity) {
+    if (velocity.dx === 0 && velocity.dy === 0) return;
+
+    const prediction = predictTrajectory(game, velocity, TRAJECTORY_PREDICTION_STEPS);
+    const reveal = DIFFICULTY_SETTINGS[difficulty].trajectoryReveal;
+    const visibleSteps = Math.ceil(TRAJECTORY_PREDICTION_STEPS * reveal);
+    const visiblePoints = prediction.points.slice(0, visibleSteps);
+
+    const palette = getPalette();
+    ctx.save();
+    ctx.fillStyle = palette.bonus;
+    for (let i = 0; i < visiblePoints.length; i += TRAJECTORY_DOT_SPACING) {
+        ctx.globalAlpha = 0.8 * (1 - i / visibleSteps);
+        ctx.beginPath();
+        ctx.arc(visiblePoints[i].x, visiblePoints[i].y, 2.5 * scale, 0, Math.PI * 2);
+        ctx.fill();
     }
 
-    const nearbyEntities = spatialGrid.getNearbyEntities(game.player);
-    const relevantEntities = nearbyEntities.filter(entity => {
-        if (!entities.includes(entity)) return false;
-        
-        // Distance culling - skip entities that are too far away
-        const maxDistance = MAX_COLLISION_DISTANCE * scale;
-        const distanceSquared = getDistanceSquared(game.player, entity);
-        return distanceSquared < (maxDistance * maxDistance);
-    });
-    
-    for (let i = relevantEntities.length - 1; i >= 0; i--) {
-        const entity = relevantEntities[i];
-        if (areCollidingOptimized(game.player, entity)) {
-            const index = entities.indexOf(entity);
-            if (index !== -1) {
-                onCollision(entity, index);
-            }
+    // Only mark the end of the flight if it falls inside the revealed part:
+    // a cross for a crash or leaving the screen, a circle for a safe landing or orbit
+    if (prediction.end && prediction.points.length <= visibleSteps) {
+        const { x, y } = prediction.endPoint;
+        const size = 10 * scale;
+        ctx.globalAlpha = 0.9;
+        ctx.lineWidth = 3 * scale;
+        ctx.beginPath();
+        if (prediction.end === 'landed' || prediction.end === 'orbit') {
+            ctx.strokeStyle = palette.success;
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+        } else {
+            ctx.strokeStyle = prediction.end === 'planet' ? palette.danger : palette.reward;
+            ctx.moveTo(x - size, y - size);
+            ctx.lineTo(x + size, y + size);
+            ctx.moveTo(x + size, y - size);
+            ctx.lineTo(x - size, y + size);
         }
+        ctx.stroke();
     }
+    ctx.restore();
 }
 
-// Generate a random planet
-function createRandomPlanet() {
-    return {
-        x: Math.random() * canvasWidth,
-        y: Math.random() * canvasHeight,
-        radius: (Math.random() * (PLANET_MAX_RADIUS - PLANET_MIN_RADIUS) + PLANET_MIN_RADIUS) * scale,
-        type: Math.floor(Math.random() * images.planets.length),
-        dx: (Math.random() - 0.5) * 0.5 * scale,
-        dy: (Math.random() - 0.5) * 0.5 * scale
+// Personal bests under the start screen text
+function drawProfileSummary() {
+    if (playerProfile.totalRuns === 0) return;
+    ctx.fillStyle = 'rgba(255, 215, 0, 0.8)';
+    ctx.textAlign = 'center';
+    ctx.font = `${18 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('profile.summary', {
+        score: playerProfile.bestScore,
+        level: playerProfile.highestLevel,
+        stars: playerProfile.totalStarsCollected
+    }), canvasWidth / 2, canvasHeight / 2 + (135 * scale));
+}
+
+function formatStarRating(rating) {
+    return '★'.repeat(rating) + '☆'.repeat(LEVEL_MAX_RATING - rating);
+}
+
+// Show the current slow-motion/fast-forward factor while it differs from real time
+function drawTimeScaleIndicator() {
+    if (timeScale === 1) return;
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.8)';
+    ctx.textAlign = 'right';
+    ctx.font = `${20 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(`${timeScale}x`, canvasWidth - 20 * scale, 40 * scale);
+}
+
+// Faint dashed circle the orbiting ship follows
+function drawOrbitPath() {
+    const { planet, altitude } = game.player.anchor;
+    const pos = getRenderPosition(planet);
+    ctx.save();
+    ctx.strokeStyle = getPalette().success;
+    ctx.globalAlpha = 0.35;
+    ctx.lineWidth = 1.5 * scale;
+    ctx.setLineDash([6 * scale, 6 * scale]);
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, planet.radius + game.player.radius + altitude, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Flickering exhaust on the side of the ship opposite the thrust
+function drawThrustFlame() {
+    const pos = getRenderPosition(game.player);
+    const angle = game.player.thrustAngle + Math.PI;
+    const radius = game.player.radius;
+    const length = radius * (1 + 0.3 * Math.random());
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    ctx.save();
+    ctx.fillStyle = getPalette().comet;
+    ctx.globalAlpha = 0.8;
+    ctx.beginPath();
+    ctx.moveTo(pos.x + cos * radius - sin * radius * 0.4, pos.y + sin * radius + cos * radius * 0.4);
+    ctx.lineTo(pos.x + cos * (radius + length), pos.y + sin * (radius + length));
+    ctx.lineTo(pos.x + cos * radius + sin * radius * 0.4, pos.y + sin * radius - cos * radius * 0.4);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+// Fuel left along the bottom of the screen
+function drawFuelGauge() {
+    const palette = getPalette();
+    const fraction = game.player.fuel / FUEL_CAPACITY;
+    const width = FUEL_GAUGE_WIDTH * scale;
+    const height = 10 * scale;
+    const x = (canvasWidth - width) / 2;
+    const y = canvasHeight - 30 * scale;
+
+    ctx.save();
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'right';
+    ctx.font = `${16 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(`${FUEL_PICKUP_ICON} ${t('hud.fuel')}`, x - 10 * scale, y + height);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = fraction < FUEL_LOW_FRACTION ? palette.danger : palette.fuel;
+    ctx.fillRect(x, y, width * fraction, height);
+    ctx.restore();
+}
+
+// Combo multiplier under the score, fading once it starts to drain
+function drawComboMeter() {
+    const combo = game.combo;
+    if (combo.multiplier <= 1) return;
+    ctx.save();
+    ctx.globalAlpha = combo.holdTicks > 0 ? 1 : 0.6;
+    ctx.fillStyle = getPalette().reward;
+    ctx.textAlign = 'left';
+    ctx.font = `bold ${24 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('hud.combo', { multiplier: combo.multiplier.toFixed(1) }), 20 * scale, 100 * scale);
+    ctx.restore();
+}
+
+// Points earned in a level by source, as one line
+function formatScoreBreakdown(breakdown) {
+    return SCORE_SOURCES.map(source => `${t(`score.${source}`)} ${breakdown[source]}`).join('  ·  ');
+}
+
+// Points earned in the level just finished, by source, under the level screen text
+function drawScoreBreakdown(breakdown) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.textAlign = 'center';
+    ctx.font = `${18 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(formatScoreBreakdown(breakdown), canvasWidth / 2, canvasHeight / 2 + (100 * scale));
+}
+
+// Running power-ups in the top-right corner, each with a bar that drains as it wears off
+function drawPowerUpTimers() {
+    const palette = getPalette();
+    const right = canvasWidth - 20 * scale;
+    const barWidth = POWER_UP_TIMER_WIDTH * scale;
+    const barHeight = 6 * scale;
+
+    ctx.save();
+    ctx.textAlign = 'right';
+    ctx.font = `${16 * scale}px ${FONT_FAMILY}`;
+    Object.entries(game.activePowerUps).forEach(([kind, ticksLeft], i) => {
+        const y = (80 + i * 36) * scale; // Below the time scale indicator
+        const fraction = ticksLeft / POWER_UP_KINDS[kind].duration;
+        const seconds = Math.ceil(ticksLeft * SIMULATION_STEP_MS / 1000);
+        const style = POWER_UP_STYLES[kind];
+
+        ctx.fillStyle = 'white';
+        ctx.fillText(`${style.icon} ${t(`powerUp.${kind}`)} ${seconds}s`, right, y - 6 * scale);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(right - barWidth, y, barWidth, barHeight);
+        ctx.fillStyle = palette[style.role];
+        ctx.fillRect(right - barWidth * fraction, y, barWidth * fraction, barHeight);
+    });
+    ctx.restore();
+}
+
+// The whole playfield in the bottom-right corner, with the part on screen outlined.
+// Left out when the level fits on one screen.
+function drawMinimap() {
+    if (game.screens <= 1) return;
+    const mapScale = MINIMAP_SIZE * scale / Math.max(game.width, game.height);
+    const width = game.width * mapScale;
+    const height = game.height * mapScale;
+    const left = canvasWidth - width - 20 * scale;
+    const top = canvasHeight - height - MINIMAP_MARGIN * scale;
+    const palette = getPalette();
+    const dot = (entity, color, minRadius) => {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(left + entity.x * mapScale, top + entity.y * mapScale, Math.max(minRadius, entity.radius * mapScale), 0, Math.PI * 2);
+        ctx.fill();
     };
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.fillRect(left, top, width, height);
+    ctx.strokeRect(left, top, width, height);
+
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+    game.planets.forEach(planet => dot(planet, palette.planet, 2));
+    game.collectableStars.forEach(star => dot(star, palette.reward, 1.5));
+    game.comets.forEach(comet => dot(comet, palette.comet, 1.5));
+    dot(game.player, 'white', 2.5);
+
+    const view = camera.getViewRect();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.strokeRect(left + view.x * mapScale, top + view.y * mapScale, view.width * mapScale, view.height * mapScale);
+    ctx.restore();
 }
 
-// Generate static background stars
-function generateStaticStars() {
-    for (let i = 0; i < STATIC_STAR_COUNT; i++) {
-        game.stars.push({
-            x: Math.random() * canvasWidth,
-            y: Math.random() * canvasHeight,
-            radius: (Math.random() * 2 + 1) * scale
-        });
-    }
+// A warning at the screen edge for each comet on its way, pointing where it will
+// fly, with a ring that runs down until it arrives
+function drawCometWarnings() {
+    if (game.incomingComets.length === 0) return;
+    const margin = 40 * scale;
+    const size = 16 * scale;
+    const color = getPalette().danger;
+    const pulse = getEffectIntensity() === 0 ? 1 : 0.75 + 0.25 * Math.sin(game.tick * 0.3);
+
+    ctx.save();
+    ctx.lineWidth = 3 * scale;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${size * 1.2}px ${FONT_FAMILY}`;
+    game.incomingComets.forEach(comet => {
+        const entry = camera.worldToScreen(comet.x, comet.y);
+        const x = Math.min(canvasWidth - margin, Math.max(margin, entry.x));
+        const y = Math.min(canvasHeight - margin, Math.max(margin, entry.y));
+        const heading = Math.atan2(comet.dy, comet.dx);
+        const remaining = Math.max(0, comet.arrivalTick - game.tick) / COMET_WARNING_TICKS;
+
+        ctx.globalAlpha = pulse;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(x, y, size, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, remaining));
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.fillText('!', x, y);
+        ctx.beginPath();
+        ctx.moveTo(x + Math.cos(heading) * size * 2, y + Math.sin(heading) * size * 2);
+        ctx.lineTo(x + Math.cos(heading + 0.5) * size * 1.3, y + Math.sin(heading + 0.5) * size * 1.3);
+        ctx.lineTo(x + Math.cos(heading - 0.5) * size * 1.3, y + Math.sin(heading - 0.5) * size * 1.3);
+        ctx.closePath();
+        ctx.fill();
+    });
+    ctx.restore();
+}
+
+// Frames per second in the top-left corner, when turned on in the settings
+function drawFpsCounter() {
+    if (!playerSettings.showFps) return;
+    ctx.fillStyle = 'rgba(0, 255, 0, 0.8)';
+    ctx.textAlign = 'left';
+    ctx.font = `${16 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(`${Math.round(fpsEstimate)} FPS`, 20 * scale, canvasHeight - 20 * scale);
 }
 
-// Spatial partitioning for collision optimization
-class SpatialGrid {
-    constructor(width, height, cellSize) {
-        this.width = width;
-        this.height = height;
-        this.cellSize = cellSize;
-        this.cols = Math.ceil(width / cellSize);
-        this.rows = Math.ceil(height / cellSize);
-        this.grid = [];
-        this.clear();
+function drawScreen(title, subtitle1, subtitle2) {
+    ctx.drawImage(images.background, 0, 0, canvasWidth, canvasHeight);
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    
+    ctx.font = `${40 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(title, canvasWidth / 2, canvasHeight / 2 - (30 * scale));
+    
+    ctx.font = `${20 * scale}px ${FONT_FAMILY}`;
+    if (subtitle1) {
+        ctx.fillText(subtitle1, canvasWidth / 2, canvasHeight / 2 + (20 * scale));
+    }
+    if (subtitle2) {
+        ctx.fillText(subtitle2, canvasWidth / 2, canvasHeight / 2 + (60 * scale));
     }
+}
+
+// Dim the frozen game and say how to carry on
+function drawPauseOverlay() {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.font = `${40 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('pause.title'), canvasWidth / 2, canvasHeight / 2 - (30 * scale));
+    ctx.font = `${20 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('pause.hint', getKeyLabels()), canvasWidth / 2, canvasHeight / 2 + (20 * scale));
+}
+
+// Keyboard and gamepad controls along the bottom of the start screen
+function drawControlsHint() {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'center';
+    ctx.font = `${16 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('start.controls', getKeyLabels()), canvasWidth / 2, canvasHeight - 30 * scale);
+}
+
+// Show the current seed code so runs can be shared and reproduced
+function drawSeedLabel() {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.textAlign = 'center';
+    ctx.font = `${18 * scale}px ${FONT_FAMILY}`;
+    ctx.fillText(t('seed.label', { seed: game.seed }), canvasWidth / 2, canvasHeight / 2 + (100 * scale));
+}
 
-    clear() {
-        this.grid = [];
-        for (let i = 0; i < this.cols * this.rows; i++) {
-            this.grid[i] = [];
+
+// --- GAME LOOP ---
+
+// Remember where moving entities were before a tick, for interpolated rendering
+function snapshotPositions(...entities) {
+    entities.forEach(entity => {
+        entity.prevX = entity.x;
+        entity.prevY = entity.y;
+    });
+}
+
+// Change the simulation speed (slow-motion below 1, fast-forward above 1)
+function setTimeScale(newScale) {
+    timeScale = Math.min(MAX_TIME_SCALE, Math.max(MIN_TIME_SCALE, newScale));
+}
+
+// Advance the simulation by however many fixed ticks fit into this frame
+function stepSimulation(frameDelta) {
+    simulationAccumulator += Math.min(frameDelta, MAX_FRAME_DELTA_MS) * timeScale;
+
+    let steps = 0;
+    while (simulationAccumulator >= SIMULATION_STEP_MS) {
+        if (steps >= MAX_STEPS_PER_FRAME) {
+            // Too far behind to catch up, drop the backlog rather than freezing
+            simulationAccumulator = 0;
+            break;
         }
-    }
+        snapshotPositions(game.player, ...getAllEntities(game));
+        gameStateMachine.update();
+        simulationAccumulator -= SIMULATION_STEP_MS;
+        steps++;
 
-    getCell(x, y) {
-        const col = Math.floor(x / this.cellSize);
-        const row = Math.floor(y / this.cellSize);
-        if (col >= 0 && col < this.cols && row >= 0 && row < this.rows) {
-            return col + row * this.cols;
+        if (gameStateMachine.isInState(GAME_STATES.GAME_OVER)) {
+            simulationAccumulator = 0;
+            break;
         }
-        return -1;
     }
 
-    insert(entity) {
-        // Insert entity into all cells it might occupy
-        const minX = Math.max(0, Math.floor((entity.x - entity.radius) / this.cellSize));
-        const maxX = Math.min(this.cols - 1, Math.floor((entity.x + entity.radius) / this.cellSize));
-        const minY = Math.max(0, Math.floor((entity.y - entity.radius) / this.cellSize));
-        const maxY = Math.min(this.rows - 1, Math.floor((entity.y + entity.radius) / this.cellSize));
+    renderAlpha = simulationAccumulator / SIMULATION_STEP_MS;
+}
+
+// Aiming and gamepad polling run on their own loop, in real time, so they keep
+// working while the game loop is stopped (GAME_OVER) or slowed down
+function controlsLoop(timestamp = performance.now()) {
+    const frameDelta = lastControlsTime === null ? 0 : Math.min(timestamp - lastControlsTime, MAX_FRAME_DELTA_MS);
+    lastControlsTime = timestamp;
 
-        for (let x = minX; x <= maxX; x++) {
-            for (let y = minY; y <= maxY; y++) {
-                const cellIndex = x + y * this.cols;
-                this.grid[cellIndex].push(entity);
-            }
+    if (gameStateMachine) {
+        inputManager.pollGamepad(getActiveGamepad());
+        if (gameStateMachine.isInState(GAME_STATES.PLAYING)) {
+            aimController.update(frameDelta);
         }
     }
+    requestAnimationFrame(controlsLoop);
+}
 
-    getNearbyEntities(entity) {
-        const nearby = new Set();
-        const minX = Math.max(0, Math.floor((entity.x - entity.radius) / this.cellSize));
-        const maxX = Math.min(this.cols - 1, Math.floor((entity.x + entity.radius) / this.cellSize));
-        const minY = Math.max(0, Math.floor((entity.y - entity.radius) / this.cellSize));
-        const maxY = Math.min(this.rows - 1, Math.floor((entity.y + entity.radius) / this.cellSize));
-
-        for (let x = minX; x <= maxX; x++) {
-            for (let y = minY; y <= maxY; y++) {
-                const cellIndex = x + y * this.cols;
-                this.grid[cellIndex].forEach(e => nearby.add(e));
-            }
-        }
-        return Array.from(nearby);
+function gameLoop(timestamp = performance.now()) {
+    if (!gameStateMachine) {
+        // Fallback if state machine not initialized
+        requestAnimationFrame(gameLoop);
+        return;
+    }
+    
+    // Update current state in fixed steps
+    const frameDelta = lastFrameTime === null ? 0 : timestamp - lastFrameTime;
+    lastFrameTime = timestamp;
+    if (frameDelta > 0) {
+        fpsEstimate += (1000 / frameDelta - fpsEstimate) * FPS_SMOOTHING;
+    }
+    stepSimulation(frameDelta);
+    updateDrone();
+    updateCamera(Math.min(frameDelta, MAX_FRAME_DELTA_MS));
+    
+    // Render current state
+    gameStateMachine.render();
+    
+    // Continue loop unless in GAME_OVER state, where it only runs until the crash shake settles
+    if (!gameStateMachine.isInState(GAME_STATES.GAME_OVER) || camera.shake) {
+        animationFrameId = requestAnimationFrame(gameLoop);
     }
 }
 
-// Global spatial grid
-let spatialGrid;
 
-// Draw entity with image
-function drawEntity(entity, image) {
-    ctx.drawImage(image, 
-                 entity.x - entity.radius, 
-                 entity.y - entity.radius, 
-                 entity.radius * 2, 
-                 entity.radius * 2);
+// The drone follows the ship while it flies and settles back when it isn't
+function updateDrone() {
+    const flying = game.player.isMoving &&
+        (gameStateMachine.isInState(GAME_STATES.PLAYING) || gameStateMachine.isInState(GAME_STATES.REPLAY));
+    const speed = flying ? Math.hypot(game.player.dx, game.player.dy) / scale : 0;
+    audioEngine.setDroneSpeed(speed);
 }
 
-// --- CORE FUNCTIONS ---
+// --- REPLAY PLAYBACK ---
 
-function resizeCanvas() {
-    canvasWidth = window.innerWidth;
-    canvasHeight = window.innerHeight;
-    canvas.width = canvasWidth;
-    canvas.height = canvasHeight;
-    scale = canvasHeight / BASE_HEIGHT;
-    
-    // Initialize spatial grid for collision optimization
-    const cellSize = Math.max(PLANET_MAX_RADIUS * 2 * scale, 100);
-    spatialGrid = new SpatialGrid(canvasWidth, canvasHeight, cellSize);
+function startReplay(recording) {
+    if (gameStateMachine.transition(GAME_STATES.REPLAY, { replay: recording })) {
+        restartGameLoop(); // The loop is stopped after GAME_OVER
+    }
 }
 
-function init() {
-    game.score = 0;
-    game.currentLevel = 1;
+// Put the world back to how the recorded run started
+function resetReplayRun() {
+    setRunSeed(activeReplay.recording.seed);
+    resetRun(game, activeReplay.recording.startLevel);
+    const { fixed, outcomes } = activeReplay.recording.difficulty;
+    game.difficulty = createDifficultyState(fixed, outcomes);
+    game.effects = [];
+    activeReplay.ended = false;
+    activeReplay.nextLaunch = 0;
+    activeReplay.nextThrust = 0;
+    setupLevel(game);
     updateScore(game.score);
-    gameOverScreen.style.display = 'none';
-    
-    // Initialize state machine if not already done
-    if (!gameStateMachine) {
-        gameStateMachine = new GameStateMachine();
+}
+
+// Apply any launches and thrust changes due on this tick, then run it exactly like live play
+function stepReplayTick() {
+    const launches = activeReplay.recording.launches;
+    while (activeReplay.nextLaunch < launches.length && launches[activeReplay.nextLaunch].tick <= game.tick) {
+        const launch = launches[activeReplay.nextLaunch++];
+        launchPlayer(game, launch.angle, launch.power);
+        if (!activeReplay.seeking) {
+            playLaunchSound(launch.power);
+        }
     }
-    
-    // Transition to start state
-    gameStateMachine.transition(GAME_STATES.START);
+    const thrust = activeReplay.recording.thrust;
+    while (activeReplay.nextThrust < thrust.length && thrust[activeReplay.nextThrust].tick <= game.tick) {
+        setThrust(game, thrust[activeReplay.nextThrust++].angle);
+    }
+
+    updateRun();
+
+    if (game.tick > activeReplay.recording.endTick) {
+        activeReplay.ended = true;
+    }
+}
+
+function updateReplay() {
+    if (activeReplay.paused || activeReplay.ended) return;
+    stepReplayTick();
+}
+
+// Jump to any tick by re-simulating from the start; the run is deterministic
+function seekReplay(targetTick) {
+    const target = Math.max(0, Math.min(targetTick, activeReplay.recording.endTick));
+    resetReplayRun();
+    activeReplay.seeking = true;
+    while (game.tick < target && !activeReplay.ended) {
+        stepReplayTick();
+    }
+    activeReplay.seeking = false;
+    cameraTarget = null; // Cut straight to the ship rather than panning across the level
+    game.effects = []; // Don't replay every effect fired on the way
+    snapshotPositions(game.player, ...getAllEntities(game));
+}
 
-    game.player = {
-        x: canvasWidth / 2,
-        y: canvasHeight / 3,
-        dx: 0,
-        dy: 0,
-        radius: PLAYER_RADIUS * scale,
-        isMoving: false
+// Format a tick count as m:ss
+function formatTicks(ticks) {
+    const totalSeconds = Math.floor(ticks * SIMULATION_STEP_MS / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+// Progress bar position in canvas pixels (replay controls ignore the world transform)
+function getReplayBarRect() {
+    const uiScale = canvas.height / BASE_HEIGHT;
+    const margin = REPLAY_BAR_MARGIN * uiScale;
+    const height = REPLAY_BAR_HEIGHT * uiScale;
+    return {
+        x: margin,
+        y: canvas.height - margin - height,
+        width: canvas.width - margin * 2,
+        height: height
     };
+}
 
-    game.planets = [];
-    game.stars = [];
-    game.comets = [];
-    game.collectableStars = [];
-    game.effects = [];
+function drawReplay() {
+    // Letterbox the recorded world into the current window
+    const viewScale = Math.min(canvas.width / canvasWidth, canvas.height / canvasHeight);
+    const offsetX = (canvas.width - canvasWidth * viewScale) / 2;
+    const offsetY = (canvas.height - canvasHeight * viewScale) / 2;
 
-    generateStaticStars();
-    
-    // Lazy load non-critical assets if not already loaded
-    ensureNonCriticalAssetsLoaded();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.setTransform(viewScale, 0, 0, viewScale, offsetX, offsetY);
+    draw();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
 
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-    }
-    gameLoop();
+    drawReplayControls();
 }
 
-function setupLevel() {
-    game.player.x = canvasWidth / 2;
-    game.player.y = canvasHeight / 3;
-    game.player.dx = 0;
-    game.player.dy = 0;
-    game.player.isMoving = false;
+function drawReplayControls() {
+    const uiScale = canvas.height / BASE_HEIGHT;
+    const bar = getReplayBarRect();
+    const endTick = activeReplay.recording.endTick;
+    const progress = endTick > 0 ? Math.min(game.tick / endTick, 1) : 1;
 
-    generatePlanetsForLevel();
+    // Progress bar
+    ctx.strokeStyle = '#00FFFF';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(bar.x, bar.y, bar.width, bar.height);
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.6)';
+    ctx.fillRect(bar.x, bar.y, bar.width * progress, bar.height);
+
+    // Launch markers
+    ctx.fillStyle = '#FFD700';
+    activeReplay.recording.launches.forEach(launch => {
+        const x = bar.x + bar.width * (endTick > 0 ? launch.tick / endTick : 0);
+        ctx.fillRect(x - 1, bar.y - 4 * uiScale, 2, bar.height + 8 * uiScale);
+    });
 
-    if (game.currentLevel >= COMET_START_LEVEL) {
-        generateComet();
-    }
+    let status = activeReplay.paused ? t('replay.paused') : `${timeScale}x`;
+    if (activeReplay.ended) status = t('replay.ended');
+
+    ctx.fillStyle = 'white';
+    ctx.font = `${18 * uiScale}px ${FONT_FAMILY}`;
+    ctx.textAlign = 'left';
+    ctx.fillText(t('replay.status', {
+        seed: activeReplay.recording.seed,
+        time: formatTicks(game.tick),
+        end: formatTicks(endTick),
+        status
+    }), bar.x, bar.y - 16 * uiScale);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText(t('replay.help', getKeyLabels()), bar.x + bar.width, bar.y - 16 * uiScale);
 }
 
+// Clicking the progress bar scrubs to that point
+function handleReplayClick(x, y) {
+    const bar = getReplayBarRect();
+    const slack = bar.height * 2;
 
+    if (x >= bar.x && x <= bar.x + bar.width &&
+        y >= bar.y - slack && y <= bar.y + bar.height + slack) {
+        const fraction = (x - bar.x) / bar.width;
+        seekReplay(Math.round(fraction * activeReplay.recording.endTick));
+    }
+}
 
-function gameOver() {
-    gameState = 'GAME_OVER';
-    cancelAnimationFrame(animationFrameId);
-    finalScoreEl.textContent = game.score;
-    gameOverScreen.style.display = 'flex';
+function handleReplayAction(action) {
+    if (action.name === 'aim') {
+        if (action.phase === 'pressed' && action.device === 'pointer') {
+            handleReplayClick(action.x, action.y);
+            return true;
+        }
+        return false;
+    }
+    if (action.phase !== 'pressed') return false;
+
+    switch (action.name) {
+        case 'confirm':
+            if (activeReplay.ended) {
+                // Watch again from the start
+                seekReplay(0);
+                activeReplay.paused = false;
+            } else {
+                activeReplay.paused = !activeReplay.paused;
+            }
+            return true;
+        case 'turnLeft':
+            seekReplay(game.tick - REPLAY_SCRUB_TICKS);
+            return true;
+        case 'turnRight':
+            seekReplay(game.tick + REPLAY_SCRUB_TICKS);
+            return true;
+        case 'slower':
+            setTimeScale(timeScale / TIME_SCALE_STEP);
+            return true;
+        case 'faster':
+            setTimeScale(timeScale * TIME_SCALE_STEP);
+            return true;
+        case 'back':
+            init(); // Back to the start screen with a fresh run
+            return true;
+    }
+    return false;
 }
 
 
-// --- ENTITY GENERATION ---
+// --- INPUT ---
+// Devices feed the input manager (input.js); the actions it produces go to the
+// current state's onAction handler. Only the level editor reads raw events.
 
-function generateComet() {
-    let x, y, dx, dy;
-    const speed = COMET_SPEED * scale;
-    const edge = Math.floor(Math.random() * 4);
+const inputManager = new InputManager(loadBindings(), handleAction);
 
-    switch (edge) {
-        case 0: // Top
-            x = Math.random() * canvasWidth; y = 0;
-            dx = (Math.random() - 0.5) * speed; dy = Math.random() * speed;
-            break;
-        case 1: // Right
-            x = canvasWidth; y = Math.random() * canvasHeight;
-            dx = -Math.random() * speed; dy = (Math.random() - 0.5) * speed;
-            break;
-        case 2: // Bottom
-            x = Math.random() * canvasWidth; y = canvasHeight;
-            dx = (Math.random() - 0.5) * speed; dy = -Math.random() * speed;
-            break;
-        case 3: // Left
-            x = 0; y = Math.random() * canvasHeight;
-            dx = Math.random() * speed; dy = (Math.random() - 0.5) * speed;
-            break;
+// Actions that work on every screen, then whatever the current state does with it
+function handleAction(action) {
+    if (action.name === 'mute' && action.phase === 'pressed') {
+        toggleMute();
+        return true;
     }
+    return gameStateMachine.handleAction(action);
+}
 
-    game.comets.push({ x, y, dx, dy, radius: COMET_RADIUS * scale });
+// Any press starts the game from the start and level transition screens
+function handleStartAction(action) {
+    if (action.phase !== 'pressed' || action.name === 'back') return false;
+    return gameStateMachine.transition(GAME_STATES.PLAYING);
 }
 
-function generatePlanetsForLevel() {
-    game.planets = [];
-    // Add a central planet
-    game.planets.push({
-        x: canvasWidth / 2,
-        y: canvasHeight / 2,
-        radius: (40 * scale),
-        type: Math.floor(Math.random() * images.planets.length),
-        dx: (Math.random() - 0.5) * 0.5 * scale,
-        dy: (Math.random() - 0.5) * 0.5 * scale
-    });
+// Drag to launch with the pointer; turn, charge and launch with keys or a gamepad
+function handlePlayingAction(action) {
+    switch (action.name) {
+        case 'aim':
+            if (action.device === 'gamepad') {
+                aimController.setAngle(action.angle);
+            } else if (action.phase === 'pressed') {
+                startDrag(action.x, action.y);
+            } else if (isDragging && action.phase === 'moved') {
+                // Track the pointer so the trajectory preview follows the aim
+                dragCurrentX = action.x;
+                dragCurrentY = action.y;
+            } else if (isDragging && action.phase === 'released') {
+                releaseDrag(action.x, action.y);
+            }
+            return true;
+        case 'turnLeft':
+        case 'turnRight':
+            aimController.setTurn((inputManager.isHeld('turnRight') ? 1 : 0) - (inputManager.isHeld('turnLeft') ? 1 : 0));
+            return true;
+        case 'charge':
+            if (action.phase === 'pressed') {
+                if (!game.player.isMoving) aimController.startCharge(); // Launches are from rest only
+            } else if (aimController.isCharging()) {
+                aimController.stopCharge();
+                // A key has no separate launch button by default, so letting go fires;
+                // a trigger keeps its charge until launch is pressed
+                if (action.device === 'keyboard') launchFromAim();
+            }
+            return true;
+        case 'thrust':
+            // Thrust goes where the reticle points; updateThrust reads the held state every tick
+            aimController.active = true;
+            return true;
+    }
+    if (action.phase !== 'pressed') return false;
 
-    const numPlanets = BASE_PLANET_COUNT + (game.currentLevel - 1) * PLANET_COUNT_PER_LEVEL;
-    for (let i = 0; i < numPlanets; i++) {
-        game.planets.push(createRandomPlanet());
+    switch (action.name) {
+        case 'launch':
+            launchFromAim();
+            return true;
+        case 'pause':
+            return gameStateMachine.transition(GAME_STATES.PAUSED);
+        case 'slower':
+            setTimeScale(timeScale / TIME_SCALE_STEP);
+            return true;
+        case 'faster':
+            setTimeScale(timeScale * TIME_SCALE_STEP);
+            return true;
     }
+    return false;
 }
 
+function startDrag(x, y) {
+    aimController.reset(); // The pointer takes over from keyboard/gamepad aiming
+    isDragging = true;
+    dragStartX = x;
+    dragStartY = y;
+    dragCurrentX = x;
+    dragCurrentY = y;
+}
 
-// --- GAME LOGIC (UPDATE) ---
-
-function update() {
-    if (gameState !== 'PLAYING') return;
+// At rest a drag launches; in flight it only steered the thrust
+function releaseDrag(x, y) {
+    isDragging = false;
+    if (game.player.isMoving) return;
+    const velocity = getDragLaunchVelocity(x, y);
+    launchShip(velocity.angle, velocity.power);
+}
 
-    updatePlanets();
-    updateComets();
-    updatePlayer();
-    spawnCollectableStars();
-    updateEffects(); // Update visual effects
-    checkCollisions();
-    checkLevelCompletion();
+// Launch velocity for a drag from where it started to x, y. The pointer is in screen
+// pixels, so both ends go through the camera first: power follows the drag's length in
+// the world, the same units the ship flies in, whatever the zoom.
+function getDragLaunchVelocity(x, y) {
+    const from = camera.screenToWorld(dragStartX, dragStartY);
+    const to = camera.screenToWorld(x, y);
+    return computeLaunchVelocity(game, from.x, from.y, to.x, to.y, playerSettings.dragSensitivity);
 }
 
-function updatePlanets() {
-    game.planets.forEach(p => {
-        updateEntityWithBounce(p, canvasWidth, canvasHeight);
-    });
+// Fire with whatever the keyboard/gamepad aim has charged
+function launchFromAim() {
+    const charge = aimController.release();
+    if (charge > 0 && !game.player.isMoving) {
+        launchShip(aimController.angle, charge * PLAYER_MAX_LAUNCH_POWER * scale);
+    }
 }
 
-function updateComets() {
-    game.comets.forEach((c, index) => {
-        c.x += c.dx;
-        c.y += c.dy;
-        // Remove if off-screen
-        if (isOffScreen(c, canvasWidth, canvasHeight)) {
-            game.comets.splice(index, 1);
-        }
-    });
+// Every live launch goes through here, whichever device aimed it
+function launchShip(angle, power) {
+    // Takes effect on the next tick, which is the tick the recording stores
+    runRecorder.recordLaunch(game.tick, angle, power);
+    launchPlayer(game, angle, power);
+    playLaunchSound(power);
 }
 
-function updatePlayer() {
-    if (!game.player.isMoving) return;
+// Thrust follows a drag in flight, or the thrust action along the aim. Changes are
+// recorded on the tick they take effect, like launches.
+function updateThrust() {
+    const angle = getThrustInput();
+    if (angle !== game.player.thrustAngle) {
+        runRecorder.recordThrust(game.tick, angle);
+        setThrust(game, angle);
+    }
+}
 
-    let totalGravityX = 0;
-    let totalGravityY = 0;
+// Direction the player is asking to thrust in, or null
+function getThrustInput() {
+    const p = game.player;
+    if (!p.isMoving || p.fuel <= 0) return null;
+    if (isDragging) {
+        const dx = dragCurrentX - dragStartX;
+        const dy = dragCurrentY - dragStartY;
+        return Math.hypot(dx, dy) >= THRUST_DRAG_DEADZONE * scale ? Math.atan2(dy, dx) : null;
+    }
+    return inputManager.isHeld('thrust') ? aimController.angle : null;
+}
 
-    game.planets.forEach(p => {
-        const dx = p.x - game.player.x;
-        const dy = p.y - game.player.y;
-        const distSq = dx * dx + dy * dy;
-        if (distSq > 1) { // Avoid division by zero
-            const force = (GRAVITY * p.radius / distSq) * scale;
-            totalGravityX += dx * force;
-            totalGravityY += dy * force;
-        }
-    });
+function playLaunchSound(power) {
+    audioEngine.playLaunch(power / (PLAYER_MAX_LAUNCH_POWER * scale));
+}
 
-    game.player.dx += totalGravityX;
-    game.player.dy += totalGravityY;
-    game.player.x += game.player.dx;
-    game.player.y += game.player.dy;
+// Raw pointer events become 'aim' actions, except in the editor
+function getPointerPosition(e) {
+    const point = e.changedTouches ? e.changedTouches[0] : e;
+    return { x: point.clientX, y: point.clientY };
+}
 
-    game.score++;
-    updateScore(game.score);
+function handleMouseDown(e) {
+    if (gameStateMachine.isInState(GAME_STATES.EDITOR)) {
+        handleEditorMouseDown(e);
+        return;
+    }
+    const { x, y } = getPointerPosition(e);
+    inputManager.pointer('pressed', x, y);
 }
 
-function spawnCollectableStars() {
-    if (Math.random() < STAR_SPAWN_RATE) {
-        game.collectableStars.push({
-            x: Math.random() * canvasWidth,
-            y: Math.random() * canvasHeight,
-            radius: STAR_RADIUS * scale
-        });
+function handleMouseMove(e) {
+    if (gameStateMachine.isInState(GAME_STATES.EDITOR)) {
+        handleEditorMouseMove(e);
+        return;
     }
+    const { x, y } = getPointerPosition(e);
+    inputManager.pointer('moved', x, y);
 }
 
-function updateSpatialGrid() {
-    if (!spatialGrid) return;
-    
-    spatialGrid.clear();
-    
-    // Insert all collidable entities into spatial grid
-    game.planets.forEach(planet => spatialGrid.insert(planet));
-    game.comets.forEach(comet => spatialGrid.insert(comet));
-    game.collectableStars.forEach(star => spatialGrid.insert(star));
+function handleMouseUp(e) {
+    if (gameStateMachine.isInState(GAME_STATES.EDITOR)) {
+        handleEditorMouseUp(e);
+        return;
+    }
+    const { x, y } = getPointerPosition(e);
+    inputManager.pointer('released', x, y);
 }
 
-function checkCollisions() {
-    const p = game.player;
-    frameCount++;
+// Form fields and buttons keep their own keys, apart from whatever is bound to 'back'
+function isKeyForPage(e) {
+    if (!e.target || !['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(e.target.tagName)) return false;
+    return !inputManager.getActionsFor('keyboard', normalizeKey(e.key)).includes('back');
+}
 
-    // Update spatial grid less frequently for better performance
-    if (frameCount % COLLISION_CHECK_FREQUENCY === 0) {
-        updateSpatialGrid();
+function handleKeyDown(e) {
+    if (inputManager.capture) {
+        // Rebinding from the settings screen takes the very next key
+        e.preventDefault();
+        inputManager.keyDown(e.key);
+        return;
     }
+    if (isKeyForPage(e)) return;
 
-    // Player vs Planets (optimized)
-    if (checkPlayerCollisionWithDangerousEntitiesOptimized(game.planets)) {
+    if (gameStateMachine.isInState(GAME_STATES.EDITOR)) {
+        handleEditorKey(e);
         return;
     }
 
-    // Player vs Comets (optimized)
-    if (checkPlayerCollisionWithDangerousEntitiesOptimized(game.comets)) {
+    if (editorTestPlay && gameStateMachine.isInState(GAME_STATES.PLAYING) && e.key.toLowerCase() === 't') {
+        toggleEditorTestPlay();
         return;
     }
-    
-    // Player vs Collectable Stars
-    checkPlayerCollisionWithEntities(game.collectableStars, (star, index) => {
-        game.score += STAR_SCORE;
-        updateScore(game.score);
-        game.collectableStars.splice(index, 1);
-    });
 
-    // Player vs Walls (most critical check, always run)
-    if (p.x < 0 || p.x > canvasWidth || p.y < 0 || p.y > canvasHeight) {
-        gameOver();
+    const actions = inputManager.keyDown(e.key);
+    if (actions.length === 0 && !e.repeat) {
+        // Unbound keys still count as "any key" on the start screen
+        gameStateMachine.handleAction({ name: 'anyKey', phase: 'pressed', device: 'keyboard' });
     }
 }
 
-function checkLevelCompletion() {
-    const requiredScore = BASE_SCORE_THRESHOLD * Math.pow(SCORE_THRESHOLD_MULTIPLIER, game.currentLevel - 1);
-    if (game.score >= requiredScore) {
-        game.currentLevel++;
-        gameStateMachine.transition(GAME_STATES.LEVEL_TRANSITION);
-    }
+function handleKeyUp(e) {
+    inputManager.keyUp(e.key);
 }
 
-
-// --- DRAWING ---
-
-function draw() {
-    // Use background if available, otherwise fallback
-    if (images.background) {
-        ctx.drawImage(images.background, 0, 0, canvasWidth, canvasHeight);
-    } else {
-        ctx.fillStyle = '#000011';
-        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-    }
-    
-    drawStars();
-    drawPlanets();
-    drawComets();
-    drawCollectableStars();
-    drawPlayer();
-    drawTrajectoryLine();
-    drawEffects(); // Draw visual effects
+// Display name for a bound key, e.g. ' ' -> 'Space', 'm' -> 'M'
+function formatKeyName(key) {
+    const named = { ' ': 'key.space', Escape: 'key.escape', Enter: 'key.enter' };
+    const arrows = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓' };
+    if (named[key]) return t(named[key]);
+    if (arrows[key]) return arrows[key];
+    return key.length === 1 ? key.toUpperCase() : key;
 }
 
-// Ensure non-critical assets are loaded when needed
-function ensureNonCriticalAssetsLoaded() {
-    // Check if non-critical assets are loaded, if not, load them
-    if (typeof lazyLoadAsset === 'function') {
-        ['comet', 'planets', 'star'].forEach(assetKey => {
-            if (!images[assetKey]) {
-                lazyLoadAsset(assetKey)
-                    .then(asset => {
-                        images[assetKey] = asset;
-                        console.log(`✓ Lazy loaded: ${assetKey}`);
-                    })
-                    .catch(err => {
-                        console.warn(`Failed to lazy load ${assetKey}:`, err);
-                        // Create fallback
-                        if (assetKey === 'planets') {
-                            images[assetKey] = [createFallbackImage(64, 64, '#4ECDC4', 'P')];
-                        } else {
-                            images[assetKey] = createFallbackImage(64, 64, '#4ECDC4', assetKey.charAt(0).toUpperCase());
-                        }
-                    });
-            }
-        });
-    }
+function formatBinding(device, action) {
+    const codes = inputManager.bindings[device][action];
+    if (codes.length === 0) return t('controls.unbound');
+    return codes.map(code => (device === 'keyboard' ? formatKeyName(code) : t('controls.button', { n: code }))).join(' / ');
 }
 
-function drawStars() {
-    ctx.fillStyle = 'white';
-    game.stars.forEach(star => {
-        ctx.beginPath();
-        ctx.arc(star.x, star.y, star.radius, 0, Math.PI * 2);
-        ctx.fill();
-    });
+// Keyboard bindings by action name, to fill in the help text placeholders
+function getKeyLabels() {
+    return Object.fromEntries(INPUT_ACTIONS.map(action => [action, formatBinding('keyboard', action)]));
 }
 
-function drawPlanets() {
-    game.planets.forEach(p => {
-        const planetImage = images.planets[p.type];
-        if (planetImage) {
-            drawEntity(p, planetImage);
-        }
-    });
+// First connected gamepad, if the browser reports any
+function getActiveGamepad() {
+    const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    return gamepads.find(pad => pad && pad.connected) || null;
 }
 
-function drawComets() {
-    game.comets.forEach(c => {
-        drawEntity(c, images.comet);
-    });
+window.addEventListener('resize', () => {
+    resizeCanvas();
+    init(); // Re-initialize the game on resize
+});
+
+canvas.addEventListener('mousedown', handleMouseDown);
+canvas.addEventListener('mousemove', handleMouseMove);
+canvas.addEventListener('mouseup', handleMouseUp);
+canvas.addEventListener('wheel', (e) => {
+    if (gameStateMachine.isInState(GAME_STATES.EDITOR)) {
+        handleEditorWheel(e);
+    }
+}, { passive: false });
+document.getElementById('open-editor-button').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.EDITOR);
+});
+restartButton.addEventListener('click', init);
+
+// Audio can only start once the player has interacted with the page
+['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+    window.addEventListener(type, () => audioEngine.unlock());
+});
+
+function toggleMute() {
+    playerSettings.muted = !playerSettings.muted;
+    applySettings();
+    syncSettingsInputs();
 }
 
-function drawCollectableStars() {
-    game.collectableStars.forEach(s => {
-        drawEntity(s, images.star);
+muteButton.addEventListener('click', () => {
+    toggleMute();
+    muteButton.blur(); // Keep Space for the game rather than pressing the button again
+});
+
+// Save the finished run to the local profile and show how it compares
+function recordRunInPlayerProfile() {
+    const records = recordRunInProfile(playerProfile, {
+        score: game.score,
+        level: game.currentLevel,
+        seed: game.seed,
+        mode: difficulty,
+        starsCollected: game.runStats.starsCollected,
+        flightTime: game.runStats.flightTicks * SIMULATION_STEP_MS / 1000
     });
+    saveProfile(playerProfile);
+
+    const flags = [];
+    if (records.bestScore) flags.push(t('gameOver.newBestScore'));
+    if (records.highestLevel) flags.push(t('gameOver.newHighestLevel'));
+    personalBestEl.textContent = flags.length > 0
+        ? flags.join(' ')
+        : t('gameOver.personalBest', { score: playerProfile.bestScore, level: playerProfile.highestLevel });
+    personalBestEl.classList.toggle('new-record', flags.length > 0);
 }
 
-function drawPlayer() {
-    drawEntity(game.player, images.playerShip);
+// Keep what the adaptive difficulty learned as soon as it learns it, so a run
+// abandoned from the pause menu still tunes the next one
+function saveDifficultyOutcomes() {
+    if (activeReplay) return;
+    playerProfile.difficultyOutcomes = game.difficulty.outcomes;
+    saveProfile(playerProfile);
 }
 
-function drawTrajectoryLine() {
-    if (isDragging) {
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-        ctx.lineWidth = 2 * scale;
-        ctx.beginPath();
-        ctx.moveTo(game.player.x, game.player.y);
-        ctx.lineTo(dragStartX, dragStartY);
-        ctx.stroke();
-    }
+// Offer the name entry again for each new game over
+function resetScoreForm() {
+    finalRankEl.textContent = '';
+    scoreForm.style.display = 'flex';
+    scoreForm.querySelector('button').disabled = false;
 }
 
-function drawScreen(title, subtitle1, subtitle2) {
-    ctx.drawImage(images.background, 0, 0, canvasWidth, canvasHeight);
-    ctx.fillStyle = 'white';
-    ctx.textAlign = 'center';
-    
-    ctx.font = `${40 * scale}px ${FONT_FAMILY}`;
-    ctx.fillText(title, canvasWidth / 2, canvasHeight / 2 - (30 * scale));
-    
-    ctx.font = `${20 * scale}px ${FONT_FAMILY}`;
-    if (subtitle1) {
-        ctx.fillText(subtitle1, canvasWidth / 2, canvasHeight / 2 + (20 * scale));
-    }
-    if (subtitle2) {
-        ctx.fillText(subtitle2, canvasWidth / 2, canvasHeight / 2 + (60 * scale));
+// Send the finished run to the leaderboard and show where it placed
+scoreForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = playerNameInput.value.trim();
+    if (!name) return;
+
+    const submitButton = scoreForm.querySelector('button');
+    submitButton.disabled = true;
+    finalRankEl.textContent = '…';
+
+    submitHighScore({
+        name: name,
+        score: game.score,
+        level: game.currentLevel,
+        mode: difficulty,
+        seed: game.seed,
+        fixedDifficulty: game.difficulty.fixed
+    })
+        .then(result => {
+            const rankKey = result.entry.fixedDifficulty ? 'gameOver.rank' : 'gameOver.rankAdaptive';
+            finalRankEl.textContent = t(rankKey, { rank: result.rank, total: result.total });
+            scoreForm.style.display = 'none';
+        })
+        .catch(err => {
+            console.warn('Score submission failed:', err.message);
+            finalRankEl.textContent = `(${err.message})`;
+            submitButton.disabled = false;
+        });
+});
+
+// One button per campaign level, locked until the previous one is completed
+function buildLevelSelectGrid() {
+    levelGrid.innerHTML = '';
+    if (campaignLevels.length === 0) {
+        levelGrid.textContent = t('levelSelect.empty');
+        return;
     }
+
+    campaignLevels.forEach((level, index) => {
+        const levelNumber = index + 1;
+        const unlocked = isCampaignLevelUnlocked(playerProfile, campaignLevels, index);
+        const rating = playerProfile.campaign.ratings[level.id] || 0;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'level-button';
+        button.disabled = !unlocked;
+        button.innerHTML = `<span class="level-number">${levelNumber}</span>` +
+            `<span class="level-name"></span>` +
+            `<span class="level-rating">${unlocked ? formatStarRating(rating) : '🔒'}</span>`;
+        button.querySelector('.level-name').textContent = level.name;
+        button.addEventListener('click', () => startAtLevel(levelNumber));
+        levelGrid.appendChild(button);
+    });
 }
 
+// Begin a run from a chosen campaign level
+function startAtLevel(levelNumber) {
+    game.currentLevel = levelNumber;
+    gameStateMachine.transition(GAME_STATES.PLAYING);
+}
 
-// --- GAME LOOP ---
+document.getElementById('open-level-select-button').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.LEVEL_SELECT);
+});
+document.getElementById('level-select-back').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.START);
+});
 
-function gameLoop() {
-    if (!gameStateMachine) {
-        // Fallback if state machine not initialized
-        requestAnimationFrame(gameLoop);
-        return;
+// Watch or save the run that just ended
+watchReplayButton.addEventListener('click', () => {
+    const recording = runRecorder.getFinishedRecording();
+    if (recording) {
+        startReplay(recording);
     }
-    
-    // Update current state
-    gameStateMachine.update();
-    
-    // Render current state
-    gameStateMachine.render();
-    
-    // Continue loop unless in GAME_OVER state
-    if (!gameStateMachine.isInState(GAME_STATES.GAME_OVER)) {
-        animationFrameId = requestAnimationFrame(gameLoop);
+});
+
+exportReplayButton.addEventListener('click', () => {
+    const recording = runRecorder.getFinishedRecording();
+    if (recording) {
+        downloadReplay(recording);
     }
+});
+
+// Load a replay file from the start screen
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+
+    readReplayFile(file)
+        .then(recording => startReplay(recording))
+        .catch(err => {
+            console.error('❌ Could not load replay:', err);
+            alert(`Could not load replay: ${err.message}`);
+        });
+});
+
+// Difficulty only changes how much of the predicted path is revealed
+function setDifficulty(level) {
+    difficulty = DIFFICULTY_SETTINGS[level] ? level : DEFAULT_DIFFICULTY;
+    difficultySelect.value = difficulty;
 }
 
+difficultySelect.addEventListener('change', () => setDifficulty(difficultySelect.value));
 
-// --- EVENT LISTENERS ---
+// --- SETTINGS ---
 
-function handleMouseDown(e) {
-    if (gameStateMachine.isInState(GAME_STATES.START) || gameStateMachine.isInState(GAME_STATES.LEVEL_TRANSITION)) {
-        gameStateMachine.transition(GAME_STATES.PLAYING);
-        return;
-    }
+// Push the current settings into the audio engine and page, then persist them
+function applySettings() {
+    setLanguage(playerSettings.language);
+    applyTranslations();
+    updateScore(game.score);
 
-    if (!gameStateMachine.isInState(GAME_STATES.PLAYING)) {
-        return;
-    }
+    Object.entries(playerSettings.volumes).forEach(([bus, volume]) => audioEngine.setVolume(bus, volume));
+    audioEngine.setMuted(playerSettings.muted);
+    muteButton.textContent = playerSettings.muted ? '🔇' : '🔊';
+    muteButton.setAttribute('aria-pressed', String(playerSettings.muted));
 
-    isDragging = true;
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-    dragStartX = clientX;
-    dragStartY = clientY;
+    saveSettings(playerSettings);
 }
 
-function handleMouseMove(e) {
-    if (!isDragging) return;
+// Show the stored values in the settings panel (sliders are in percent)
+function syncSettingsInputs() {
+    document.getElementById('setting-volume-master').value = Math.round(playerSettings.volumes.master * 100);
+    document.getElementById('setting-volume-music').value = Math.round(playerSettings.volumes.music * 100);
+    document.getElementById('setting-volume-sfx').value = Math.round(playerSettings.volumes.sfx * 100);
+    document.getElementById('setting-muted').checked = playerSettings.muted;
+    document.getElementById('setting-effect-intensity').value = Math.round(playerSettings.effectIntensity * 100);
+    document.getElementById('setting-drag-sensitivity').value = Math.round(playerSettings.dragSensitivity * 100);
+    document.getElementById('setting-show-trajectory').checked = playerSettings.showTrajectory;
+    document.getElementById('setting-show-fps').checked = playerSettings.showFps;
+    languageSelect.value = playerSettings.language;
+    document.getElementById('setting-fixed-difficulty').checked = playerSettings.fixedDifficulty;
+    document.getElementById('setting-high-contrast').checked = playerSettings.highContrast;
+    document.getElementById('setting-color-palette').value = playerSettings.colorPalette;
+    document.getElementById('setting-reduced-motion').checked = playerSettings.reducedMotion;
 }
 
-function handleMouseUp(e) {
-    if (!isDragging) return;
-    isDragging = false;
-    game.player.isMoving = true;
+// Each input updates one setting and applies it straight away
+function bindSetting(id, update) {
+    const input = document.getElementById(id);
+    const eventType = input.type === 'range' ? 'input' : 'change';
+    input.addEventListener(eventType, () => {
+        update(input);
+        playerSettings = sanitizeSettings(playerSettings);
+        applySettings();
+    });
+}
 
-    const clientX = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
-    const clientY = e.changedTouches ? e.changedTouches[0].clientY : e.clientY;
+function closeSettings() {
+    gameStateMachine.transition(gameStateMachine.getStateData().settingsReturnState || GAME_STATES.START);
+}
 
-    const angle = Math.atan2(clientY - dragStartY, clientX - dragStartX);
-    const power = Math.min(
-        Math.hypot(clientX - dragStartX, clientY - dragStartY) / (PLAYER_LAUNCH_POWER_DIVISOR * scale),
-        PLAYER_MAX_LAUNCH_POWER * scale
-    );
+Object.entries(LANGUAGES).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    languageSelect.appendChild(option);
+});
 
-    game.player.dx = Math.cos(angle) * power;
-    game.player.dy = Math.sin(angle) * power;
+bindSetting('setting-volume-master', input => { playerSettings.volumes.master = input.value / 100; });
+bindSetting('setting-volume-music', input => { playerSettings.volumes.music = input.value / 100; });
+bindSetting('setting-volume-sfx', input => { playerSettings.volumes.sfx = input.value / 100; });
+bindSetting('setting-muted', input => { playerSettings.muted = input.checked; });
+bindSetting('setting-effect-intensity', input => { playerSettings.effectIntensity = input.value / 100; });
+bindSetting('setting-drag-sensitivity', input => { playerSettings.dragSensitivity = input.value / 100; });
+bindSetting('setting-show-trajectory', input => { playerSettings.showTrajectory = input.checked; });
+bindSetting('setting-show-fps', input => { playerSettings.showFps = input.checked; });
+bindSetting('setting-language', input => { playerSettings.language = input.value; });
+bindSetting('setting-fixed-difficulty', input => { playerSettings.fixedDifficulty = input.checked; });
+bindSetting('setting-high-contrast', input => { playerSettings.highContrast = input.checked; });
+bindSetting('setting-color-palette', input => { playerSettings.colorPalette = input.value; });
+bindSetting('setting-reduced-motion', input => { playerSettings.reducedMotion = input.checked; });
+
+languageSelect.addEventListener('change', buildBindingsList); // After bindSetting has switched language
+
+// One row per action with a key and a gamepad button to rebind
+function buildBindingsList() {
+    bindingsList.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'binding-row binding-header';
+    ['', t('controls.keyboard'), t('controls.gamepad')].forEach(text => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    bindingsList.appendChild(header);
+
+    INPUT_ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+        const label = document.createElement('span');
+        label.textContent = t(`action.${action}`);
+        row.appendChild(label);
+
+        ['keyboard', 'gamepad'].forEach(device => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'binding-button';
+            button.textContent = formatBinding(device, action);
+            button.addEventListener('click', () => startRebinding(button, device, action));
+            row.appendChild(button);
+        });
+        bindingsList.appendChild(row);
+    });
 }
 
-function handleKeyDown(e) {
-    if (gameStateMachine.isInState(GAME_STATES.START) || gameStateMachine.isInState(GAME_STATES.LEVEL_TRANSITION)) {
-        gameStateMachine.transition(GAME_STATES.PLAYING);
-    } else if (gameStateMachine.isInState(GAME_STATES.PLAYING) && (e.key === 'Escape' || e.key === ' ')) {
-        // Toggle pause
-        gameStateMachine.transition(GAME_STATES.PAUSED);
-    } else if (gameStateMachine.isInState(GAME_STATES.PAUSED) && (e.key === 'Escape' || e.key === ' ')) {
-        // Resume game
-        gameStateMachine.transition(GAME_STATES.PLAYING);
-    }
+// Wait for the next key or gamepad button and make it the action's binding
+function startRebinding(button, device, action) {
+    inputManager.cancelCapture(); // Only one binding listens at a time
+    button.textContent = t(device === 'keyboard' ? 'controls.pressKey' : 'controls.pressButton');
+    inputManager.captureNext(device, code => {
+        if (code !== null) {
+            inputManager.bind(device, action, code);
+            saveBindings(inputManager.bindings);
+        }
+        button.textContent = formatBinding(device, action);
+        button.blur(); // So releasing Space doesn't click it again
+    });
 }
 
-window.addEventListener('resize', () => {
-    resizeCanvas();
-    init(); // Re-initialize the game on resize
+document.getElementById('bindings-reset').addEventListener('click', () => {
+    inputManager.cancelCapture();
+    inputManager.setBindings(createDefaultBindings());
+    saveBindings(inputManager.bindings);
+    buildBindingsList();
 });
 
-canvas.addEventListener('mousedown', handleMouseDown);
-canvas.addEventListener('mousemove', handleMouseMove);
-canvas.addEventListener('mouseup', handleMouseUp);
-restartButton.addEventListener('click', init);
+document.getElementById('open-settings-button').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.SETTINGS);
+});
+document.getElementById('settings-back').addEventListener('click', closeSettings);
+document.getElementById('pause-resume-button').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.PLAYING);
+});
+document.getElementById('pause-settings-button').addEventListener('click', () => {
+    gameStateMachine.transition(GAME_STATES.SETTINGS);
+});
+
+// Start a run from a typed seed code
+seedForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const seedCode = normalizeSeedCode(seedInput.value);
+    if (seedCode) {
+        chosenSeed = seedCode;
+        setRunSeed(seedCode);
+        gameStateMachine.transition(GAME_STATES.PLAYING);
+    }
+});
 
 // Touch events
 canvas.addEventListener('touchstart', (e) => {
@@ -1004,6 +2211,13 @@ canvas.addEventListener('touchend', (e) => {
 }, { passive: false });
 
 window.addEventListener('keydown', handleKeyDown);
+window.addEventListener('keyup', handleKeyUp);
+window.addEventListener('blur', () => {
+    // Keys released while the window is in the background never send keyup
+    inputManager.releaseAll();
+    aimController.setTurn(0);
+    aimController.stopCharge();
+});
 
 
 // --- VISUAL FEEDBACK FUNCTIONS ---
@@ -1016,7 +2230,7 @@ function showLoadingScreen(progress = 0) {
     ctx.fillStyle = 'white';
     ctx.textAlign = 'center';
     ctx.font = `${32 * scale}px ${FONT_FAMILY}`;
-    ctx.fillText('Loading Stardust Drifter...', canvasWidth / 2, canvasHeight / 2 - 60 * scale);
+    ctx.fillText(t('loading.title'), canvasWidth / 2, canvasHeight / 2 - 60 * scale);
     
     // Progress bar
     const barWidth = 400 * scale;
@@ -1058,11 +2272,11 @@ function createEffect(type, x, y, options = {}) {
     return effect;
 }
 
-// Show score feedback animation
-function showScoreEffect(x, y, score) {
+// Show score feedback animation, with what it was for when label is given
+function showScoreEffect(x, y, score, label) {
     createEffect('score', x, y, {
-        text: `+${score}`,
-        color: '#FFD700',
+        text: label ? `${label} +${score}` : `+${score}`,
+        color: getPalette().reward,
         duration: 80,
         velocity: { x: 0, y: -3 },
         scale: 1.5
@@ -1071,10 +2285,13 @@ function showScoreEffect(x, y, score) {
 
 // Show collision effect
 function showCollisionEffect(x, y, type = 'normal') {
+    const palette = getPalette();
     const effects = {
-        normal: { color: '#FF4444', text: '💥', duration: 30 },
-        comet: { color: '#FF6B00', text: '☄️', duration: 40 },
-        planet: { color: '#8A2BE2', text: '🌍', duration: 35 }
+        normal: { color: palette.danger, text: '💥', duration: 30 },
+        comet: { color: palette.comet, text: '☄️', duration: 40 },
+        planet: { color: palette.planet, text: '🌍', duration: 35 },
+        blackHole: { color: palette.danger, text: '🕳️', duration: 45 },
+        whiteDwarf: { color: '#CFE8FF', text: '⚪', duration: 35 }
     };
     
     const config = effects[type] || effects.normal;
@@ -1086,9 +2303,10 @@ function showCollisionEffect(x, y, type = 'normal') {
         velocity: { x: 0, y: 0 }
     });
     
-    // Particle burst effect
-    for (let i = 0; i < 8; i++) {
-        const angle = (i / 8) * Math.PI * 2;
+    // Particle burst effect, thinned out by the effect intensity setting
+    const particleCount = Math.round(8 * getEffectIntensity());
+    for (let i = 0; i < particleCount; i++) {
+        const angle = (i / particleCount) * Math.PI * 2;
         const speed = 3 + Math.random() * 2;
         createEffect('particle', x, y, {
             color: config.color,
@@ -1104,20 +2322,25 @@ function showCollisionEffect(x, y, type = 'normal') {
 
 // Show level completion effect
 function showLevelCompleteEffect() {
-    const centerX = canvasWidth / 2;
-    const centerY = canvasHeight / 2;
+    if (!isSeekingReplay()) {
+        audioEngine.playLevelComplete();
+    }
+
+    // Effects live in the world, so find the point in it at the centre of the screen
+    const { x: centerX, y: centerY } = camera.screenToWorld(canvasWidth / 2, canvasHeight / 2);
     
     // Main level complete text
     createEffect('levelComplete', centerX, centerY - 50 * scale, {
-        text: `LEVEL ${game.currentLevel - 1} COMPLETE!`,
-        color: '#00FF00',
+        text: t('level.complete', { level: game.currentLevel - 1 }),
+        color: getPalette().success,
         duration: 120,
         scale: 2.5,
         velocity: { x: 0, y: 0 }
     });
     
     // Celebration particles
-    for (let i = 0; i < 20; i++) {
+    const particleCount = Math.round(20 * getEffectIntensity());
+    for (let i = 0; i < particleCount; i++) {
         const angle = Math.random() * Math.PI * 2;
         const distance = 100 + Math.random() * 100;
         const x = centerX + Math.cos(angle) * distance;
@@ -1138,11 +2361,18 @@ function showLevelCompleteEffect() {
 
 // Show power-up or special effect
 function showPowerUpEffect(x, y, type) {
+    const palette = getPalette();
     const effects = {
-        star: { color: '#FFD700', text: '⭐', duration: 60 },
-        bonus: { color: '#00FFFF', text: '💎', duration: 80 },
-        speed: { color: '#FF69B4', text: '⚡', duration: 50 }
+        star: { color: palette.reward, text: '⭐', duration: 60 },
+        bonus: { color: palette.bonus, text: '💎', duration: 80 },
+        speed: { color: palette.speed, text: '⚡', duration: 50 },
+        fuel: { color: palette.fuel, text: FUEL_PICKUP_ICON, duration: 50 }
     };
+    // Collected power-ups burst in their own colour and icon
+    const style = POWER_UP_STYLES[type];
+    if (style) {
+        effects[type] = { color: palette[style.role], text: style.icon, duration: 60 };
+    }
     
     const config = effects[type] || effects.star;
     
@@ -1164,24 +2394,44 @@ function showPowerUpEffect(x, y, type) {
     });
 }
 
-// Show screen shake effect
+// Say the ship is safe and can be launched again
+function showLandingEffect(x, y, landed) {
+    const color = getPalette().success;
+    createEffect('score', x, y - 30 * scale, {
+        text: t(landed ? 'flight.landed' : 'flight.orbit'),
+        color: color,
+        duration: 80,
+        velocity: { x: 0, y: -1 }
+    });
+    createEffect('ring', x, y, {
+        color: color,
+        duration: 40,
+        scale: 0.5,
+        velocity: { x: 0, y: 0 },
+        expanding: true
+    });
+}
+
+// A swirl where the ship went in and another where it came out
+function showWormholeEffect({ fromX, fromY, x, y }) {
+    const color = getPalette().reward;
+    createEffect('collision', fromX, fromY, { color, text: '🌀', duration: 30, scale: 1.5, velocity: { x: 0, y: 0 } });
+    createEffect('collision', x, y, { color, text: '🌀', duration: 40, scale: 1.5, velocity: { x: 0, y: -1 } });
+}
+
+// Shake the camera; intensity in base units, duration in 60 Hz frames
 function showScreenShake(intensity = 5, duration = 20) {
-    if (!game.screenShake) {
-        game.screenShake = {
-            intensity: intensity,
-            duration: duration,
-            x: 0,
-            y: 0
-        };
-    }
+    const effectIntensity = getEffectIntensity();
+    if (effectIntensity === 0) return;
+    camera.startShake(intensity * effectIntensity * scale, duration * SIMULATION_STEP_MS);
 }
 
 // Show trail effect for moving objects
 function showTrailEffect(entity, color = '#FFFFFF') {
-    if (Math.random() < 0.3) { // Don't create trail every frame
+    if (Math.random() < 0.3 * getEffectIntensity()) { // Don't create trail every frame
         createEffect('trail', entity.x, entity.y, {
             color: color,
-            duration: 15,
+            duration: 30,
             scale: entity.radius / 20,
             velocity: { x: 0, y: 0 }
         });
@@ -1214,7 +2464,14 @@ function drawEffects() {
         ctx.font = `${(effect.scale || 1) * 24 * scale}px ${FONT_FAMILY}`;
         ctx.textAlign = 'center';
         
-        if (effect.text) {
+        if (effect.type === 'trail') {
+            // A puff that shrinks and fades where the entity was
+            const left = effect.timer / effect.maxTimer;
+            ctx.globalAlpha = 0.6 * left;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, effect.scale * 14 * left, 0, Math.PI * 2); // scale is the radius over 20
+            ctx.fill();
+        } else if (effect.text) {
             ctx.fillText(effect.text, effect.x, effect.y);
         } else if (effect.score) {
             ctx.fillText(`+${effect.score}`, effect.x, effect.y);
@@ -1247,17 +2504,22 @@ function gameLoadingLoop() {
 // --- SETUP STATE MACHINE ---
 
 function setupStateMachine() {
-    gameStateMachine = new GameStateMachine();
+    gameStateMachine = new BrowserGameStateMachine();
     gameStateMachine.transition(GAME_STATES.START); // Start the game
 }
 resizeCanvas();
+setDifficulty(new URLSearchParams(window.location.search).get('difficulty'));
+applySettings();
 
 // Start loading screen
 gameLoadingLoop();
+controlsLoop();
 
-loadImages()
-    .then(loadedImages => {
+// The campaign loads alongside the images; it never fails, it just comes back empty
+Promise.all([loadImages(), loadCampaign()])
+    .then(([loadedImages, levels]) => {
         images = loadedImages;
+        game.campaignLevels = levels;
         isLoadingComplete = true;
         
         // Initialize game after assets are loaded
@@ -1273,7 +2535,7 @@ loadImages()
         ctx.fillStyle = '#FF0000';
         ctx.textAlign = 'center';
         ctx.font = `${24 * scale}px ${FONT_FAMILY}`;
-        ctx.fillText('Some assets failed to load. Using fallbacks.', canvasWidth / 2, canvasHeight / 2 + 100 * scale);
+        ctx.fillText(t('loading.fallback'), canvasWidth / 2, canvasHeight / 2 + 100 * scale);
         
         setTimeout(() => {
             if (loadedImages) {
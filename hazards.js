@@ -0,0 +1,287 @@
+// --- HAZARD BODIES ---
+// Black holes, wormholes and white-dwarf repulsors, registered as entity types
+// (see ENTITY TYPES in simulation.js). Each brings its physics, its placement on
+// generated levels and its drawing; the drawing only runs in the page.
+
+// In Node, load the simulation this registers with
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./simulation.js'));
+}
+
+// Black holes: far stronger pull than any planet, and crossing the event horizon
+// is the end even with a shield
+const BLACK_HOLE_MASS = 400; // In planet radii; the biggest planet is 50
+const BLACK_HOLE_HORIZON_RADIUS = 18;
+const BLACK_HOLE_DISC_SCALE = 3.5; // Accretion disc radius, in horizon radii
+const BLACK_HOLE_START_CLEARANCE = 450; // Never generated closer than this to the ship
+
+// Wormholes: touching one end puts the ship just outside the other, same velocity
+const WORMHOLE_RADIUS = 30;
+const WORMHOLE_MIN_SEPARATION = 0.4; // Ends of a generated pair are at least this fraction of the world apart
+const WORMHOLE_PAIR_COLORS = ['#B388FF', '#64FFDA', '#FFAB40', '#FF80AB'];
+const WORMHOLE_EXIT_HEADINGS = 8; // Spots tried round the exit when straight ahead is blocked
+
+// White dwarfs: small, hot and pushing the ship away; a shield bounces off them
+const REPULSOR_MASS = 100;
+const REPULSOR_RADIUS = 14;
+
+const HAZARD_CLEARANCE = 120; // Gap kept between generated hazards and anything else
+
+// Generated levels add hazards from firstLevel, one more every `every` levels, up to max.
+// Wormholes are counted in pairs.
+const HAZARD_SCHEDULE = {
+    repulsor: { firstLevel: 2, every: 3, max: 3 },
+    wormhole: { firstLevel: 3, every: 4, max: 2 },
+    blackHole: { firstLevel: 4, every: 4, max: 2 }
+};
+
+// How many of a hazard generated level `level` has
+function getHazardCount(kind, level) {
+    const { firstLevel, every, max } = HAZARD_SCHEDULE[kind];
+    if (level < firstLevel) return 0;
+    return Math.min(max, 1 + Math.floor((level - firstLevel) / every));
+}
+
+// Place up to count bodies of a radius in base units; fewer if the level runs out of room
+function placeHazards(world, rng, count, radius, clearance, makeBody) {
+    const placed = [];
+    for (let i = 0; i < count; i++) {
+        const spot = findOpenSpot(world, rng, radius * world.scale, clearance);
+        if (!spot) break;
+        placed.push(makeBody(spot));
+    }
+    return placed;
+}
+
+// --- BLACK HOLES ---
+
+registerEntityType('blackHole', {
+    collection: 'blackHoles',
+    levelKey: 'blackHoles',
+    fromLevel: (b, world) => createBlackHole(b.x * world.width, b.y * world.height, world.scale),
+    mass: () => BLACK_HOLE_MASS,
+    collision: 'deadly',
+    crashCause: 'blackHole',
+    ignoresShield: true,
+    // Kept well away from the ship's start, so the first launch isn't swallowed
+    generate: (world, level, rng) => {
+        const placed = [];
+        for (let i = 0; i < getHazardCount('blackHole', level); i++) {
+            const spot = findOpenSpot(world, rng, BLACK_HOLE_HORIZON_RADIUS * BLACK_HOLE_DISC_SCALE * world.scale, HAZARD_CLEARANCE,
+                s => getDistance(s, world.player) >= BLACK_HOLE_START_CLEARANCE * world.scale);
+            if (!spot) break;
+            placed.push(createBlackHole(spot.x, spot.y, world.scale));
+            world.blackHoles = placed; // Later ones keep clear of the earlier ones
+        }
+        return placed;
+    },
+    render: drawBlackHole
+});
+
+// Collides at the horizon, but keeps the whole drawn disc clear of other bodies
+function createBlackHole(x, y, scale) {
+    const radius = BLACK_HOLE_HORIZON_RADIUS * scale;
+    return { x, y, radius, clearRadius: radius * BLACK_HOLE_DISC_SCALE };
+}
+
+// --- WORMHOLES ---
+
+registerEntityType('wormhole', {
+    collection: 'wormholes',
+    levelKey: 'wormholes',
+    fromLevel: (w, world) => ({ x: w.x * world.width, y: w.y * world.height, radius: WORMHOLE_RADIUS * world.scale, pair: w.pair }),
+    collision: 'trigger',
+    onTouch: teleportThroughWormhole,
+    // The two ends of a pair are far apart, or going through would hardly be worth it
+    generate: (world, level, rng) => {
+        const placed = [];
+        const radius = WORMHOLE_RADIUS * world.scale;
+        const separation = WORMHOLE_MIN_SEPARATION * Math.max(world.width, world.height);
+        for (let pair = 0; pair < getHazardCount('wormhole', level); pair++) {
+            const entrance = findOpenSpot(world, rng, radius, HAZARD_CLEARANCE);
+            if (!entrance) break;
+            world.wormholes = [...placed, entrance]; // So the exit keeps clear of it
+            const exit = findOpenSpot(world, rng, radius, HAZARD_CLEARANCE, s => getDistance(s, entrance) >= separation);
+            if (!exit) break;
+            placed.push({ ...entrance, pair }, { ...exit, pair });
+            world.wormholes = placed;
+        }
+        return placed;
+    },
+    render: drawWormhole
+});
+
+// Out of the other end of the pair, just clear of it and still heading the same way.
+// If that spot is in a body or past the edge of the world, the nearest clear heading
+// round the exit is used instead. A ship at rest, without a partner end or with no
+// clear spot to come out at stays put.
+function teleportThroughWormhole(world, wormhole) {
+    const p = world.player;
+    const exit = world.wormholes.find(w => w.pair === wormhole.pair && w !== wormhole);
+    if (!p.isMoving || !exit) return;
+
+    const spot = findWormholeExitSpot(world, exit);
+    if (!spot) return;
+    const from = { x: p.x, y: p.y };
+    p.x = spot.x;
+    p.y = spot.y;
+    world.events.push({ type: 'wormhole', fromX: from.x, fromY: from.y, x: p.x, y: p.y });
+}
+
+// Headings tried in order: straight ahead, then alternately either side of it
+function findWormholeExitSpot(world, exit) {
+    const p = world.player;
+    const heading = Math.atan2(p.dy, p.dx);
+    const distance = exit.radius + p.radius + world.scale;
+    for (let i = 0; i < WORMHOLE_EXIT_HEADINGS; i++) {
+        const turn = Math.ceil(i / 2) * (i % 2 === 0 ? -1 : 1) * (Math.PI * 2 / WORMHOLE_EXIT_HEADINGS);
+        const spot = {
+            x: exit.x + Math.cos(heading + turn) * distance,
+            y: exit.y + Math.sin(heading + turn) * distance,
+            radius: p.radius
+        };
+        if (isClearOfBodies(world, spot)) return spot;
+    }
+    return null;
+}
+
+// Inside the world and not touching anything deadly
+function isClearOfBodies(world, spot) {
+    if (spot.x < spot.radius || spot.x > world.width - spot.radius ||
+        spot.y < spot.radius || spot.y > world.height - spot.radius) {
+        return false;
+    }
+    return !getEntityTypes().some(type =>
+        type.collision === 'deadly' && world[type.collection].some(entity => areColliding(spot, entity)));
+}
+
+// --- REPULSORS ---
+
+registerEntityType('repulsor', {
+    collection: 'repulsors',
+    levelKey: 'repulsors',
+    fromLevel: (r, world) => ({ x: r.x * world.width, y: r.y * world.height, radius: REPULSOR_RADIUS * world.scale }),
+    mass: () => -REPULSOR_MASS,
+    collision: 'deadly',
+    crashCause: 'whiteDwarf',
+    solid: true,
+    generate: (world, level, rng) => placeHazards(world, rng, getHazardCount('repulsor', level), REPULSOR_RADIUS, HAZARD_CLEARANCE,
+        spot => ({ x: spot.x, y: spot.y, radius: spot.radius })),
+    render: drawRepulsor
+});
+
+// --- DRAWING (page only) ---
+
+// Steadily turning angle for animations, held still under reduced motion.
+// Driven by ticks, so replays animate the same way.
+function getHazardPhase(rate) {
+    return getEffectIntensity() === 0 ? 0 : game.tick * rate;
+}
+
+// A glowing disc with bright streaks turning round a black horizon
+function drawBlackHole(hole) {
+    const { x, y, radius } = hole;
+    const disc = radius * BLACK_HOLE_DISC_SCALE;
+    const phase = getHazardPhase(0.04);
+
+    ctx.save();
+    const glow = ctx.createRadialGradient(x, y, radius, x, y, disc);
+    glow.addColorStop(0, 'rgba(255, 210, 140, 0.9)');
+    glow.addColorStop(0.4, 'rgba(255, 110, 40, 0.45)');
+    glow.addColorStop(1, 'rgba(120, 0, 80, 0)');
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(x, y, disc, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(255, 235, 200, 0.7)';
+    ctx.lineWidth = 2 * scale;
+    for (let i = 0; i < 3; i++) {
+        const start = phase * (1 + i * 0.4) + i * 2;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * (1.5 + i * 0.6), start, start + 1.2);
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = '#000';
+    ctx.strokeStyle = getPalette().danger;
+    ctx.lineWidth = (playerSettings.highContrast ? 3 : 1.5) * scale;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+}
+
+// A swirl in its pair's colour, numbered so the ends can be matched without colour
+function drawWormhole(wormhole) {
+    const { x, y, radius, pair } = wormhole;
+    const color = WORMHOLE_PAIR_COLORS[pair % WORMHOLE_PAIR_COLORS.length];
+    const phase = getHazardPhase(0.08);
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    for (let i = 0; i < 3; i++) {
+        const start = -phase + i * (Math.PI * 2 / 3);
+        ctx.globalAlpha = 0.9 - i * 0.25;
+        ctx.lineWidth = (3 - i) * scale;
+        ctx.beginPath();
+        ctx.arc(x, y, radius * (1 - i * 0.28), start, start + Math.PI * 1.4);
+        ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `bold ${radius * 0.7}px ${FONT_FAMILY}`;
+    ctx.fillText(String(pair + 1), x, y);
+    ctx.restore();
+}
+
+// A white-hot core with rings pushing outwards from it
+function drawRepulsor(dwarf) {
+    const { x, y, radius } = dwarf;
+    const phase = getHazardPhase(0.02);
+
+    ctx.save();
+    ctx.strokeStyle = '#CFE8FF';
+    ctx.lineWidth = 2 * scale;
+    for (let i = 0; i < 2; i++) {
+        const t = (phase + i / 2) % 1;
+        ctx.globalAlpha = 0.6 * (1 - t);
+        ctx.beginPath();
+        ctx.arc(x, y, radius * (1.5 + t * 3), 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    ctx.globalAlpha = 1;
+    const core = ctx.createRadialGradient(x, y, 0, x, y, radius);
+    core.addColorStop(0, '#FFFFFF');
+    core.addColorStop(1, '#9FD4FF');
+    ctx.fillStyle = core;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    if (playerSettings.highContrast) {
+        ctx.strokeStyle = getPalette().danger;
+        ctx.lineWidth = 3 * scale;
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BLACK_HOLE_MASS,
+        BLACK_HOLE_HORIZON_RADIUS,
+        BLACK_HOLE_DISC_SCALE,
+        BLACK_HOLE_START_CLEARANCE,
+        WORMHOLE_RADIUS,
+        WORMHOLE_MIN_SEPARATION,
+        REPULSOR_MASS,
+        REPULSOR_RADIUS,
+        HAZARD_SCHEDULE,
+        getHazardCount,
+        teleportThroughWormhole
+    };
+}
@@ -0,0 +1,479 @@
+// --- TRANSLATIONS ---
+// UI text in every supported language. Canvas text goes through t(); page
+// elements carry data-i18n (text), data-i18n-placeholder or data-i18n-title
+// attributes and are filled in by applyTranslations(). English is complete and
+// is the fallback for anything another language is missing.
+
+const LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français'
+};
+const DEFAULT_LANGUAGE = 'en';
+
+const TRANSLATIONS = {
+    en: {
+        'game.title': 'Stardust Drifter',
+        'start.instructions': 'Click and drag to launch your ship',
+        'start.pressKey': 'Press any key to start',
+        'start.controls': 'Keyboard: {turnLeft}/{turnRight} aim, hold {charge} to charge, release to launch, hold {thrust} to thrust in flight · Gamepad: stick aims, RT charges, A launches, LT thrusts, Start pauses',
+        'hud.score': 'Score: {score}',
+        'hud.mute': 'Mute (M)',
+        'profile.summary': 'Best Score: {score}   Highest Level: {level}   Stars: {stars}',
+        'seed.label': 'Seed: {seed}',
+        'level.named': 'Level {level}: {name}',
+        'level.number': 'Level {level}',
+        'level.cumulativeScore': 'Cumulative Score: {score}',
+        'level.rating': 'Rating: {stars}',
+        'level.prepare': 'Prepare for the next level...',
+        'level.complete': 'LEVEL {level} COMPLETE!',
+        'pause.title': 'Paused',
+        'pause.hint': 'Press {pause} or {confirm} to resume',
+        'pause.resume': 'Resume',
+        'replay.status': 'REPLAY  Seed {seed}  {time} / {end}  {status}',
+        'replay.paused': 'PAUSED',
+        'replay.ended': 'ENDED',
+        'replay.help': '{confirm}: pause  {turnLeft}/{turnRight}: scrub  {slower} {faster}: speed  {back}: exit',
+        'gameOver.title': 'Game Over',
+        'gameOver.yourScore': 'Your Score:',
+        'gameOver.namePlaceholder': 'Your name',
+        'gameOver.submit': 'Submit Score',
+        'gameOver.seed': 'Seed:',
+        'gameOver.restart': 'Restart',
+        'gameOver.watchReplay': 'Watch Replay',
+        'gameOver.exportReplay': 'Export Replay',
+        'gameOver.newBestScore': 'NEW BEST SCORE!',
+        'gameOver.newHighestLevel': 'NEW HIGHEST LEVEL!',
+        'gameOver.personalBest': 'Personal Best: {score} (Level {level})',
+        'gameOver.rank': '(Rank #{rank} of {total})',
+        'gameOver.rankAdaptive': '(Rank #{rank} of {total}, adaptive difficulty)',
+        'menu.seed': 'Seed',
+        'menu.playSeed': 'Play Seed',
+        'menu.difficulty': 'Difficulty',
+        'difficulty.easy': 'Easy',
+        'difficulty.normal': 'Normal',
+        'difficulty.hard': 'Hard',
+        'menu.loadReplay': 'Load Replay',
+        'menu.levels': 'Levels',
+        'menu.editor': 'Level Editor',
+        'menu.settings': 'Settings',
+        'menu.back': 'Back',
+        'levelSelect.title': 'Select Level',
+        'levelSelect.empty': 'No campaign levels available.',
+        'settings.title': 'Settings',
+        'settings.masterVolume': 'Master volume',
+        'settings.musicVolume': 'Music volume',
+        'settings.sfxVolume': 'Effects volume',
+        'settings.mute': 'Mute',
+        'settings.effectIntensity': 'Effect intensity',
+        'settings.dragSensitivity': 'Drag sensitivity',
+        'settings.trajectory': 'Trajectory preview',
+        'settings.showFps': 'Show FPS',
+        'settings.language': 'Language',
+        'settings.fixedDifficulty': 'Fixed difficulty',
+        'controls.title': 'Controls',
+        'controls.keyboard': 'Keyboard',
+        'controls.gamepad': 'Gamepad',
+        'controls.pressKey': 'Press a key…',
+        'controls.pressButton': 'Press a button…',
+        'controls.unbound': '—',
+        'controls.button': 'Button {n}',
+        'controls.reset': 'Reset Controls',
+        'action.turnLeft': 'Aim left',
+        'action.turnRight': 'Aim right',
+        'action.charge': 'Charge',
+        'action.launch': 'Launch',
+        'action.pause': 'Pause',
+        'action.confirm': 'Confirm',
+        'action.back': 'Back',
+        'action.mute': 'Mute',
+        'action.slower': 'Slow motion',
+        'action.faster': 'Fast forward',
+        'key.space': 'Space',
+        'key.escape': 'Esc',
+        'key.enter': 'Enter',
+        'settings.accessibility': 'Accessibility',
+        'settings.highContrast': 'High contrast',
+        'settings.colorPalette': 'Colour palette',
+        'settings.reducedMotion': 'Reduced motion',
+        'palette.default': 'Default',
+        'palette.redGreen': 'Red-green safe',
+        'palette.blueYellow': 'Blue-yellow safe',
+        'a11y.start': 'Stardust Drifter. Press any key to start.',
+        'a11y.levelComplete': 'Level {level} complete. Score {score}.',
+        'a11y.resumed': 'Resumed',
+        'a11y.score': 'Score {score}',
+        'a11y.gameOver': 'Game over. Final score {score} on level {level}.',
+        'a11y.replay': 'Watching replay',
+        'a11y.editor': 'Level editor',
+        'powerUp.shield': 'Shield',
+        'powerUp.slowMotion': 'Slow motion',
+        'powerUp.magnet': 'Magnet',
+        'powerUp.boost': 'Boost',
+        'a11y.powerUp': '{name} picked up',
+        'a11y.shieldHit': 'Shield lost',
+        'hud.fuel': 'Fuel',
+        'a11y.fuelEmpty': 'Out of fuel',
+        'action.thrust': 'Thrust',
+        'flight.landed': 'Landed!',
+        'flight.orbit': 'In orbit!',
+        'a11y.landed': 'Landed. Aim to launch again.',
+        'a11y.orbit': 'Caught in orbit. Aim to launch again.',
+        'a11y.wormhole': 'Through a wormhole',
+        'a11y.cometWave': 'Comets incoming: {count}',
+        'hud.combo': 'Combo ×{multiplier}',
+        'callout.nearMiss': 'Near miss',
+        'callout.slingshot': 'Slingshot',
+        'score.flight': 'Flight',
+        'score.stars': 'Stars',
+        'score.nearMiss': 'Near misses',
+        'score.slingshot': 'Slingshots',
+        'editor.select': 'Select',
+        'editor.planet': 'Planet',
+        'editor.comet': 'Comet',
+        'editor.star': 'Star',
+        'editor.start': 'Ship Start',
+        'editor.planetType': 'Planet type',
+        'editor.planetTerrestrial': 'Terrestrial',
+        'editor.planetDesert': 'Desert',
+        'editor.planetGasGiant': 'Gas Giant',
+        'editor.planetIce': 'Ice',
+        'editor.levelName': 'Level name',
+        'editor.goal': 'Goal',
+        'editor.goalTitle': 'Score to earn in the level',
+        'editor.allStars': 'All stars',
+        'editor.par': 'Par',
+        'editor.parTitle': 'Level score for 1, 2 and 3 stars',
+        'editor.delete': 'Delete',
+        'editor.undo': 'Undo',
+        'editor.redo': 'Redo',
+        'editor.testPlay': 'Test Play',
+        'editor.save': 'Save',
+        'editor.load': 'Load',
+        'editor.exit': 'Exit',
+        'editor.help': 'Click to place · drag to move · drag a planet rim or scroll to resize · Del to delete · T to test play',
+        'editor.testPlayBanner': 'TEST PLAY — press T to return to the editor',
+        'loading.title': 'Loading Stardust Drifter...',
+        'loading.fallback': 'Some assets failed to load. Using fallbacks.'
+    },
+    es: {
+        'game.title': 'Stardust Drifter',
+        'start.instructions': 'Haz clic y arrastra para lanzar tu nave',
+        'start.pressKey': 'Pulsa cualquier tecla para empezar',
+        'start.controls': 'Teclado: {turnLeft}/{turnRight} apuntar, mantén {charge} para cargar y suelta para lanzar, mantén {thrust} para propulsar en vuelo · Mando: el stick apunta, RT carga, A lanza, LT propulsa, Start pausa',
+        'hud.score': 'Puntos: {score}',
+        'hud.mute': 'Silenciar (M)',
+        'profile.summary': 'Récord: {score}   Nivel máximo: {level}   Estrellas: {stars}',
+        'seed.label': 'Semilla: {seed}',
+        'level.named': 'Nivel {level}: {name}',
+        'level.number': 'Nivel {level}',
+        'level.cumulativeScore': 'Puntuación total: {score}',
+        'level.rating': 'Valoración: {stars}',
+        'level.prepare': 'Prepárate para el siguiente nivel...',
+        'level.complete': '¡NIVEL {level} COMPLETADO!',
+        'pause.title': 'En pausa',
+        'pause.hint': 'Pulsa {pause} o {confirm} para continuar',
+        'pause.resume': 'Continuar',
+        'replay.status': 'REPETICIÓN  Semilla {seed}  {time} / {end}  {status}',
+        'replay.paused': 'EN PAUSA',
+        'replay.ended': 'FIN',
+        'replay.help': '{confirm}: pausa  {turnLeft}/{turnRight}: avanzar/retroceder  {slower} {faster}: velocidad  {back}: salir',
+        'gameOver.title': 'Fin de la partida',
+        'gameOver.yourScore': 'Tu puntuación:',
+        'gameOver.namePlaceholder': 'Tu nombre',
+        'gameOver.submit': 'Enviar puntuación',
+        'gameOver.seed': 'Semilla:',
+        'gameOver.restart': 'Reiniciar',
+        'gameOver.watchReplay': 'Ver repetición',
+        'gameOver.exportReplay': 'Exportar repetición',
+        'gameOver.newBestScore': '¡NUEVO RÉCORD!',
+        'gameOver.newHighestLevel': '¡NUEVO NIVEL MÁXIMO!',
+        'gameOver.personalBest': 'Mejor marca: {score} (Nivel {level})',
+        'gameOver.rank': '(Puesto #{rank} de {total})',
+        'gameOver.rankAdaptive': '(Puesto #{rank} de {total}, dificultad adaptativa)',
+        'menu.seed': 'Semilla',
+        'menu.playSeed': 'Jugar semilla',
+        'menu.difficulty': 'Dificultad',
+        'difficulty.easy': 'Fácil',
+        'difficulty.normal': 'Normal',
+        'difficulty.hard': 'Difícil',
+        'menu.loadReplay': 'Cargar repetición',
+        'menu.levels': 'Niveles',
+        'menu.editor': 'Editor de niveles',
+        'menu.settings': 'Ajustes',
+        'menu.back': 'Volver',
+        'levelSelect.title': 'Elige un nivel',
+        'levelSelect.empty': 'No hay niveles de campaña disponibles.',
+        'settings.title': 'Ajustes',
+        'settings.masterVolume': 'Volumen general',
+        'settings.musicVolume': 'Volumen de la música',
+        'settings.sfxVolume': 'Volumen de efectos',
+        'settings.mute': 'Silenciar',
+        'settings.effectIntensity': 'Intensidad de efectos',
+        'settings.dragSensitivity': 'Sensibilidad de arrastre',
+        'settings.trajectory': 'Vista previa de trayectoria',
+        'settings.showFps': 'Mostrar FPS',
+        'settings.language': 'Idioma',
+        'settings.fixedDifficulty': 'Dificultad fija',
+        'controls.title': 'Controles',
+        'controls.keyboard': 'Teclado',
+        'controls.gamepad': 'Mando',
+        'controls.pressKey': 'Pulsa una tecla…',
+        'controls.pressButton': 'Pulsa un botón…',
+        'controls.unbound': '—',
+        'controls.button': 'Botón {n}',
+        'controls.reset': 'Restablecer controles',
+        'action.turnLeft': 'Apuntar a la izquierda',
+        'action.turnRight': 'Apuntar a la derecha',
+        'action.charge': 'Cargar',
+        'action.launch': 'Lanzar',
+        'action.pause': 'Pausa',
+        'action.confirm': 'Confirmar',
+        'action.back': 'Volver',
+        'action.mute': 'Silenciar',
+        'action.slower': 'Cámara lenta',
+        'action.faster': 'Avance rápido',
+        'key.space': 'Espacio',
+        'key.escape': 'Esc',
+        'key.enter': 'Intro',
+        'settings.accessibility': 'Accesibilidad',
+        'settings.highContrast': 'Alto contraste',
+        'settings.colorPalette': 'Paleta de colores',
+        'settings.reducedMotion': 'Movimiento reducido',
+        'palette.default': 'Predeterminada',
+        'palette.redGreen': 'Apta para rojo-verde',
+        'palette.blueYellow': 'Apta para azul-amarillo',
+        'a11y.start': 'Stardust Drifter. Pulsa cualquier tecla para empezar.',
+        'a11y.levelComplete': 'Nivel {level} completado. Puntuación {score}.',
+        'a11y.resumed': 'Reanudado',
+        'a11y.score': 'Puntuación {score}',
+        'a11y.gameOver': 'Fin de la partida. Puntuación final {score} en el nivel {level}.',
+        'a11y.replay': 'Viendo la repetición',
+        'a11y.editor': 'Editor de niveles',
+        'powerUp.shield': 'Escudo',
+        'powerUp.slowMotion': 'Cámara lenta',
+        'powerUp.magnet': 'Imán',
+        'powerUp.boost': 'Turbo',
+        'a11y.powerUp': 'Potenciador: {name}',
+        'a11y.shieldHit': 'Escudo perdido',
+        'hud.fuel': 'Combustible',
+        'a11y.fuelEmpty': 'Sin combustible',
+        'action.thrust': 'Propulsar',
+        'flight.landed': '¡Aterrizaje!',
+        'flight.orbit': '¡En órbita!',
+        'a11y.landed': 'Aterrizado. Apunta para volver a lanzar.',
+        'a11y.orbit': 'En órbita. Apunta para volver a lanzar.',
+        'a11y.wormhole': 'A través de un agujero de gusano',
+        'a11y.cometWave': 'Cometas en camino: {count}',
+        'hud.combo': 'Combo ×{multiplier}',
+        'callout.nearMiss': 'Por los pelos',
+        'callout.slingshot': 'Honda gravitatoria',
+        'score.flight': 'Vuelo',
+        'score.stars': 'Estrellas',
+        'score.nearMiss': 'Roces',
+        'score.slingshot': 'Hondas',
+        'editor.select': 'Seleccionar',
+        'editor.planet': 'Planeta',
+        'editor.comet': 'Cometa',
+        'editor.star': 'Estrella',
+        'editor.start': 'Salida de la nave',
+        'editor.planetType': 'Tipo de planeta',
+        'editor.planetTerrestrial': 'Terrestre',
+        'editor.planetDesert': 'Desértico',
+        'editor.planetGasGiant': 'Gigante gaseoso',
+        'editor.planetIce': 'Helado',
+        'editor.levelName': 'Nombre del nivel',
+        'editor.goal': 'Objetivo',
+        'editor.goalTitle': 'Puntos que hay que conseguir en el nivel',
+        'editor.allStars': 'Todas las estrellas',
+        'editor.par': 'Par',
+        'editor.parTitle': 'Puntos del nivel para 1, 2 y 3 estrellas',
+        'editor.delete': 'Borrar',
+        'editor.undo': 'Deshacer',
+        'editor.redo': 'Rehacer',
+        'editor.testPlay': 'Probar',
+        'editor.save': 'Guardar',
+        'editor.load': 'Cargar',
+        'editor.exit': 'Salir',
+        'editor.help': 'Clic para colocar · arrastra para mover · arrastra el borde de un planeta o usa la rueda para cambiar su tamaño · Supr para borrar · T para probar',
+        'editor.testPlayBanner': 'PRUEBA — pulsa T para volver al editor',
+        'loading.title': 'Cargando Stardust Drifter...',
+        'loading.fallback': 'No se pudieron cargar algunos recursos. Se usan sustitutos.'
+    },
+    fr: {
+        'game.title': 'Stardust Drifter',
+        'start.instructions': 'Cliquez et faites glisser pour lancer votre vaisseau',
+        'start.pressKey': 'Appuyez sur une touche pour commencer',
+        'start.controls': 'Clavier : {turnLeft}/{turnRight} pour viser, maintenez {charge} pour charger, relâchez pour lancer, maintenez {thrust} pour propulser en vol · Manette : le stick vise, RT charge, A lance, LT propulse, Start met en pause',
+        'hud.score': 'Score : {score}',
+        'hud.mute': 'Couper le son (M)',
+        'profile.summary': 'Meilleur score : {score}   Niveau max : {level}   Étoiles : {stars}',
+        'seed.label': 'Graine : {seed}',
+        'level.named': 'Niveau {level} : {name}',
+        'level.number': 'Niveau {level}',
+        'level.cumulativeScore': 'Score cumulé : {score}',
+        'level.rating': 'Note : {stars}',
+        'level.prepare': 'Préparez-vous pour le niveau suivant...',
+        'level.complete': 'NIVEAU {level} TERMINÉ !',
+        'pause.title': 'Pause',
+        'pause.hint': 'Appuyez sur {pause} ou {confirm} pour reprendre',
+        'pause.resume': 'Reprendre',
+        'replay.status': 'REPLAY  Graine {seed}  {time} / {end}  {status}',
+        'replay.paused': 'EN PAUSE',
+        'replay.ended': 'TERMINÉ',
+        'replay.help': '{confirm} : pause  {turnLeft}/{turnRight} : parcourir  {slower} {faster} : vitesse  {back} : quitter',
+        'gameOver.title': 'Partie terminée',
+        'gameOver.yourScore': 'Votre score :',
+        'gameOver.namePlaceholder': 'Votre nom',
+        'gameOver.submit': 'Envoyer le score',
+        'gameOver.seed': 'Graine :',
+        'gameOver.restart': 'Recommencer',
+        'gameOver.watchReplay': 'Voir le replay',
+        'gameOver.exportReplay': 'Exporter le replay',
+        'gameOver.newBestScore': 'NOUVEAU MEILLEUR SCORE !',
+        'gameOver.newHighestLevel': 'NOUVEAU NIVEAU RECORD !',
+        'gameOver.personalBest': 'Record personnel : {score} (niveau {level})',
+        'gameOver.rank': '(Rang n°{rank} sur {total})',
+        'gameOver.rankAdaptive': '(Rang n°{rank} sur {total}, difficulté adaptative)',
+        'menu.seed': 'Graine',
+        'menu.playSeed': 'Jouer la graine',
+        'menu.difficulty': 'Difficulté',
+        'difficulty.easy': 'Facile',
+        'difficulty.normal': 'Normal',
+        'difficulty.hard': 'Difficile',
+        'menu.loadReplay': 'Charger un replay',
+        'menu.levels': 'Niveaux',
+        'menu.editor': 'Éditeur de niveaux',
+        'menu.settings': 'Paramètres',
+        'menu.back': 'Retour',
+        'levelSelect.title': 'Choisir un niveau',
+        'levelSelect.empty': 'Aucun niveau de campagne disponible.',
+        'settings.title': 'Paramètres',
+        'settings.masterVolume': 'Volume général',
+        'settings.musicVolume': 'Volume de la musique',
+        'settings.sfxVolume': 'Volume des effets',
+        'settings.mute': 'Couper le son',
+        'settings.effectIntensity': 'Intensité des effets',
+        'settings.dragSensitivity': 'Sensibilité du glisser',
+        'settings.trajectory': 'Aperçu de la trajectoire',
+        'settings.showFps': 'Afficher les FPS',
+        'settings.language': 'Langue',
+        'settings.fixedDifficulty': 'Difficulté fixe',
+        'controls.title': 'Commandes',
+        'controls.keyboard': 'Clavier',
+        'controls.gamepad': 'Manette',
+        'controls.pressKey': 'Appuyez sur une touche…',
+        'controls.pressButton': 'Appuyez sur un bouton…',
+        'controls.unbound': '—',
+        'controls.button': 'Bouton {n}',
+        'controls.reset': 'Réinitialiser les commandes',
+        'action.turnLeft': 'Viser à gauche',
+        'action.turnRight': 'Viser à droite',
+        'action.charge': 'Charger',
+        'action.launch': 'Lancer',
+        'action.pause': 'Pause',
+        'action.confirm': 'Valider',
+        'action.back': 'Retour',
+        'action.mute': 'Couper le son',
+        'action.slower': 'Ralenti',
+        'action.faster': 'Avance rapide',
+        'key.space': 'Espace',
+        'key.escape': 'Échap',
+        'key.enter': 'Entrée',
+        'settings.accessibility': 'Accessibilité',
+        'settings.highContrast': 'Contraste élevé',
+        'settings.colorPalette': 'Palette de couleurs',
+        'settings.reducedMotion': 'Animations réduites',
+        'palette.default': 'Par défaut',
+        'palette.redGreen': 'Adaptée rouge-vert',
+        'palette.blueYellow': 'Adaptée bleu-jaune',
+        'a11y.start': 'Stardust Drifter. Appuyez sur une touche pour commencer.',
+        'a11y.levelComplete': 'Niveau {level} terminé. Score {score}.',
+        'a11y.resumed': 'Reprise',
+        'a11y.score': 'Score {score}',
+        'a11y.gameOver': 'Partie terminée. Score final {score} au niveau {level}.',
+        'a11y.replay': 'Lecture du replay',
+        'a11y.editor': 'Éditeur de niveaux',
+        'powerUp.shield': 'Bouclier',
+        'powerUp.slowMotion': 'Ralenti',
+        'powerUp.magnet': 'Aimant',
+        'powerUp.boost': 'Turbo',
+        'a11y.powerUp': 'Bonus : {name}',
+        'a11y.shieldHit': 'Bouclier perdu',
+        'hud.fuel': 'Carburant',
+        'a11y.fuelEmpty': 'Plus de carburant',
+        'action.thrust': 'Propulsion',
+        'flight.landed': 'Posé !',
+        'flight.orbit': 'En orbite !',
+        'a11y.landed': 'Posé. Visez pour repartir.',
+        'a11y.orbit': 'En orbite. Visez pour repartir.',
+        'a11y.wormhole': 'À travers un trou de ver',
+        'a11y.cometWave': 'Comètes en approche : {count}',
+        'hud.combo': 'Combo ×{multiplier}',
+        'callout.nearMiss': 'De justesse',
+        'callout.slingshot': 'Fronde gravitationnelle',
+        'score.flight': 'Vol',
+        'score.stars': 'Étoiles',
+        'score.nearMiss': 'Frôlements',
+        'score.slingshot': 'Frondes',
+        'editor.select': 'Sélection',
+        'editor.planet': 'Planète',
+        'editor.comet': 'Comète',
+        'editor.star': 'Étoile',
+        'editor.start': 'Départ du vaisseau',
+        'editor.planetType': 'Type de planète',
+        'editor.planetTerrestrial': 'Tellurique',
+        'editor.planetDesert': 'Désertique',
+        'editor.planetGasGiant': 'Géante gazeuse',
+        'editor.planetIce': 'Glacée',
+        'editor.levelName': 'Nom du niveau',
+        'editor.goal': 'Objectif',
+        'editor.goalTitle': 'Score à atteindre dans le niveau',
+        'editor.allStars': 'Toutes les étoiles',
+        'editor.par': 'Par',
+        'editor.parTitle': 'Score du niveau pour 1, 2 et 3 étoiles',
+        'editor.delete': 'Supprimer',
+        'editor.undo': 'Annuler',
+        'editor.redo': 'Rétablir',
+        'editor.testPlay': 'Tester',
+        'editor.save': 'Enregistrer',
+        'editor.load': 'Charger',
+        'editor.exit': 'Quitter',
+        'editor.help': 'Clic pour placer · glisser pour déplacer · glisser le bord d\'une planète ou la molette pour redimensionner · Suppr pour supprimer · T pour tester',
+        'editor.testPlayBanner': 'TEST — appuyez sur T pour revenir à l\'éditeur',
+        'loading.title': 'Chargement de Stardust Drifter...',
+        'loading.fallback': 'Certaines ressources n\'ont pas pu être chargées. Remplacements utilisés.'
+    }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+// Switch language; unknown codes fall back to the default. Returns the language in use.
+function setLanguage(code) {
+    currentLanguage = TRANSLATIONS[code] ? code : DEFAULT_LANGUAGE;
+    return currentLanguage;
+}
+
+// Look up a string and fill in {placeholders} from params
+function t(key, params = {}) {
+    const template = TRANSLATIONS[currentLanguage][key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Fill in every tagged element under root with the current language
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    document.documentElement.lang = currentLanguage;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LANGUAGES, DEFAULT_LANGUAGE, TRANSLATIONS, setLanguage, t };
+}
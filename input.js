@@ -0,0 +1,265 @@
+// --- INPUT ACTIONS ---
+// Keyboard, gamepad and pointer input all come out of here as named actions,
+// so the game never checks for a particular key or button itself.
+//
+// Actions are { name, phase, device, ... }:
+//     { name: <one of INPUT_ACTIONS>, phase: 'pressed' | 'released', device: 'keyboard' | 'gamepad' }
+//     { name: 'aim', phase: 'pressed' | 'moved' | 'released', device: 'pointer', x, y }
+//     { name: 'aim', phase: 'moved', device: 'gamepad', angle }      // analog stick
+//
+// Keys and gamepad buttons are rebindable; the pointer and the stick are not.
+
+const INPUT_ACTIONS = ['turnLeft', 'turnRight', 'charge', 'launch', 'thrust', 'pause', 'confirm', 'back', 'mute', 'slower', 'faster'];
+const BINDINGS_STORAGE_KEY = 'stardust-drifter.bindings';
+const BINDINGS_SCHEMA_VERSION = 1;
+
+// Standard gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_AIM_AXES = [0, 1]; // Left stick x, y
+const GAMEPAD_STICK_DEADZONE = 0.3;
+const GAMEPAD_TRIGGER_THRESHOLD = 0.1; // Analog buttons count as pressed above this
+
+// A key can drive several actions (Escape pauses in play and goes back in menus);
+// each screen only reacts to the ones it cares about
+function createDefaultBindings() {
+    return {
+        version: BINDINGS_SCHEMA_VERSION,
+        keyboard: {
+            turnLeft: ['ArrowLeft'],
+            turnRight: ['ArrowRight'],
+            charge: [' '],
+            launch: [],
+            thrust: ['ArrowUp'],
+            pause: ['Escape'],
+            confirm: ['Enter', ' '],
+            back: ['Escape'],
+            mute: ['m'],
+            slower: ['['],
+            faster: [']']
+        },
+        gamepad: {
+            turnLeft: [14], // D-pad left
+            turnRight: [15], // D-pad right
+            charge: [7], // Right trigger
+            launch: [0], // A / Cross
+            thrust: [6], // Left trigger
+            pause: [9], // Start / Options
+            confirm: [0],
+            back: [1], // B / Circle
+            mute: [],
+            slower: [4], // Left bumper
+            faster: [5] // Right bumper
+        }
+    };
+}
+
+// Keep known actions with well-formed codes; anything missing gets its default
+function sanitizeBindings(data) {
+    const defaults = createDefaultBindings();
+    if (!data || typeof data !== 'object' || data.version !== BINDINGS_SCHEMA_VERSION) {
+        return defaults;
+    }
+
+    const isValidCode = {
+        keyboard: code => typeof code === 'string' && code.length > 0,
+        gamepad: code => Number.isInteger(code) && code >= 0
+    };
+    const bindings = { version: BINDINGS_SCHEMA_VERSION, keyboard: {}, gamepad: {} };
+    for (const device of ['keyboard', 'gamepad']) {
+        const saved = data[device] || {};
+        for (const action of INPUT_ACTIONS) {
+            bindings[device][action] = Array.isArray(saved[action]) && saved[action].every(isValidCode[device])
+                ? [...saved[action]]
+                : defaults[device][action];
+        }
+    }
+    return bindings;
+}
+
+// localStorage is looked up inside the try, as for settings, since blocked storage throws
+function loadBindings(storage) {
+    try {
+        const raw = (storage || window.localStorage).getItem(BINDINGS_STORAGE_KEY);
+        if (raw) return sanitizeBindings(JSON.parse(raw));
+    } catch (err) {
+        console.warn('⚠️ Could not read key bindings:', err.message);
+    }
+    return createDefaultBindings();
+}
+
+function saveBindings(bindings, storage) {
+    try {
+        (storage || window.localStorage).setItem(BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+        return true;
+    } catch (err) {
+        console.warn('⚠️ Could not save key bindings:', err.message);
+        return false;
+    }
+}
+
+// Letters are matched regardless of Shift / Caps Lock
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Aim angle from stick axes, or null while the stick rests inside the deadzone
+function getStickAngle(x, y, deadzone = GAMEPAD_STICK_DEADZONE) {
+    if (Math.hypot(x, y) < deadzone) return null;
+    return Math.atan2(y, x);
+}
+
+// Turns raw device input into actions and hands them to onAction.
+// An action stays held while any of its bound inputs is down. When one press
+// maps to several actions they are offered in INPUT_ACTIONS order until onAction
+// returns true, so Escape either pauses the game or backs out of a menu, not both.
+class InputManager {
+    constructor(bindings, onAction) {
+        this.bindings = bindings;
+        this.onAction = onAction;
+        this.downInputs = new Set(); // 'keyboard:ArrowLeft', 'gamepad:7', ...
+        this.heldCounts = {};
+        this.previousButtons = [];
+        this.capture = null; // Waiting for the next key/button to rebind an action
+    }
+
+    setBindings(bindings) {
+        this.releaseAll();
+        this.bindings = bindings;
+    }
+
+    // Actions bound to a key or button
+    getActionsFor(device, code) {
+        return INPUT_ACTIONS.filter(action => this.bindings[device][action].includes(code));
+    }
+
+    isHeld(action) {
+        return (this.heldCounts[action] || 0) > 0;
+    }
+
+    // Make code the only binding for an action on a device
+    bind(device, action, code) {
+        this.releaseAll();
+        this.bindings[device][action] = [code];
+    }
+
+    // The next key (device 'keyboard') or button ('gamepad') is passed to callback
+    // instead of triggering actions; Escape cancels with null
+    captureNext(device, callback) {
+        this.capture = { device, callback };
+    }
+
+    cancelCapture() {
+        if (!this.capture) return;
+        const { callback } = this.capture;
+        this.capture = null;
+        callback(null);
+    }
+
+    // Returns the actions that fired so callers can tell whether a key did anything
+    keyDown(key) {
+        const code = normalizeKey(key);
+        if (this.capture && this.capture.device === 'keyboard') {
+            const { callback } = this.capture;
+            this.capture = null;
+            callback(code === 'Escape' ? null : code);
+            return [];
+        }
+        return this.inputDown('keyboard', code);
+    }
+
+    keyUp(key) {
+        return this.inputUp('keyboard', normalizeKey(key));
+    }
+
+    // phase is 'pressed', 'moved' or 'released'; x, y in page pixels
+    pointer(phase, x, y) {
+        const action = { name: 'aim', phase, device: 'pointer', x, y };
+        this.onAction(action);
+        return [action];
+    }
+
+    // Compare a Gamepad snapshot with the previous poll and fire what changed
+    pollGamepad(gamepad) {
+        if (!gamepad) return [];
+        const fired = [];
+        const buttons = gamepad.buttons.map(button => button.pressed || button.value > GAMEPAD_TRIGGER_THRESHOLD);
+
+        if (this.capture && this.capture.device === 'gamepad') {
+            const index = buttons.findIndex((pressed, i) => pressed && !this.previousButtons[i]);
+            if (index !== -1) {
+                const { callback } = this.capture;
+                this.capture = null;
+                callback(index);
+            }
+            this.previousButtons = buttons;
+            return fired;
+        }
+
+        buttons.forEach((pressed, index) => {
+            if (pressed && !this.previousButtons[index]) {
+                fired.push(...this.inputDown('gamepad', index));
+            } else if (!pressed && this.previousButtons[index]) {
+                fired.push(...this.inputUp('gamepad', index));
+            }
+        });
+        this.previousButtons = buttons;
+
+        const angle = getStickAngle(gamepad.axes[GAMEPAD_AIM_AXES[0]] || 0, gamepad.axes[GAMEPAD_AIM_AXES[1]] || 0);
+        if (angle !== null) {
+            const action = { name: 'aim', phase: 'moved', device: 'gamepad', angle };
+            this.onAction(action);
+            fired.push(action);
+        }
+        return fired;
+    }
+
+    inputDown(device, code) {
+        const input = `${device}:${code}`;
+        if (this.downInputs.has(input)) return []; // Key repeat
+        this.downInputs.add(input);
+
+        const fired = [];
+        for (const name of this.getActionsFor(device, code)) {
+            this.heldCounts[name] = (this.heldCounts[name] || 0) + 1;
+            if (this.heldCounts[name] === 1) {
+                fired.push({ name, phase: 'pressed', device });
+            }
+        }
+        fired.some(action => this.onAction(action));
+        return fired;
+    }
+
+    inputUp(device, code) {
+        const input = `${device}:${code}`;
+        if (!this.downInputs.delete(input)) return [];
+
+        const fired = [];
+        for (const name of this.getActionsFor(device, code)) {
+            this.heldCounts[name] = Math.max(0, (this.heldCounts[name] || 0) - 1);
+            if (this.heldCounts[name] === 0) {
+                fired.push({ name, phase: 'released', device });
+            }
+        }
+        fired.forEach(action => this.onAction(action));
+        return fired;
+    }
+
+    // Forget everything held, without firing releases (window blur, rebinding)
+    releaseAll() {
+        this.downInputs.clear();
+        this.heldCounts = {};
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INPUT_ACTIONS,
+        BINDINGS_STORAGE_KEY,
+        createDefaultBindings,
+        sanitizeBindings,
+        loadBindings,
+        saveBindings,
+        normalizeKey,
+        getStickAngle,
+        InputManager
+    };
+}
@@ -0,0 +1,38 @@
+// --- LEADERBOARD CLIENT ---
+// Talks to the /api/scores endpoints served by server.js
+
+const LEADERBOARD_ENDPOINT = '/api/scores';
+
+// Surface the server's error message when a request is rejected
+function readLeaderboardResponse(response) {
+    return response.json()
+        .catch(() => ({}))
+        .then(body => {
+            if (!response.ok) {
+                throw new Error(body.error || `Leaderboard request failed (${response.status})`);
+            }
+            return body;
+        });
+}
+
+// Submit a finished run; resolves with { entry, rank, total }
+function submitHighScore(entry) {
+    return fetch(LEADERBOARD_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+    }).then(readLeaderboardResponse);
+}
+
+// List high scores, optionally filtered by mode, fixedDifficulty, level, since, until and limit
+function fetchHighScores(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== null) {
+            params.set(key, value);
+        }
+    }
+    return fetch(`${LEADERBOARD_ENDPOINT}?${params}`)
+        .then(readLeaderboardResponse)
+        .then(body => body.scores);
+}
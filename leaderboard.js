@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// --- LEADERBOARD CONFIGURATION ---
+const GAME_MODES = ['easy', 'normal', 'hard'];
+const NAME_PATTERN = /^[\p{L}\p{N} _.-]+$/u;
+const NAME_MAX_LENGTH = 16;
+const SEED_PATTERN = /^[A-Z0-9]{1,12}$/;
+const MAX_SCORE = 1e9;
+const MAX_LEVEL = 1000;
+const DEFAULT_LIST_LIMIT = 10;
+const MAX_LIST_LIMIT = 100;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_SUBMISSIONS = 5;
+
+// --- VALIDATION ---
+
+// Check a submitted score; returns { value } with the cleaned entry or { error }
+function validateScoreSubmission(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Expected a JSON body' };
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (name.length === 0 || name.length > NAME_MAX_LENGTH || !NAME_PATTERN.test(name)) {
+        return { error: `Name must be 1-${NAME_MAX_LENGTH} letters, digits, spaces, '.', '_' or '-'` };
+    }
+    if (!Number.isInteger(body.score) || body.score < 0 || body.score > MAX_SCORE) {
+        return { error: 'Score must be a non-negative integer' };
+    }
+    if (!Number.isInteger(body.level) || body.level < 1 || body.level > MAX_LEVEL) {
+        return { error: 'Level must be a positive integer' };
+    }
+    if (!GAME_MODES.includes(body.mode)) {
+        return { error: `Mode must be one of: ${GAME_MODES.join(', ')}` };
+    }
+    if (body.seed !== undefined && (typeof body.seed !== 'string' || !SEED_PATTERN.test(body.seed))) {
+        return { error: 'Seed must be an uppercase seed code' };
+    }
+    if (body.fixedDifficulty !== undefined && typeof body.fixedDifficulty !== 'boolean') {
+        return { error: 'fixedDifficulty must be true or false' };
+    }
+
+    return {
+        value: {
+            name,
+            score: body.score,
+            level: body.level,
+            mode: body.mode,
+            seed: body.seed || null,
+            fixedDifficulty: body.fixedDifficulty !== false // Clients from before adaptive difficulty only played fixed
+        }
+    };
+}
+
+// Parse list query parameters; returns { value } with filters or { error }
+function parseListQuery(query) {
+    const filters = { limit: DEFAULT_LIST_LIMIT };
+
+    if (query.mode !== undefined) {
+        if (!GAME_MODES.includes(query.mode)) {
+            return { error: `Mode must be one of: ${GAME_MODES.join(', ')}` };
+        }
+        filters.mode = query.mode;
+    }
+    if (query.fixedDifficulty !== undefined) {
+        if (query.fixedDifficulty !== 'true' && query.fixedDifficulty !== 'false') {
+            return { error: "'fixedDifficulty' must be true or false" };
+        }
+        filters.fixedDifficulty = query.fixedDifficulty === 'true';
+    }
+    if (query.level !== undefined) {
+        const level = Number(query.level);
+        if (!Number.isInteger(level) || level < 1) {
+            return { error: 'Level must be a positive integer' };
+        }
+        filters.level = level;
+    }
+    for (const key of ['since', 'until']) {
+        if (query[key] !== undefined) {
+            const time = Date.parse(query[key]);
+            if (Number.isNaN(time)) {
+                return { error: `'${key}' must be a date` };
+            }
+            filters[key] = time;
+        }
+    }
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: 'Limit must be a positive integer' };
+        }
+        filters.limit = Math.min(limit, MAX_LIST_LIMIT);
+    }
+
+    return { value: filters };
+}
+
+// --- PERSISTENCE ---
+
+// Highest score first; ties go to whoever got there first
+function compareScores(a, b) {
+    return b.score - a.score || Date.parse(a.date) - Date.parse(b.date);
+}
+
+// Scores kept in memory and mirrored to a JSON file
+class ScoreStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.scores = [];
+        this.nextId = 1;
+        this.writeQueue = Promise.resolve();
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            // Scores from before adaptive difficulty were all played at fixed difficulty
+            this.scores = Array.isArray(data.scores)
+                ? data.scores.map(s => ({ ...s, fixedDifficulty: s.fixedDifficulty !== false }))
+                : [];
+            this.nextId = this.scores.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`Could not read scores from ${this.filePath}, starting empty:`, err.message);
+            }
+            this.scores = [];
+        }
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file
+    save() {
+        const json = JSON.stringify({ scores: this.scores });
+        this.writeQueue = this.writeQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.tmp`;
+                await fs.promises.writeFile(tempPath, json);
+                await fs.promises.rename(tempPath, this.filePath);
+            })
+            .catch(err => console.error('Failed to save scores:', err));
+        return this.writeQueue;
+    }
+
+    async add(entry) {
+        const stored = { id: this.nextId++, ...entry, date: new Date().toISOString() };
+        this.scores.push(stored);
+        await this.save();
+        return stored;
+    }
+
+    list({ mode, fixedDifficulty, level, since, until, limit }) {
+        return this.scores
+            .filter(s => mode === undefined || s.mode === mode)
+            .filter(s => fixedDifficulty === undefined || s.fixedDifficulty === fixedDifficulty)
+            .filter(s => level === undefined || s.level === level)
+            .filter(s => since === undefined || Date.parse(s.date) >= since)
+            .filter(s => until === undefined || Date.parse(s.date) <= until)
+            .sort(compareScores)
+            .slice(0, limit);
+    }
+
+    // 1-based position of an entry on its board: the same mode, and fixed and adaptive
+    // difficulty runs ranked apart since adaptive levels get easier for a struggling player
+    rankOf(entry) {
+        const board = this.scores.filter(s => s.mode === entry.mode && s.fixedDifficulty === entry.fixedDifficulty);
+        return {
+            rank: board.filter(s => compareScores(s, entry) < 0).length + 1,
+            total: board.length
+        };
+    }
+}
+
+// --- RATE LIMITING ---
+
+// Fixed-window limiter keyed by client IP
+function createRateLimiter({ windowMs, max }) {
+    const clients = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let client = clients.get(req.ip);
+
+        if (!client || now - client.windowStart >= windowMs) {
+            client = { windowStart: now, count: 0 };
+            clients.set(req.ip, client);
+        }
+
+        client.count++;
+        if (client.count > max) {
+            res.set('Retry-After', Math.ceil((client.windowStart + windowMs - now) / 1000));
+            return res.status(429).json({ error: 'Too many submissions, try again later' });
+        }
+
+        // Forget clients whose window has passed so the map doesn't grow forever
+        if (clients.size > 1000) {
+            for (const [ip, c] of clients) {
+                if (now - c.windowStart >= windowMs) clients.delete(ip);
+            }
+        }
+        next();
+    };
+}
+
+// --- ROUTES ---
+
+function createLeaderboardRouter({ filePath, rateLimit = {} }) {
+    const store = new ScoreStore(filePath);
+    const router = express.Router();
+    const limitSubmissions = createRateLimiter({
+        windowMs: rateLimit.windowMs || RATE_LIMIT_WINDOW_MS,
+        max: rateLimit.max || RATE_LIMIT_MAX_SUBMISSIONS
+    });
+
+    router.use(express.json({ limit: '2kb' }));
+
+    // List high scores, optionally filtered by mode, fixed or adaptive difficulty, level reached and date
+    router.get('/', (req, res) => {
+        const { value, error } = parseListQuery(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({ scores: store.list(value) });
+    });
+
+    // Submit a score and get its rank on its board
+    router.post('/', limitSubmissions, async (req, res) => {
+        const { value, error } = validateScoreSubmission(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        const entry = await store.add(value);
+        res.status(201).json({ entry, ...store.rankOf(entry) });
+    });
+
+    // Malformed JSON and oversized bodies get a JSON error instead of an HTML page
+    router.use((err, req, res, next) => {
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Internal server error' });
+    });
+
+    return router;
+}
+
+module.exports = {
+    GAME_MODES,
+    validateScoreSubmission,
+    parseListQuery,
+    ScoreStore,
+    createRateLimiter,
+    createLeaderboardRouter
+};
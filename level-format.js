@@ -0,0 +1,216 @@
+// --- LEVEL FILE FORMAT ---
+// Shared by the level editor and the campaign. Positions are fractions of the
+// playfield so a level fits any window; radii and velocities are in base units
+// and get multiplied by `scale` like everything else.
+//
+// {
+//     "version": 7,
+//     "name": "First Flight",
+//     "start": { "x": 0.5, "y": 0.33 },                       // ship start
+//     "planets": [{ "x", "y", "radius", "type", "dx", "dy", "orbit" }],   // orbit is optional, see below
+//     "comets": [{ "x", "y", "dx", "dy" }],
+//     "stars": [{ "x", "y" }],                                 // collectable star layout
+//     "powerUps": [{ "x", "y", "kind" }],                      // see POWER_UP_KINDS
+//     "fuelPickups": [{ "x", "y" }],                           // thrust refills
+//     "blackHoles": [{ "x", "y" }],
+//     "wormholes": [{ "x", "y", "pair" }],                     // the two ends share a pair number
+//     "repulsors": [{ "x", "y" }],                             // white dwarfs
+//     "goals": { "score": 500, "collectAllStars": true },      // all listed goals must be met
+//     "par": [300, 450, 600],                                  // level score for 1, 2 and 3 stars
+//     "nBody": false                                           // true: planets not on an orbit pull each other
+// }
+//
+// A planet without an orbit drifts by dx, dy, and nothing stops it leaving the playfield.
+// A planet with an orbit goes round an ellipse instead:
+//     "orbit": { "parent", "a", "b", "tilt", "phase", "period" }
+// parent is the index of an earlier planet to circle; without one the planet circles its
+// own x, y, so the two halves of a binary share a point and start half a turn apart.
+// a and b are the semi-axes in base units (b defaults to a), tilt and phase are in radians
+// and period is ticks per turn, negative to go the other way.
+
+const LEVEL_FORMAT_VERSION = 7;
+const LEVEL_DEFAULT_PLANET_RADIUS = 35;
+const LEVEL_DEFAULT_GOAL_SCORE = 1000;
+const LEVEL_MAX_RATING = 3;
+const LEVEL_DEFAULT_ORBIT_PERIOD = 600; // Ten seconds a turn
+
+function createEmptyLevel() {
+    return {
+        version: LEVEL_FORMAT_VERSION,
+        name: 'Untitled',
+        start: { x: 0.5, y: 1 / 3 }, // Same spot setupLevel uses for generated levels
+        planets: [],
+        comets: [],
+        stars: [],
+        powerUps: [],
+        fuelPickups: [],
+        blackHoles: [],
+        wormholes: [],
+        repulsors: [],
+        nBody: false,
+        goals: { score: LEVEL_DEFAULT_GOAL_SCORE },
+        par: defaultParFor(LEVEL_DEFAULT_GOAL_SCORE)
+    };
+}
+
+// Par scores that scale with the goal when a level doesn't set its own
+function defaultParFor(goalScore) {
+    return [goalScore, Math.round(goalScore * 1.5), goalScore * 2];
+}
+
+// Upgrades keyed by the version they upgrade from
+const LEVEL_MIGRATIONS = {
+    // Version 1 (editor only) had no goals or par; give it the generated-level goal
+    1: (level) => ({
+        ...level,
+        goals: { score: LEVEL_DEFAULT_GOAL_SCORE },
+        par: defaultParFor(LEVEL_DEFAULT_GOAL_SCORE)
+    }),
+    // Version 2 had no power-ups
+    2: (level) => ({ ...level, powerUps: [] }),
+    // Version 3 had no fuel pickups
+    3: (level) => ({ ...level, fuelPickups: [] }),
+    // Version 4 had no black holes, wormholes or white dwarfs
+    4: (level) => ({ ...level, blackHoles: [], wormholes: [], repulsors: [] }),
+    // Version 5 had no orbits or n-body levels; its planets all drift
+    5: (level) => ({ ...level, nBody: false }),
+    // Version 6 bounced drifting planets off the playfield edges; they keep their
+    // velocity and now drift out of it
+    6: (level) => level
+};
+
+// Parse a level from JSON text or an already-parsed object, upgrading old versions.
+// Throws on anything malformed.
+function parseLevel(source) {
+    let data = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!data || !Number.isInteger(data.version) || data.version > LEVEL_FORMAT_VERSION) {
+        throw new Error(`Unsupported level version: ${data && data.version}`);
+    }
+    while (data.version < LEVEL_FORMAT_VERSION) {
+        const migrate = LEVEL_MIGRATIONS[data.version];
+        if (!migrate) {
+            throw new Error(`Unsupported level version: ${data.version}`);
+        }
+        data = { ...migrate(data), version: data.version + 1 };
+    }
+
+    const isPoint = p => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+    if (!isPoint(data.start)) {
+        throw new Error('Level is missing a ship start position');
+    }
+    for (const key of ['planets', 'comets', 'stars']) {
+        if (!Array.isArray(data[key]) || !data[key].every(isPoint)) {
+            throw new Error(`Level ${key} are malformed`);
+        }
+    }
+    if (!Array.isArray(data.powerUps) || !data.powerUps.every(u => isPoint(u) && typeof u.kind === 'string')) {
+        throw new Error('Level powerUps are malformed');
+    }
+    if (!Array.isArray(data.fuelPickups) || !data.fuelPickups.every(isPoint)) {
+        throw new Error('Level fuelPickups are malformed');
+    }
+    for (const key of ['blackHoles', 'repulsors']) {
+        if (!Array.isArray(data[key]) || !data[key].every(isPoint)) {
+            throw new Error(`Level ${key} are malformed`);
+        }
+    }
+    data.planets.forEach((p, index) => {
+        if (p.orbit !== undefined && !isOrbit(p.orbit, index)) {
+            throw new Error(`Level planet ${index} has a malformed orbit`);
+        }
+    });
+    if (!Array.isArray(data.wormholes) || !data.wormholes.every(w => isPoint(w) && Number.isInteger(w.pair))) {
+        throw new Error('Level wormholes are malformed');
+    }
+    if (typeof data.nBody !== 'boolean') {
+        throw new Error('Level nBody must be true or false');
+    }
+
+    const goals = data.goals || {};
+    if (goals.score !== undefined && !(goals.score >= 0)) {
+        throw new Error('Level goal score must be a non-negative number');
+    }
+    if (goals.score === undefined && !goals.collectAllStars) {
+        throw new Error('Level needs at least one completion goal');
+    }
+    if (goals.collectAllStars && data.stars.length === 0) {
+        throw new Error('Level asks for all stars but has none');
+    }
+    const par = Array.isArray(data.par) && data.par.length === LEVEL_MAX_RATING && data.par.every(Number.isFinite)
+        ? data.par
+        : defaultParFor(goals.score || LEVEL_DEFAULT_GOAL_SCORE);
+
+    return {
+        version: LEVEL_FORMAT_VERSION,
+        name: typeof data.name === 'string' ? data.name : 'Untitled',
+        start: { x: data.start.x, y: data.start.y },
+        planets: data.planets.map(p => ({
+            x: p.x,
+            y: p.y,
+            radius: p.radius > 0 ? p.radius : LEVEL_DEFAULT_PLANET_RADIUS,
+            type: Number.isInteger(p.type) ? p.type : 0,
+            dx: p.dx || 0,
+            dy: p.dy || 0,
+            ...(p.orbit && { orbit: normalizeOrbit(p.orbit) })
+        })),
+        comets: data.comets.map(c => ({ x: c.x, y: c.y, dx: c.dx || 0, dy: c.dy || 0 })),
+        stars: data.stars.map(s => ({ x: s.x, y: s.y })),
+        powerUps: data.powerUps.map(u => ({ x: u.x, y: u.y, kind: u.kind })),
+        fuelPickups: data.fuelPickups.map(f => ({ x: f.x, y: f.y })),
+        blackHoles: data.blackHoles.map(b => ({ x: b.x, y: b.y })),
+        wormholes: data.wormholes.map(w => ({ x: w.x, y: w.y, pair: w.pair })),
+        repulsors: data.repulsors.map(r => ({ x: r.x, y: r.y })),
+        nBody: data.nBody,
+        goals: {
+            ...(goals.score !== undefined && { score: goals.score }),
+            ...(goals.collectAllStars && { collectAllStars: true })
+        },
+        par: [...par].sort((a, b) => a - b)
+    };
+}
+
+// An orbit for the planet at `index`: round an earlier planet or its own x, y
+function isOrbit(orbit, index) {
+    const hasParent = orbit && orbit.parent !== undefined && orbit.parent !== null;
+    return Boolean(orbit) &&
+        orbit.a > 0 &&
+        (orbit.b === undefined || orbit.b > 0) &&
+        (!hasParent || (Number.isInteger(orbit.parent) && orbit.parent >= 0 && orbit.parent < index)) &&
+        (orbit.period === undefined || (Number.isFinite(orbit.period) && orbit.period !== 0));
+}
+
+function normalizeOrbit(orbit) {
+    return {
+        parent: Number.isInteger(orbit.parent) ? orbit.parent : null,
+        a: orbit.a,
+        b: orbit.b || orbit.a,
+        tilt: orbit.tilt || 0,
+        phase: orbit.phase || 0,
+        period: orbit.period || LEVEL_DEFAULT_ORBIT_PERIOD
+    };
+}
+
+// Have the level's goals been met, given the score earned in it and the stars left?
+function isLevelGoalMet(level, levelScore, starsRemaining) {
+    const scoreMet = level.goals.score === undefined || levelScore >= level.goals.score;
+    const starsMet = !level.goals.collectAllStars || starsRemaining === 0;
+    return scoreMet && starsMet;
+}
+
+// 1-3 stars for a completed level; completing it always earns the first
+function getStarRating(level, levelScore) {
+    const reached = level.par.filter(par => levelScore >= par).length;
+    return Math.max(1, reached);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEVEL_FORMAT_VERSION,
+        LEVEL_MAX_RATING,
+        createEmptyLevel,
+        defaultParFor,
+        parseLevel,
+        isLevelGoalMet,
+        getStarRating
+    };
+}
@@ -0,0 +1,130 @@
+// --- PLAYER PROFILE ---
+// Personal bests and run history, kept in localStorage between sessions.
+
+const PROFILE_STORAGE_KEY = 'stardust-drifter.profile';
+const PROFILE_SCHEMA_VERSION = 4;
+const PROFILE_RECENT_RUNS = 10;
+
+function createDefaultProfile() {
+    return {
+        version: PROFILE_SCHEMA_VERSION,
+        bestScore: 0,
+        highestLevel: 0,
+        totalStarsCollected: 0,
+        totalFlightTime: 0, // seconds
+        totalRuns: 0,
+        recentRuns: [], // newest first
+        campaign: createDefaultCampaignProgress(),
+        difficultyOutcomes: [] // Recent level outcomes the adaptive difficulty works from, oldest first
+    };
+}
+
+function createDefaultCampaignProgress() {
+    return {
+        ratings: {} // Best star rating per campaign level, keyed by its file name
+    };
+}
+
+// The campaign as it shipped while progress was still kept by level number
+const PROFILE_NUMBERED_CAMPAIGN = ['01-first-flight.json', '02-slingshot.json', '03-drifters.json', '04-comet-alley.json'];
+
+// Upgrades from each schema version to the next, keyed by the version they upgrade from.
+// Add an entry here (and bump PROFILE_SCHEMA_VERSION) whenever the stored shape changes.
+const PROFILE_MIGRATIONS = {
+    // v2 added campaign progress
+    1: (profile) => ({ ...profile, campaign: createDefaultCampaignProgress() }),
+    // v3 keys ratings by level file so adding or reordering levels keeps them;
+    // unlocks now follow from the ratings
+    2: (profile) => {
+        const ratings = {};
+        for (const [levelNumber, rating] of Object.entries(profile.campaign.ratings)) {
+            const id = PROFILE_NUMBERED_CAMPAIGN[levelNumber - 1];
+            if (id) ratings[id] = rating;
+        }
+        return { ...profile, campaign: { ratings } };
+    },
+    // v4 added the adaptive difficulty's history
+    3: (profile) => ({ ...profile, difficultyOutcomes: [] })
+};
+
+// Bring stored data up to the current schema; returns null if it can't be used
+function migrateProfile(data) {
+    if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+        return null;
+    }
+    if (data.version > PROFILE_SCHEMA_VERSION) {
+        // Written by a newer build; don't guess at its shape
+        return null;
+    }
+
+    let profile = data;
+    while (profile.version < PROFILE_SCHEMA_VERSION) {
+        const migrate = PROFILE_MIGRATIONS[profile.version];
+        if (!migrate) return null;
+        profile = { ...migrate(profile), version: profile.version + 1 };
+    }
+
+    // Fill in anything missing so older saves never break newer code
+    return { ...createDefaultProfile(), ...profile };
+}
+
+// Storage defaults to localStorage, looked up inside the try: merely reading
+// window.localStorage throws a SecurityError when the browser blocks storage
+function loadProfile(storage) {
+    try {
+        const raw = (storage || window.localStorage).getItem(PROFILE_STORAGE_KEY);
+        if (raw) {
+            const profile = migrateProfile(JSON.parse(raw));
+            if (profile) return profile;
+            console.warn('⚠️ Stored profile is unusable, starting a fresh one');
+        }
+    } catch (err) {
+        console.warn('⚠️ Could not read profile:', err.message);
+    }
+    return createDefaultProfile();
+}
+
+function saveProfile(profile, storage) {
+    try {
+        (storage || window.localStorage).setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+        return true;
+    } catch (err) {
+        // Storage full or disabled (private browsing); the profile just won't persist
+        console.warn('⚠️ Could not save profile:', err.message);
+        return false;
+    }
+}
+
+// Fold a finished run into the profile; returns which records it broke
+function recordRunInProfile(profile, run) {
+    const records = {
+        bestScore: run.score > profile.bestScore,
+        highestLevel: run.level > profile.highestLevel
+    };
+
+    profile.bestScore = Math.max(profile.bestScore, run.score);
+    profile.highestLevel = Math.max(profile.highestLevel, run.level);
+    profile.totalStarsCollected += run.starsCollected;
+    profile.totalFlightTime += run.flightTime;
+    profile.totalRuns++;
+    profile.recentRuns = [{ ...run, date: new Date().toISOString() }, ...profile.recentRuns]
+        .slice(0, PROFILE_RECENT_RUNS);
+
+    return records;
+}
+
+// Store a completed campaign level's rating by its id; returns true for a new best
+function recordLevelRating(profile, levelId, rating) {
+    const ratings = profile.campaign.ratings;
+    const previous = ratings[levelId] || 0;
+
+    ratings[levelId] = Math.max(previous, rating);
+    return rating > previous;
+}
+
+// A campaign level can be picked once the one before it is completed, and stays
+// pickable once completed itself even if a level is later added in front of it
+function isCampaignLevelUnlocked(profile, levels, index) {
+    const ratings = profile.campaign.ratings;
+    return index === 0 || Boolean(ratings[levels[index].id]) || Boolean(ratings[levels[index - 1].id]);
+}
@@ -0,0 +1,75 @@
+// --- SEEDED RANDOM NUMBER GENERATION ---
+// All gameplay randomness (level layouts, comets, star spawns) goes through a
+// SeededRandom so that a run can be reproduced from its seed code.
+
+const SEED_CODE_LENGTH = 6;
+const SEED_CODE_MAX_LENGTH = 12;
+// No I, O, 0 or 1 so codes can be read out loud without confusion
+const SEED_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Small, fast PRNG (mulberry32) with a 32-bit state
+class SeededRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1), drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+// Hash a string into a 32-bit seed (FNV-1a)
+function hashSeedString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Create a fresh random seed code (the only place Math.random is used for seeding)
+function generateSeedCode() {
+    let code = '';
+    for (let i = 0; i < SEED_CODE_LENGTH; i++) {
+        code += SEED_CODE_ALPHABET[Math.floor(Math.random() * SEED_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+// Clean up user-entered seed codes; returns null if nothing usable is left
+function normalizeSeedCode(code) {
+    if (typeof code !== 'string') return null;
+    const cleaned = code.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, SEED_CODE_MAX_LENGTH);
+    return cleaned.length > 0 ? cleaned : null;
+}
+
+// Create the generator for one part of a run (e.g. 'stars' or 'level-3')
+function createSeededRandom(seedCode, stream = '') {
+    return new SeededRandom(hashSeedString(`${seedCode}:${stream}`));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SeededRandom,
+        hashSeedString,
+        generateSeedCode,
+        normalizeSeedCode,
+        createSeededRandom
+    };
+}
@@ -0,0 +1,152 @@
+// --- RUN RECORDING AND REPLAY FILES ---
+// A run is fully determined by its seed, the world size, the difficulty it started
+// on and the launches and thrust made, because the simulation runs on fixed ticks with seeded randomness.
+// Recording those is enough to re-simulate the whole run later.
+
+// Bump this with every change to the simulation's rules, not just to the file layout:
+// a replay only plays back right under the rules it was recorded with, so files from
+// older versions are refused rather than replayed wrongly.
+// 1: launches only
+// 2: power-ups
+// 3: thrust and fuel pickups
+// 4: landing on and orbiting planets
+// 5: slingshot, near-miss and star-chain scoring with a combo multiplier
+// 6: flight points only every half second
+// 7: slingshots scored on speed gained
+// 8: generated worlds larger than the screen
+// 9: bodies and pickups updated in entity registry order
+// 10: black holes, wormholes and white dwarfs
+// 11: wormhole exits kept clear of bodies and walls
+// 12: room kept for black hole discs when placing bodies
+// 13: planets on orbits: moons, binary pairs and n-body levels
+// 14: drifting planets no longer bounce off the walls
+// 15: comet waves that bend under gravity
+// 16: adaptive difficulty on generated levels
+const REPLAY_FORMAT_VERSION = 16;
+
+// Captures the inputs of the run currently being played
+class RunRecorder {
+    constructor() {
+        this.recording = null;
+    }
+
+    start(seed, worldWidth, worldHeight, startLevel = 1, difficulty = createDifficultyState(true)) {
+        this.recording = {
+            seed: seed,
+            startLevel: startLevel,
+            width: worldWidth,
+            height: worldHeight,
+            difficulty: { fixed: difficulty.fixed, outcomes: [...difficulty.outcomes] },
+            launches: [],
+            thrust: [], // Every change of thrust direction, null when it stops
+            endTick: null,
+            score: null
+        };
+    }
+
+    // Launches are stored exactly as applied so replays stay bit-for-bit identical
+    recordLaunch(tick, angle, power) {
+        if (!this.recording || this.recording.endTick !== null) return;
+        this.recording.launches.push({ tick, angle, power });
+    }
+
+    recordThrust(tick, angle) {
+        if (!this.recording || this.recording.endTick !== null) return;
+        this.recording.thrust.push({ tick, angle });
+    }
+
+    finish(tick, score) {
+        if (!this.recording || this.recording.endTick !== null) return;
+        this.recording.endTick = tick;
+        this.recording.score = score;
+    }
+
+    // The last completed run, if any
+    getFinishedRecording() {
+        if (!this.recording || this.recording.endTick === null) return null;
+        return this.recording;
+    }
+}
+
+// Compact JSON: launches become [tick, angle, power] triples, thrust [tick, angle] pairs
+function serializeReplay(recording) {
+    return JSON.stringify({
+        v: REPLAY_FORMAT_VERSION,
+        seed: recording.seed,
+        level: recording.startLevel,
+        w: recording.width,
+        h: recording.height,
+        difficulty: recording.difficulty,
+        end: recording.endTick,
+        score: recording.score,
+        launches: recording.launches.map(l => [l.tick, l.angle, l.power]),
+        thrust: recording.thrust.map(t => [t.tick, t.angle])
+    });
+}
+
+// Parse and validate a replay file; throws on anything malformed
+function parseReplay(json) {
+    const data = JSON.parse(json);
+    if (!data || !Number.isInteger(data.v) || data.v < 1 || data.v > REPLAY_FORMAT_VERSION) {
+        throw new Error(`Unsupported replay version: ${data && data.v}`);
+    }
+    if (data.v < REPLAY_FORMAT_VERSION) {
+        throw new Error(`Replay version ${data.v} was recorded under older game rules and would not play back the same`);
+    }
+    if (typeof data.seed !== 'string' || !(data.w > 0) || !(data.h > 0) || !Number.isInteger(data.end)) {
+        throw new Error('Replay is missing its seed, world size or length');
+    }
+    if (!Array.isArray(data.launches) || !data.launches.every(l =>
+        Array.isArray(l) && Number.isInteger(l[0]) && Number.isFinite(l[1]) && Number.isFinite(l[2]))) {
+        throw new Error('Replay launches are malformed');
+    }
+    const thrust = data.thrust;
+    if (!Array.isArray(thrust) || !thrust.every(t =>
+        Array.isArray(t) && Number.isInteger(t[0]) && (t[1] === null || Number.isFinite(t[1])))) {
+        throw new Error('Replay thrust is malformed');
+    }
+
+    const difficulty = data.difficulty;
+    if (!difficulty || typeof difficulty.fixed !== 'boolean' || !Array.isArray(difficulty.outcomes) || !difficulty.outcomes.every(Number.isFinite)) {
+        throw new Error('Replay difficulty is malformed');
+    }
+
+    return {
+        seed: data.seed,
+        startLevel: Number.isInteger(data.level) && data.level > 0 ? data.level : 1,
+        width: data.w,
+        height: data.h,
+        difficulty: { fixed: difficulty.fixed, outcomes: difficulty.outcomes },
+        endTick: data.end,
+        score: data.score,
+        launches: data.launches.map(([tick, angle, power]) => ({ tick, angle, power })),
+        thrust: thrust.map(([tick, angle]) => ({ tick, angle }))
+    };
+}
+
+// Offer the recording as a .json download
+function downloadReplay(recording) {
+    const blob = new Blob([serializeReplay(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `stardust-replay-${recording.seed}-${recording.score}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Read a replay from a user-selected file
+function readReplayFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                resolve(parseReplay(reader.result));
+            } catch (err) {
+                reject(err);
+            }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
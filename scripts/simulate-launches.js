@@ -0,0 +1,68 @@
+// Fire random launches at each level headlessly and report how they end, for balancing.
+// Usage: node scripts/simulate-launches.js [launchesPerLevel] [levelCount]
+const fs = require('fs');
+const path = require('path');
+const { parseLevel } = require('../level-format.js');
+const { createSeededRandom } = require('../random.js');
+const {
+    PLAYER_MAX_LAUNCH_POWER,
+    createWorld,
+    setupLevel,
+    simulateLaunch
+} = require('../simulation.js');
+require('../hazards.js'); // Registers the hazard bodies generated levels place
+
+const WORLD_WIDTH = 1920;
+const WORLD_HEIGHT = 1080;
+const MAX_FLIGHT_TICKS = 60 * 60; // One minute of flight
+
+const launchesPerLevel = Number(process.argv[2]) || 1000;
+const levelCount = Number(process.argv[3]) || 8;
+
+// Same order the server lists them in
+const levelsDir = path.join(__dirname, '..', 'levels');
+const campaignLevels = fs.readdirSync(levelsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => parseLevel(fs.readFileSync(path.join(levelsDir, file), 'utf8')));
+
+const aim = createSeededRandom('BALANCE', 'aim');
+const rows = [];
+
+for (let level = 1; level <= levelCount; level++) {
+    const outcomes = {};
+    let totalTicks = 0;
+
+    for (let i = 0; i < launchesPerLevel; i++) {
+        // A different layout per launch for generated levels; authored ones are fixed
+        const world = createWorld({
+            width: WORLD_WIDTH,
+            height: WORLD_HEIGHT,
+            seed: `B${i}`,
+            startLevel: level,
+            campaignLevels
+        });
+        setupLevel(world);
+
+        const angle = aim.range(-Math.PI, Math.PI);
+        const power = aim.range(0.2, 1) * PLAYER_MAX_LAUNCH_POWER * world.scale;
+        const result = simulateLaunch(world, angle, power, MAX_FLIGHT_TICKS);
+        outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+        totalTicks += result.ticks;
+    }
+
+    const percent = key => `${((outcomes[key] || 0) / launchesPerLevel * 100).toFixed(1)}%`;
+    rows.push({
+        level,
+        name: campaignLevels[level - 1] ? campaignLevels[level - 1].name : '(generated)',
+        planet: percent('planet'),
+        comet: percent('comet'),
+        wall: percent('wall'),
+        complete: percent('levelComplete'),
+        timeout: percent('timeout'),
+        avgFlight: `${(totalTicks / launchesPerLevel / 60).toFixed(1)}s`
+    });
+}
+
+console.log(`🚀 ${launchesPerLevel} random launches per level on a ${WORLD_WIDTH}x${WORLD_HEIGHT} world`);
+console.table(rows);
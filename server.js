@@ -1,11 +1,44 @@
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
+const { createLeaderboardRouter } = require('./leaderboard');
 
 const app = express();
 const port = 3000;
 
-// Serve static files from the current directory
-app.use(express.static(__dirname));
+// High score API, persisted to a local JSON file
+app.use('/api/scores', createLeaderboardRouter({
+    filePath: process.env.SCORES_FILE || path.join(__dirname, 'data', 'scores.json')
+}));
+
+// Campaign levels, played in file name order; the files themselves are served statically below
+const levelsDir = path.join(__dirname, 'levels');
+app.get('/levels', async (req, res) => {
+    try {
+        const files = await fs.promises.readdir(levelsDir);
+        res.json({ levels: files.filter(file => file.endsWith('.json')).sort() });
+    } catch (err) {
+        // No levels folder just means there is no campaign
+        res.json({ levels: [] });
+    }
+});
+
+// Only the game itself is public; the server source and data/ stay private.
+// Keep in step with the stylesheet and script tags in index.html.
+const CLIENT_FILES = new Set([
+    'index.html', 'style.css',
+    'assets.js', 'random.js', 'i18n.js', 'settings.js', 'controls.js', 'camera.js', 'input.js',
+    'accessibility.js', 'replay.js', 'leaderboard-client.js', 'profile.js', 'level-format.js',
+    'difficulty.js', 'simulation.js', 'hazards.js', 'state-machine.js', 'audio.js', 'campaign.js',
+    'editor.js', 'game.js'
+]);
+app.get('/', (req, res) => res.sendFile('index.html', { root: __dirname }));
+app.get('/:file', (req, res, next) => {
+    if (!CLIENT_FILES.has(req.params.file)) return next();
+    res.sendFile(req.params.file, { root: __dirname });
+});
+app.use('/images', express.static(path.join(__dirname, 'images')));
+app.use('/levels', express.static(levelsDir));
 
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
@@ -0,0 +1,91 @@
+// --- PLAYER SETTINGS ---
+// Preferences kept in localStorage. The game applies them as soon as they change,
+// so none of them need a restart.
+
+const SETTINGS_STORAGE_KEY = 'stardust-drifter.settings';
+const SETTINGS_SCHEMA_VERSION = 1;
+const DRAG_SENSITIVITY_MIN = 0.5;
+const DRAG_SENSITIVITY_MAX = 2;
+
+function createDefaultSettings() {
+    return {
+        version: SETTINGS_SCHEMA_VERSION,
+        volumes: { master: 0.8, music: 0.5, sfx: 0.8 }, // 0-1 per audio bus
+        muted: false,
+        effectIntensity: 1, // 0-1; 0 turns off screen shake and particle bursts
+        dragSensitivity: 1, // Launch power per pixel dragged, relative to the default
+        showTrajectory: true,
+        showFps: false,
+        language: 'en',
+        fixedDifficulty: false, // Generated levels follow the standard formula instead of adapting to the player
+        highContrast: false, // Outlines around planets, comets and stars on a plain background
+        colorPalette: 'default', // See COLOR_PALETTES in accessibility.js
+        reducedMotion: false // No screen shake or particle bursts, whatever effectIntensity says
+    };
+}
+
+// Keep known settings with usable values; anything else gets its default
+function sanitizeSettings(data) {
+    const defaults = createDefaultSettings();
+    if (!data || typeof data !== 'object' || data.version !== SETTINGS_SCHEMA_VERSION) {
+        return defaults;
+    }
+
+    const inRange = (value, min, max, fallback) =>
+        (Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback);
+    const flag = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+    const volumes = data.volumes || {};
+
+    return {
+        version: SETTINGS_SCHEMA_VERSION,
+        volumes: {
+            master: inRange(volumes.master, 0, 1, defaults.volumes.master),
+            music: inRange(volumes.music, 0, 1, defaults.volumes.music),
+            sfx: inRange(volumes.sfx, 0, 1, defaults.volumes.sfx)
+        },
+        muted: flag(data.muted, defaults.muted),
+        effectIntensity: inRange(data.effectIntensity, 0, 1, defaults.effectIntensity),
+        dragSensitivity: inRange(data.dragSensitivity, DRAG_SENSITIVITY_MIN, DRAG_SENSITIVITY_MAX, defaults.dragSensitivity),
+        showTrajectory: flag(data.showTrajectory, defaults.showTrajectory),
+        showFps: flag(data.showFps, defaults.showFps),
+        language: typeof data.language === 'string' ? data.language : defaults.language,
+        fixedDifficulty: flag(data.fixedDifficulty, defaults.fixedDifficulty),
+        highContrast: flag(data.highContrast, defaults.highContrast),
+        colorPalette: typeof data.colorPalette === 'string' ? data.colorPalette : defaults.colorPalette,
+        reducedMotion: flag(data.reducedMotion, defaults.reducedMotion)
+    };
+}
+
+// localStorage is looked up inside the try, as for the profile, since blocked storage throws
+function loadSettings(storage) {
+    try {
+        const raw = (storage || window.localStorage).getItem(SETTINGS_STORAGE_KEY);
+        if (raw) return sanitizeSettings(JSON.parse(raw));
+    } catch (err) {
+        console.warn('⚠️ Could not read settings:', err.message);
+    }
+    return createDefaultSettings();
+}
+
+function saveSettings(settings, storage) {
+    try {
+        (storage || window.localStorage).setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        return true;
+    } catch (err) {
+        // Same as the profile: without storage, settings last for this session only
+        console.warn('⚠️ Could not save settings:', err.message);
+        return false;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SETTINGS_STORAGE_KEY,
+        DRAG_SENSITIVITY_MIN,
+        DRAG_SENSITIVITY_MAX,
+        createDefaultSettings,
+        sanitizeSettings,
+        loadSettings,
+        saveSettings
+    };
+}
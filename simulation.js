@@ -0,0 +1,1534 @@
+// --- SIMULATION CORE ---
+// Physics and rules of a run, with no canvas or DOM. Everything here works on a
+// `world` object holding the playfield size, the seeded random stream and the
+// entities, so the same code drives the browser game, replays and Node scripts.
+// The playfield can be several screens across; which part of it is on screen is
+// up to the page (see camera.js).
+//
+// A tick never calls back into the page. What happened during it comes back as
+// events from stepWorld():
+//     { type: 'starCollected', x, y, points, multiplier }
+//     { type: 'crash', cause: 'planet' | 'comet' | 'wall' | 'blackHole' | 'whiteDwarf', x, y }
+//     { type: 'nearMiss', x, y, clearance, points, multiplier }   // closest gap to a planet flown past, base units
+//     { type: 'slingshot', x, y, speedGain, points, multiplier }  // speed gained from a planet's pull, base units
+//     { type: 'levelComplete', level, rating }   // rating is null for generated levels
+//     { type: 'powerUpCollected', kind, x, y }
+//     { type: 'powerUpExpired', kind }
+//     { type: 'shieldHit', cause: 'planet' | 'comet' | 'whiteDwarf', x, y }   // the shield took a crash for the ship
+//     { type: 'fuelCollected', x, y }
+//     { type: 'fuelEmpty' }                       // the last of the fuel went on thrust
+//     { type: 'landed', x, y }                    // parked on a planet's surface
+//     { type: 'orbitCaptured', x, y }             // caught in orbit around a planet
+//     { type: 'wormhole', fromX, fromY, x, y }    // went in at fromX, fromY and came out at x, y
+//     { type: 'cometWave', count }                // a wave is on its way, see world.incomingComets
+//     { type: 'cometImpact', x, y }               // a comet burned up on a planet
+
+// In Node, load what the browser provides as separate <script>s
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./random.js'), require('./level-format.js'), require('./difficulty.js'));
+}
+
+// --- BASE GAME CONFIGURATION (used for scaling) ---
+const BASE_HEIGHT = 1080; // A base height for scaling calculations
+
+// --- SCALABLE GAME CONFIGURATION ---
+const PLAYER_RADIUS = 20;
+const PLAYER_LAUNCH_POWER_DIVISOR = 20;
+const PLAYER_MAX_LAUNCH_POWER = 10;
+const PLAYER_DEFAULT_START = { x: 0.5, y: 1 / 3 }; // Fractions of the playfield
+const PLANET_MIN_RADIUS = 20;
+const PLANET_MAX_RADIUS = 50;
+const PLANET_TYPE_COUNT = 4; // Planet sprites available
+const GRAVITY = 0.5;
+const COMET_START_LEVEL = 3;
+const COMET_SPEED = 2;
+const COMET_RADIUS = 15;
+const COMET_GRAVITY_SCALE = 0.02; // Comets feel gravity this much more weakly than the ship, so they bend rather than fall in
+const COMET_LIFETIME = 60 * 30; // Ticks before a comet that never leaves is dropped
+const COMET_FIRST_WAVE_TICKS = 180; // Quiet at the start of a level before the first wave
+const COMET_WAVE_INTERVAL = 900; // Ticks between waves on the first comet level...
+const COMET_WAVE_INTERVAL_PER_LEVEL = 60; // ...this much less on each level after...
+const COMET_MIN_WAVE_INTERVAL = 360; // ...down to this
+const COMET_WAVE_GROWTH_TICKS = 60 * 30; // Waves grow by a comet for each this long spent on the level
+const COMET_MAX_WAVE_SIZE = 6;
+const COMET_WARNING_TICKS = 90; // How long ahead a comet's way in is flagged
+const COMET_STAGGER_TICKS = 20; // Between the comets of one wave
+const COMET_AIM_SPREAD = 300; // Comets head somewhere within this of the ship, base units
+const STAR_SPAWN_RATE = 0.01;
+const STAR_RADIUS = 10;
+const STAR_SCORE = 100;
+const BASE_PLANET_COUNT = 3;
+const PLANET_COUNT_PER_LEVEL = 2; // Moons and each half of a binary count as planets
+const MOON_MIN_RADIUS = 8;
+const MOON_MAX_RADIUS = 16;
+const MAX_MOONS = 2; // Per planet on generated levels
+const BINARY_CHANCE = 0.3; // Chance a generated system is a binary pair rather than a planet and its moons
+const ORBIT_GAP = 40; // Least gap between orbiting bodies at their closest, base units
+const ORBIT_SPREAD = 80; // How much further out than that a generated orbit can be
+const ORBIT_MIN_ROUNDNESS = 0.6; // Minor over major axis of a generated orbit; 1 is a circle
+const ORBIT_MIN_SPEED = 0.4; // Along a generated orbit, base units per tick
+const ORBIT_MAX_SPEED = 1;
+const N_BODY_GRAVITY_SCALE = 0.05; // Planets pull each other this much more weakly than they pull the ship
+const OPEN_SPOT_ATTEMPTS = 30; // Tries at placing a generated body before leaving it out
+const BASE_SCORE_THRESHOLD = 1000;
+const SCORE_THRESHOLD_MULTIPLIER = 1.5;
+const NEAR_MISS_DISTANCE = 30; // Gap between ship and planet surface that counts as a close pass
+
+// Generated levels are bigger than the screen: this many screens across and down.
+// Authored levels are laid out on a single screen.
+const WORLD_BASE_SCREENS = 1.5;
+const WORLD_SCREENS_PER_LEVEL = 0.25;
+const WORLD_MAX_SCREENS = 3;
+
+// Skill scoring: stars, near misses and slingshots are multiplied by a combo that
+// each of them raises and that drains away when nothing happens for a while
+const NEAR_MISS_SCORE = 100; // For a graze; half of it at the edge of the near-miss range
+const SLINGSHOT_RANGE = 120; // Gap within which a planet's pull counts towards a slingshot
+const SLINGSHOT_MIN_SPEED_GAIN = 3; // Base units per tick the pass must add to the ship's speed
+const SLINGSHOT_SCORE_PER_SPEED_GAIN = 50;
+const COMBO_STEP = 0.5; // Added to the multiplier by each skill score
+const COMBO_MAX = 5;
+const COMBO_HOLD_TICKS = 120; // The multiplier holds this long after a skill score...
+const COMBO_DECAY_PER_TICK = 0.01; // ...then drains towards 1 at this rate
+const FLIGHT_SCORE_INTERVAL_TICKS = 30; // A point for every half second in flight, a token next to skill
+const SCORE_SOURCES = ['flight', 'stars', 'nearMiss', 'slingshot'];
+
+// Power-ups: durations are in ticks, fromLevel is the first generated level that spawns them
+const POWER_UP_KINDS = {
+    shield: { duration: 10 * 60, fromLevel: 2 }, // Also ends when it absorbs a hit
+    slowMotion: { duration: 6 * 60, fromLevel: 3 },
+    magnet: { duration: 8 * 60, fromLevel: 1 },
+    boost: { duration: 4 * 60, fromLevel: 1 }
+};
+const POWER_UP_RADIUS = 14;
+const POWER_UP_SPAWN_RATE = 0.002; // Chance per tick on the first level
+const POWER_UP_SPAWN_RATE_PER_LEVEL = 0.0005;
+const POWER_UP_MAX_ON_FIELD = 2;
+const SLOW_MOTION_FACTOR = 0.4; // Planets and comets move at this fraction of their speed
+const MAGNET_RANGE = 250; // Stars closer than this drift towards the ship
+const MAGNET_PULL = 4; // Base units per tick
+const BOOST_SPEED_MULTIPLIER = 1.5; // The ship covers this much more ground per tick
+
+// Mid-flight thrust
+const FUEL_CAPACITY = 100; // Full tank; every level starts with one and pickups can't overfill it
+const FUEL_BURN_PER_TICK = 1;
+const THRUST_ACCELERATION = 0.1; // Base units per tick, per tick of thrust
+const FUEL_PICKUP_AMOUNT = 40;
+const FUEL_PICKUP_RADIUS = 12;
+const FUEL_PICKUP_SPAWN_RATE = 0.003; // Chance per tick on generated levels
+const FUEL_PICKUP_MAX_ON_FIELD = 1;
+
+// Soft landings: touching a planet slowly enough parks the ship instead of crashing it.
+// Speeds are relative to the planet, in base units per tick.
+const LANDING_MAX_SPEED = 3; // Any slower approach lands
+const ORBIT_CAPTURE_MAX_SPEED = 6; // A faster, glancing approach up to this is caught in orbit
+const LANDING_CLEARANCE = 2; // Parked ships sit this far above the surface
+const ORBIT_ALTITUDE = 25;
+const ORBIT_MAX_ANGULAR_SPEED = 0.05; // Radians per tick
+
+// Performance optimization constants
+const MAX_COLLISION_DISTANCE = 200; // Maximum distance to check for collisions
+const COLLISION_CHECK_FREQUENCY = 1; // Check collisions every N ticks
+
+// The simulation always advances in 60 Hz ticks, whatever the display rate
+const SIMULATION_STEP_MS = 1000 / 60;
+
+// --- HELPER FUNCTIONS ---
+
+// Calculate squared distance between two entities (faster than actual distance)
+function getDistanceSquared(entity1, entity2) {
+    const dx = entity1.x - entity2.x;
+    const dy = entity1.y - entity2.y;
+    return dx * dx + dy * dy;
+}
+
+// Calculate distance between two entities
+function getDistance(entity1, entity2) {
+    return Math.hypot(entity1.x - entity2.x, entity1.y - entity2.y);
+}
+
+// Check if two entities are colliding (optimized with squared distance)
+function areColliding(entity1, entity2) {
+    const radiusSum = entity1.radius + entity2.radius;
+    const distanceSquared = getDistanceSquared(entity1, entity2);
+    return distanceSquared < (radiusSum * radiusSum);
+}
+
+// Fast AABB (Axis-Aligned Bounding Box) collision check
+function areAABBColliding(entity1, entity2) {
+    return Math.abs(entity1.x - entity2.x) < (entity1.radius + entity2.radius) &&
+           Math.abs(entity1.y - entity2.y) < (entity1.radius + entity2.radius);
+}
+
+// Optimized collision check with AABB pre-filter
+function areCollidingOptimized(entity1, entity2) {
+    // First check AABB (faster)
+    if (!areAABBColliding(entity1, entity2)) {
+        return false;
+    }
+    // Then check circular collision
+    return areColliding(entity1, entity2);
+}
+
+// Check if entity is off-screen
+function isOffScreen(entity, maxWidth, maxHeight) {
+    return entity.x < -entity.radius ||
+           entity.x > maxWidth + entity.radius ||
+           entity.y < -entity.radius ||
+           entity.y > maxHeight + entity.radius;
+}
+
+// Spatial partitioning for collision optimization
+class SpatialGrid {
+    constructor(width, height, cellSize) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.cols = Math.ceil(width / cellSize);
+        this.rows = Math.ceil(height / cellSize);
+        this.grid = [];
+        this.clear();
+    }
+
+    clear() {
+        this.grid = [];
+        for (let i = 0; i < this.cols * this.rows; i++) {
+            this.grid[i] = [];
+        }
+    }
+
+    getCell(x, y) {
+        const col = Math.floor(x / this.cellSize);
+        const row = Math.floor(y / this.cellSize);
+        if (col >= 0 && col < this.cols && row >= 0 && row < this.rows) {
+            return col + row * this.cols;
+        }
+        return -1;
+    }
+
+    insert(entity) {
+        // Insert entity into all cells it might occupy
+        const minX = Math.max(0, Math.floor((entity.x - entity.radius) / this.cellSize));
+        const maxX = Math.min(this.cols - 1, Math.floor((entity.x + entity.radius) / this.cellSize));
+        const minY = Math.max(0, Math.floor((entity.y - entity.radius) / this.cellSize));
+        const maxY = Math.min(this.rows - 1, Math.floor((entity.y + entity.radius) / this.cellSize));
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                const cellIndex = x + y * this.cols;
+                this.grid[cellIndex].push(entity);
+            }
+        }
+    }
+
+    getNearbyEntities(entity) {
+        const nearby = new Set();
+        const minX = Math.max(0, Math.floor((entity.x - entity.radius) / this.cellSize));
+        const maxX = Math.min(this.cols - 1, Math.floor((entity.x + entity.radius) / this.cellSize));
+        const minY = Math.max(0, Math.floor((entity.y - entity.radius) / this.cellSize));
+        const maxY = Math.min(this.rows - 1, Math.floor((entity.y + entity.radius) / this.cellSize));
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                const cellIndex = x + y * this.cols;
+                this.grid[cellIndex].forEach(e => nearby.add(e));
+            }
+        }
+        return Array.from(nearby);
+    }
+}
+
+// --- ORBITS ---
+// A planet with an `orbit` follows an ellipse instead of drifting:
+//     { parent, cx, cy, a, b, tilt, angularSpeed }
+// parent is the index in world.planets of the planet it circles, always an earlier one
+// so it has already moved this tick; null circles the fixed point cx, cy instead, which
+// is how the two halves of a binary go round their barycentre. a and b are the semi-axes
+// in world units, tilt turns the ellipse and angularSpeed is radians per tick. How far
+// round it the planet is lives on the planet, as orbitAngle.
+
+function getOrbitCentre(planets, orbit) {
+    return orbit.parent === null ? { x: orbit.cx, y: orbit.cy } : planets[orbit.parent];
+}
+
+// Put a planet where its orbitAngle says it is
+function placeOnOrbit(planet, planets) {
+    const { a, b, tilt } = planet.orbit;
+    const centre = getOrbitCentre(planets, planet.orbit);
+    const along = Math.cos(planet.orbitAngle) * a;
+    const across = Math.sin(planet.orbitAngle) * b;
+    planet.x = centre.x + along * Math.cos(tilt) - across * Math.sin(tilt);
+    planet.y = centre.y + along * Math.sin(tilt) + across * Math.cos(tilt);
+}
+
+// Carry a planet on round its orbit. Its dx, dy become the velocity that works out to,
+// which landings and slingshots measure the ship against.
+function moveOnOrbit(planet, planets, speed) {
+    const { x, y } = planet;
+    planet.orbitAngle += planet.orbit.angularSpeed * speed;
+    placeOnOrbit(planet, planets);
+    planet.dx = (planet.x - x) / speed;
+    planet.dy = (planet.y - y) / speed;
+}
+
+// On n-body levels, planets not on an orbit are pulled by all the others
+// (a planet's mass is its radius, as for the ship)
+function pullTowardsPlanets(planet, planets, scale, speed) {
+    planets.forEach(other => {
+        if (other === planet) return;
+        const dx = other.x - planet.x;
+        const dy = other.y - planet.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq > 1) {
+            const force = (GRAVITY * N_BODY_GRAVITY_SCALE * other.radius / distSq) * scale * speed;
+            planet.dx += dx * force;
+            planet.dy += dy * force;
+        }
+    });
+}
+
+// --- ENTITY TYPES ---
+// Everything on the playfield apart from the ship belongs to a registered entity
+// type. The tick, gravity, the spatial grid, collisions, authored levels and the
+// page's drawing all go through the registry, so a new kind of body is one
+// registerEntityType() call. A type can declare:
+//     collection            world array its entities live in, e.g. 'planets'
+//     levelKey              array in level files it is laid out in (see level-format.js)
+//     fromLevel(entry, world)    entity for a level file entry, or null to leave it out
+//     mass(entity)          pull on the ship, in planet radii; negative pushes it away
+//     move(entity, world, speed)    one tick of motion; speed < 1 under slow motion
+//     update(world, entity)      after moving; return false to remove the entity
+//     collision             'deadly' ends the run, 'collectible' is picked up and removed,
+//                           'trigger' fires on every tick the ship touches it
+//     crashCause            for deadly types, the cause in crash and shieldHit events
+//     landable              for deadly types: slow touches land on it or go into orbit
+//     solid                 for deadly types: the shield bounces the ship off it;
+//                           otherwise the shield destroys it
+//     ignoresShield         for deadly types: the shield doesn't help
+//     onTouch(world, entity)     what collecting or triggering it does
+//     generate(world, level, rng)   entities for generated level `level`, drawing on rng
+//     spatial               false keeps it out of the spatial grid
+//     render(entity)        drawn by the page; the simulation never calls it
+// Types are updated, checked and drawn in the order they were registered.
+const ENTITY_TYPES = new Map();
+
+function registerEntityType(name, definition) {
+    if (ENTITY_TYPES.has(name)) {
+        throw new Error(`Entity type already registered: ${name}`);
+    }
+    ENTITY_TYPES.set(name, { name, collision: null, spatial: true, ...definition });
+}
+
+function getEntityTypes() {
+    return [...ENTITY_TYPES.values()];
+}
+
+function getEntityType(name) {
+    return ENTITY_TYPES.get(name);
+}
+
+// Every entity in the world, of every type
+function getAllEntities(world) {
+    return getEntityTypes().flatMap(type => world[type.collection]);
+}
+
+// An empty array for each type's entities
+function createEntityCollections(world) {
+    for (const type of ENTITY_TYPES.values()) {
+        world[type.collection] = [];
+    }
+}
+
+// Entities from authored levels are placed in fractions of the playfield and sized in base units
+function placeFromLevel(entry, world, radius) {
+    return { x: entry.x * world.width, y: entry.y * world.height, radius: radius * world.scale };
+}
+
+// An authored orbit gives its axes in base units, its tilt and starting phase in radians
+// and its period in ticks; the planet's x, y are then the point it circles when it has
+// no parent. It is put on its orbit once the planets before it exist (buildAuthoredLevel).
+function planetFromLevel(p, world) {
+    const planet = { ...placeFromLevel(p, world, p.radius), type: p.type % PLANET_TYPE_COUNT, dx: p.dx * world.scale, dy: p.dy * world.scale };
+    if (p.orbit) {
+        const { parent, a, b, tilt, phase, period } = p.orbit;
+        planet.orbit = { parent, cx: planet.x, cy: planet.y, a: a * world.scale, b: b * world.scale, tilt, angularSpeed: Math.PI * 2 / period };
+        planet.orbitAngle = phase;
+    }
+    return planet;
+}
+
+registerEntityType('planet', {
+    collection: 'planets',
+    levelKey: 'planets',
+    fromLevel: planetFromLevel,
+    mass: planet => planet.radius,
+    move: (planet, world, speed) => {
+        if (planet.orbit) {
+            moveOnOrbit(planet, world.planets, speed);
+            return;
+        }
+        if (world.nBody) {
+            pullTowardsPlanets(planet, world.planets, world.scale, speed);
+        }
+        // Nothing walls a drifting planet in; it carries on out of the world like a comet
+        planet.x += planet.dx * speed;
+        planet.y += planet.dy * speed;
+    },
+    collision: 'deadly',
+    crashCause: 'planet',
+    landable: true,
+    solid: true
+});
+
+registerEntityType('comet', {
+    collection: 'comets',
+    levelKey: 'comets',
+    fromLevel: (c, world) => createComet(world, c.x * world.width, c.y * world.height, c.dx * world.scale, c.dy * world.scale),
+    // Bent by everything with gravity, more gently than the ship. Slow motion takes the
+    // edge off the pull as well as the speed, so a comet keeps to the same path.
+    move: (comet, world, speed) => applyGravityAndMove(comet, getGravitySources(world), world.scale * COMET_GRAVITY_SCALE * speed, speed),
+    // Gone once it leaves, burns up or has been around too long
+    update: (world, comet) => {
+        comet.age++;
+        const planet = world.planets.find(p => areColliding(comet, p));
+        if (planet) {
+            world.events.push({ type: 'cometImpact', x: comet.x, y: comet.y });
+            return false;
+        }
+        return comet.age < COMET_LIFETIME && !isOffScreen(comet, world.width, world.height);
+    },
+    collision: 'deadly',
+    crashCause: 'comet'
+});
+
+registerEntityType('star', {
+    collection: 'collectableStars',
+    levelKey: 'stars',
+    fromLevel: (s, world) => placeFromLevel(s, world, STAR_RADIUS),
+    collision: 'collectible',
+    onTouch: (world, star) => {
+        world.runStats.starsCollected++;
+        world.events.push({ type: 'starCollected', x: star.x, y: star.y, ...awardSkillPoints(world, 'stars', STAR_SCORE) });
+    }
+});
+
+registerEntityType('powerUp', {
+    collection: 'powerUps',
+    levelKey: 'powerUps',
+    // Kinds this version doesn't know are left out
+    fromLevel: (u, world) => (POWER_UP_KINDS[u.kind] ? { ...placeFromLevel(u, world, POWER_UP_RADIUS), kind: u.kind } : null),
+    collision: 'collectible',
+    onTouch: (world, powerUp) => {
+        activatePowerUp(world, powerUp.kind);
+        world.events.push({ type: 'powerUpCollected', kind: powerUp.kind, x: powerUp.x, y: powerUp.y });
+    }
+});
+
+registerEntityType('fuel', {
+    collection: 'fuelPickups',
+    levelKey: 'fuelPickups',
+    fromLevel: (f, world) => placeFromLevel(f, world, FUEL_PICKUP_RADIUS),
+    collision: 'collectible',
+    onTouch: (world, fuel) => {
+        world.player.fuel = Math.min(FUEL_CAPACITY, world.player.fuel + FUEL_PICKUP_AMOUNT);
+        world.events.push({ type: 'fuelCollected', x: fuel.x, y: fuel.y });
+    }
+});
+
+// --- WORLD ---
+
+// A world seen through a screen of the given size, seeded and ready for setupLevel().
+// campaignLevels are parsed levels played before generation takes over.
+function createWorld({ width, height, seed, startLevel = 1, campaignLevels = [] }) {
+    const world = {
+        width: 0, // Playfield, screens * the view size
+        height: 0,
+        viewWidth: 0,
+        viewHeight: 0,
+        screens: 1, // How many screens across and down the current level is
+        scale: 1,
+        spatialGrid: null,
+        seed: null,
+        rng: null,
+        tick: 0, // Simulation ticks played this run, the timeline for recordings
+        score: 0,
+        currentLevel: startLevel,
+        runStats: { starsCollected: 0, flightTicks: 0 },
+        player: null,
+        nBody: false, // Whether free planets pull on each other this level
+        difficulty: createDifficultyState(true), // See difficulty.js; fixed unless the page hands over the player's
+        tuning: getDifficultyTuning(createDifficultyState(true)), // Its multipliers, settled when each level is set up
+        levelStartTick: 0,
+        levelNearMisses: 0, // Near misses flown this level, for the difficulty
+        // Plus an array per entity type: planets, comets, collectableStars, powerUps, fuelPickups...
+        activePowerUps: {}, // Kind -> ticks left
+        powerUpRng: null,
+        cometRng: null,
+        cometWaves: null, // { nextWaveTick, startTick } on levels with comet waves
+        incomingComets: [], // Comets flagged but not here yet: { x, y, dx, dy, arrivalTick }
+        campaignLevels: campaignLevels,
+        customLevel: null, // Hand-built level to play instead of the campaign or a generated one
+        levelDefinition: null, // Authored level currently being played (campaign or custom)
+        levelStartScore: 0, // Score when the current level began
+        proceduralScoreBase: null, // Score when generated levels took over from the campaign
+        nearMisses: new Map(), // Planet -> closest gap so far, while the ship is passing close to it
+        slingshots: new Map(), // Planet -> ship velocity on coming within SLINGSHOT_RANGE of it
+        combo: { multiplier: 1, holdTicks: 0 },
+        scoreBreakdown: createScoreBreakdown(), // Points by source for the current level
+        events: [] // What happened during the last tick
+    };
+    setWorldDimensions(world, width, height);
+    setWorldSeed(world, seed);
+    resetRun(world, startLevel);
+    return world;
+}
+
+// Size of one screen of the playfield; everything else scales from its height
+function setWorldDimensions(world, width, height) {
+    world.viewWidth = width;
+    world.viewHeight = height;
+    world.scale = height / BASE_HEIGHT;
+    setWorldScreens(world, world.screens);
+}
+
+// Make the playfield this many screens across and down
+function setWorldScreens(world, screens) {
+    world.screens = screens;
+    world.width = world.viewWidth * screens;
+    world.height = world.viewHeight * screens;
+
+    // The grid covers the whole playfield, not just what is on screen
+    const cellSize = Math.max(PLANET_MAX_RADIUS * 2 * world.scale, 100);
+    world.spatialGrid = new SpatialGrid(world.width, world.height, cellSize);
+}
+
+// Screens across a generated level (1 = the first generated level)
+function getGeneratedWorldScreens(level) {
+    return Math.min(WORLD_MAX_SCREENS, WORLD_BASE_SCREENS + (level - 1) * WORLD_SCREENS_PER_LEVEL);
+}
+
+function setWorldSeed(world, seedCode) {
+    world.seed = seedCode;
+    world.rng = createSeededRandom(seedCode, 'run');
+    world.powerUpRng = createSeededRandom(seedCode, 'power-ups');
+    world.cometRng = createSeededRandom(seedCode, 'comets');
+}
+
+// Back to the start of a run on the current seed
+function resetRun(world, startLevel = 1) {
+    world.score = 0;
+    world.currentLevel = startLevel;
+    world.tick = 0;
+    world.runStats = { starsCollected: 0, flightTicks: 0 };
+    world.proceduralScoreBase = null;
+    setWorldScreens(world, 1);
+    world.player = createPlayer(world);
+    createEntityCollections(world);
+    world.activePowerUps = {};
+    world.nearMisses = new Map();
+    world.slingshots = new Map();
+    world.combo = { multiplier: 1, holdTicks: 0 };
+    world.scoreBreakdown = createScoreBreakdown();
+    world.events = [];
+}
+
+function createPlayer(world, start = PLAYER_DEFAULT_START) {
+    return {
+        x: world.width * start.x,
+        y: world.height * start.y,
+        dx: 0,
+        dy: 0,
+        radius: PLAYER_RADIUS * world.scale,
+        isMoving: false,
+        fuel: FUEL_CAPACITY, // A new ship, and so a full tank, every level
+        thrustAngle: null, // Direction of thrust while it is being applied
+        thrustImpulse: { dx: 0, dy: 0 }, // Velocity added by thrust so far, kept out of slingshots
+        anchor: null, // { planet, angle, altitude, angularSpeed } while landed or in orbit
+        launchedFrom: null // Planet just taken off from, until the ship is clear of it
+    };
+}
+
+// --- LEVEL SETUP ---
+
+function setupLevel(world) {
+    // A level being test played in the editor, else the campaign level, else a generated one
+    const authored = world.customLevel || world.campaignLevels[world.currentLevel - 1] || null;
+    world.levelDefinition = authored;
+    world.levelStartScore = world.score;
+    world.levelStartTick = world.tick;
+    world.levelNearMisses = 0;
+    world.tuning = getDifficultyTuning(world.difficulty);
+    setWorldScreens(world, authored ? 1 : getGeneratedWorldScreens(world.currentLevel - world.campaignLevels.length));
+
+    // Hand-built levels choose where the ship starts
+    world.player = createPlayer(world, authored ? authored.start : PLAYER_DEFAULT_START);
+
+    world.nearMisses = new Map();
+    world.slingshots = new Map();
+    world.combo = { multiplier: 1, holdTicks: 0 };
+    world.scoreBreakdown = createScoreBreakdown();
+    world.powerUps = [];
+    world.activePowerUps = {}; // Power-ups last for the level they were picked up in
+    world.fuelPickups = [];
+    world.nBody = Boolean(authored && authored.nBody);
+    world.cometWaves = null;
+    world.incomingComets = [];
+
+    // Each level gets its own stream so a level plays the same however it was reached.
+    // Power-ups and fuel draw from a second one so they don't change where stars appear.
+    world.rng = createSeededRandom(world.seed, `level-${world.currentLevel}`);
+    world.powerUpRng = createSeededRandom(world.seed, `power-ups-${world.currentLevel}`);
+    world.cometRng = createSeededRandom(world.seed, `comets-${world.currentLevel}`);
+
+    if (authored) {
+        buildAuthoredLevel(world, authored);
+        return;
+    }
+
+    // Generated level thresholds count from where the campaign left off
+    if (world.proceduralScoreBase === null) {
+        world.proceduralScoreBase = world.score;
+    }
+
+    generatePlanetsForLevel(world);
+
+    if (world.currentLevel >= COMET_START_LEVEL) {
+        world.cometWaves = { startTick: world.tick, nextWaveTick: world.tick + COMET_FIRST_WAVE_TICKS };
+    }
+}
+
+function generatePlanetsForLevel(world) {
+    const { rng, scale } = world;
+    world.planets = [];
+    // A central planet holding still, then systems at random spots until the level's
+    // planet count, as the difficulty tunes it, is used up: a planet with its moons, or
+    // a binary pair
+    addPlanetSystem(world, world.width / 2, world.height / 2, 40 * scale, 0);
+
+    const standardCount = BASE_PLANET_COUNT + (world.currentLevel - 1) * PLANET_COUNT_PER_LEVEL;
+    let remaining = Math.max(1, Math.round(standardCount * world.tuning.planetCount));
+    while (remaining > 0) {
+        const x = rng.next() * world.width;
+        const y = rng.next() * world.height;
+        if (remaining >= 2 && rng.next() < BINARY_CHANCE) {
+            addBinaryPair(world, x, y);
+            remaining -= 2;
+        } else {
+            const moons = Math.min(remaining - 1, rng.int(MAX_MOONS + 1));
+            addPlanetSystem(world, x, y, rng.range(PLANET_MIN_RADIUS, PLANET_MAX_RADIUS) * scale, moons);
+            remaining -= 1 + moons;
+        }
+    }
+
+    // Then the types that place their own bodies, in turn so each can keep clear of
+    // the ones before. They share a stream of their own, which leaves the planets
+    // and stars where they were before those types existed.
+    const bodyRng = createSeededRandom(world.seed, `bodies-${world.currentLevel}`);
+    const level = world.currentLevel - world.campaignLevels.length;
+    const generated = getEntityTypes().filter(type => type.generate);
+    generated.forEach(type => { world[type.collection] = []; });
+    generated.forEach(type => { world[type.collection] = type.generate(world, level, bodyRng); });
+}
+
+// A still planet with moons on nested orbits around it, each clear of the one inside
+function addPlanetSystem(world, x, y, radius, moons) {
+    const { rng, scale } = world;
+    const parent = world.planets.length;
+    world.planets.push({ x, y, radius, type: rng.int(PLANET_TYPE_COUNT), dx: 0, dy: 0 });
+
+    const tilt = rng.next() * Math.PI * 2;
+    let reach = radius; // Furthest out anything in the system goes so far
+    for (let i = 0; i < moons; i++) {
+        const moonRadius = rng.range(MOON_MIN_RADIUS, MOON_MAX_RADIUS) * scale;
+        const b = reach + moonRadius + (ORBIT_GAP + rng.next() * ORBIT_SPREAD) * scale;
+        const a = b / rng.range(ORBIT_MIN_ROUNDNESS, 1);
+        addOrbitingPlanet(world, moonRadius, { parent, a, b, tilt, angularSpeed: getOrbitAngularSpeed(world, a) });
+        reach = a + moonRadius;
+    }
+}
+
+// Two planets on opposite sides of their barycentre, the heavier one closer in
+function addBinaryPair(world, x, y) {
+    const { rng, scale } = world;
+    const radii = [rng.range(PLANET_MIN_RADIUS, PLANET_MAX_RADIUS) * scale, rng.range(PLANET_MIN_RADIUS, PLANET_MAX_RADIUS) * scale];
+    const roundness = rng.range(ORBIT_MIN_ROUNDNESS, 1);
+    // At their closest the two are their minor axes apart
+    const closest = radii[0] + radii[1] + (ORBIT_GAP + rng.next() * ORBIT_SPREAD) * scale;
+    const tilt = rng.next() * Math.PI * 2;
+    const angularSpeed = getOrbitAngularSpeed(world, closest / roundness);
+    const angle = rng.next() * Math.PI * 2;
+    radii.forEach((radius, i) => {
+        const b = closest * radii[1 - i] / (radii[0] + radii[1]);
+        addOrbitingPlanet(world, radius, { parent: null, cx: x, cy: y, a: b / roundness, b, tilt, angularSpeed }, angle + i * Math.PI);
+    });
+}
+
+function addOrbitingPlanet(world, radius, orbit, angle = world.rng.next() * Math.PI * 2) {
+    const planet = { x: 0, y: 0, radius, type: world.rng.int(PLANET_TYPE_COUNT), dx: 0, dy: 0, orbit, orbitAngle: angle };
+    placeOnOrbit(planet, world.planets);
+    world.planets.push(planet);
+}
+
+// Radians per tick for a generated orbit of semi-major axis a, either way round and
+// sped up or slowed down by the difficulty
+function getOrbitAngularSpeed(world, a) {
+    const { rng, scale, tuning } = world;
+    const direction = rng.next() < 0.5 ? -1 : 1;
+    return direction * rng.range(ORBIT_MIN_SPEED, ORBIT_MAX_SPEED) * tuning.planetSpeed * scale / a;
+}
+
+// A random spot for an entity of the given radius, keeping clearance (base units) from
+// the ship and from every entity already placed, plus whatever accept() asks for.
+// An entity drawn wider than it collides keeps the room it needs as clearRadius.
+// Null when none turns up within a few tries, so crowded levels get fewer bodies.
+function findOpenSpot(world, rng, radius, clearance, accept = () => true) {
+    const gap = clearance * world.scale;
+    const margin = radius + gap;
+    for (let i = 0; i < OPEN_SPOT_ATTEMPTS; i++) {
+        const spot = {
+            x: margin + rng.next() * (world.width - margin * 2),
+            y: margin + rng.next() * (world.height - margin * 2),
+            radius
+        };
+        const isClear = entity => {
+            // An orbiting planet needs the whole of its orbit kept clear
+            const area = entity.orbit ? { ...getOrbitCentre(world.planets, entity.orbit), radius: entity.orbit.a + entity.radius } : entity;
+            return getDistance(spot, area) >= spot.radius + (area.clearRadius || area.radius) + gap;
+        };
+        if (isClear(world.player) && getAllEntities(world).every(isClear) && accept(spot)) {
+            return spot;
+        }
+    }
+    return null;
+}
+
+// Turn an authored level (normalized positions, base units) into entities
+function buildAuthoredLevel(world, level) {
+    for (const type of ENTITY_TYPES.values()) {
+        if (!type.levelKey) continue;
+        world[type.collection] = (level[type.levelKey] || [])
+            .map(entry => type.fromLevel(entry, world))
+            .filter(Boolean);
+    }
+    // Orbiting planets can only be placed once what they circle is in place
+    world.planets.forEach(planet => planet.orbit && placeOnOrbit(planet, world.planets));
+}
+
+function createComet(world, x, y, dx, dy) {
+    return { x, y, dx, dy, radius: COMET_RADIUS * world.scale, age: 0 };
+}
+
+// --- LAUNCHING ---
+
+// Launch velocity for a drag from one point to another.
+// sensitivity > 1 gives more power for the same drag length.
+function computeLaunchVelocity(world, fromX, fromY, toX, toY, sensitivity = 1) {
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    const power = Math.min(
+        Math.hypot(toX - fromX, toY - fromY) / (PLAYER_LAUNCH_POWER_DIVISOR / sensitivity * world.scale),
+        PLAYER_MAX_LAUNCH_POWER * world.scale
+    );
+
+    return { angle, power, dx: Math.cos(angle) * power, dy: Math.sin(angle) * power };
+}
+
+// Send the ship off, from its start or from a planet it is parked on or orbiting.
+// Replays call this with the recorded angle and power.
+function launchPlayer(world, angle, power) {
+    const p = world.player;
+    p.launchedFrom = p.anchor ? p.anchor.planet : null;
+    p.anchor = null;
+    p.isMoving = true;
+    p.dx = Math.cos(angle) * power;
+    p.dy = Math.sin(angle) * power;
+
+    // Planets the ship sets off next to can't give it a slingshot on the way out
+    const range = SLINGSHOT_RANGE * world.scale;
+    world.slingshots = new Map(world.planets
+        .filter(planet => getDistance(p, planet) - planet.radius - p.radius < range)
+        .map(planet => [planet, null]));
+}
+
+// Start thrusting towards angle, or stop with null. Like launches, replays call
+// this with the recorded changes.
+function setThrust(world, angle) {
+    world.player.thrustAngle = angle;
+}
+
+// Whether thrust is actually being applied: in flight, asked for and with fuel left
+function isThrusting(world) {
+    const p = world.player;
+    return p.isMoving && p.thrustAngle !== null && p.fuel > 0;
+}
+
+// --- TICK ---
+
+// Advance the world one tick and return the events it produced
+function stepWorld(world) {
+    world.events = [];
+    updateEntities(world);
+    updatePlayer(world);
+    spawnCollectableStars(world);
+    spawnPowerUps(world);
+    spawnFuelPickups(world);
+    updateCometWaves(world);
+    pullStarsWithMagnet(world);
+    if (!checkCollisions(world)) {
+        checkNearMisses(world);
+        checkSlingshots(world);
+        checkLevelCompletion(world);
+    } else {
+        recordDeath(world.difficulty);
+    }
+    updateActivePowerUps(world);
+    updateCombo(world);
+    world.tick++;
+    return world.events;
+}
+
+// Move every entity that moves, then let each type drop the ones it is done with
+function updateEntities(world) {
+    const speed = getHazardSpeed(world);
+    for (const type of ENTITY_TYPES.values()) {
+        const entities = world[type.collection];
+        if (type.move) {
+            entities.forEach(entity => type.move(entity, world, speed));
+        }
+        if (type.update) {
+            for (let i = entities.length - 1; i >= 0; i--) {
+                if (type.update(world, entities[i]) === false) {
+                    entities.splice(i, 1);
+                }
+            }
+        }
+    }
+}
+
+// Everything that pulls on the ship, as { x, y, mass }
+function getGravitySources(world) {
+    const sources = [];
+    for (const type of ENTITY_TYPES.values()) {
+        if (!type.mass) continue;
+        world[type.collection].forEach(entity => sources.push({ x: entity.x, y: entity.y, mass: type.mass(entity) }));
+    }
+    return sources;
+}
+
+// Accelerate a body towards every gravity source and move it one tick.
+// Shared by the live simulation and the trajectory prediction so they always agree.
+// speed > 1 moves the body further without changing its velocity (boost).
+function applyGravityAndMove(body, sources, scale, speed = 1) {
+    let totalGravityX = 0;
+    let totalGravityY = 0;
+
+    sources.forEach(p => {
+        const dx = p.x - body.x;
+        const dy = p.y - body.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq > 1) { // Avoid division by zero
+            const force = (GRAVITY * p.mass / distSq) * scale;
+            totalGravityX += dx * force;
+            totalGravityY += dy * force;
+        }
+    });
+
+    body.dx += totalGravityX;
+    body.dy += totalGravityY;
+    body.x += body.dx * speed;
+    body.y += body.dy * speed;
+}
+
+function updatePlayer(world) {
+    if (world.player.anchor) {
+        followAnchor(world.player, world.player.anchor.angularSpeed);
+        return;
+    }
+    if (!world.player.isMoving) return;
+
+    applyThrust(world);
+    applyGravityAndMove(world.player, getGravitySources(world), world.scale, getShipSpeed(world));
+    world.runStats.flightTicks++;
+    if (world.runStats.flightTicks % FLIGHT_SCORE_INTERVAL_TICKS === 0) {
+        world.score++;
+        world.scoreBreakdown.flight++;
+    }
+}
+
+// --- COMET WAVES ---
+// Generated levels from COMET_START_LEVEL send comets in waves, more often the higher
+// the level and bigger the longer it goes on. Every comet in a wave is flagged at the
+// edge it will come in from COMET_WARNING_TICKS before it arrives, and waits in
+// world.incomingComets until then. The waves draw on world.cometRng, so they leave
+// where stars appear alone.
+
+function getCometWaveInterval(level) {
+    return Math.max(COMET_MIN_WAVE_INTERVAL, COMET_WAVE_INTERVAL - (level - COMET_START_LEVEL) * COMET_WAVE_INTERVAL_PER_LEVEL);
+}
+
+// Comets in a wave sent elapsedTicks into level `level`
+function getCometWaveSize(level, elapsedTicks) {
+    const size = 1 + Math.floor((level - COMET_START_LEVEL) / 2) + Math.floor(elapsedTicks / COMET_WAVE_GROWTH_TICKS);
+    return Math.min(COMET_MAX_WAVE_SIZE, size);
+}
+
+function updateCometWaves(world) {
+    const waves = world.cometWaves;
+    if (waves && world.tick >= waves.nextWaveTick) {
+        sendCometWave(world, getCometWaveSize(world.currentLevel, world.tick - waves.startTick));
+        waves.nextWaveTick = world.tick + Math.round(getCometWaveInterval(world.currentLevel) * world.tuning.cometInterval);
+    }
+
+    // Comets whose warning has run out come in
+    for (let i = world.incomingComets.length - 1; i >= 0; i--) {
+        const { x, y, dx, dy, arrivalTick } = world.incomingComets[i];
+        if (world.tick >= arrivalTick) {
+            world.incomingComets.splice(i, 1);
+            world.comets.push(createComet(world, x, y, dx, dy));
+        }
+    }
+}
+
+// Flag count comets, one after another, each from a random edge and heading for
+// somewhere near where the ship is now
+function sendCometWave(world, count) {
+    const { cometRng: rng, width, height, scale } = world;
+    for (let i = 0; i < count; i++) {
+        const along = rng.next();
+        const [x, y] = [[along * width, 0], [width, along * height], [along * width, height], [0, along * height]][rng.int(4)];
+        const aimAngle = rng.next() * Math.PI * 2;
+        const aimDistance = rng.next() * COMET_AIM_SPREAD * scale;
+        const targetX = world.player.x + Math.cos(aimAngle) * aimDistance;
+        const targetY = world.player.y + Math.sin(aimAngle) * aimDistance;
+        const heading = Math.atan2(targetY - y, targetX - x);
+        const speed = rng.range(0.8, 1.2) * COMET_SPEED * scale;
+        world.incomingComets.push({
+            x,
+            y,
+            dx: Math.cos(heading) * speed,
+            dy: Math.sin(heading) * speed,
+            arrivalTick: world.tick + COMET_WARNING_TICKS + i * COMET_STAGGER_TICKS
+        });
+    }
+    world.events.push({ type: 'cometWave', count });
+}
+
+// --- LANDING AND ORBIT ---
+
+// What touching a planet does to the ship: 'landed', 'orbit', or null for a crash.
+// Shared by the collision check and the trajectory prediction.
+function getLandingOutcome(ship, planet, scale) {
+    const rdx = ship.dx - planet.dx;
+    const rdy = ship.dy - planet.dy;
+    const speed = Math.hypot(rdx, rdy) / scale;
+    if (speed <= LANDING_MAX_SPEED) return 'landed';
+
+    // Glancing means more of the speed runs along the surface than into it
+    const angle = Math.atan2(ship.y - planet.y, ship.x - planet.x);
+    const radial = Math.abs(rdx * Math.cos(angle) + rdy * Math.sin(angle));
+    const tangential = Math.abs(-rdx * Math.sin(angle) + rdy * Math.cos(angle));
+    if (speed <= ORBIT_CAPTURE_MAX_SPEED && tangential > radial) return 'orbit';
+    return null;
+}
+
+// Park the ship on the planet it touched, or put it in orbit carrying on the way it was going
+function anchorToPlanet(world, planet, outcome) {
+    const p = world.player;
+    const angle = Math.atan2(p.y - planet.y, p.x - planet.x);
+    let altitude = LANDING_CLEARANCE * world.scale;
+    let angularSpeed = 0;
+
+    if (outcome === 'orbit') {
+        altitude = ORBIT_ALTITUDE * world.scale;
+        const tangential = -(p.dx - planet.dx) * Math.sin(angle) + (p.dy - planet.dy) * Math.cos(angle);
+        const orbitRadius = planet.radius + p.radius + altitude;
+        angularSpeed = Math.max(-ORBIT_MAX_ANGULAR_SPEED, Math.min(ORBIT_MAX_ANGULAR_SPEED, tangential / orbitRadius));
+    }
+
+    p.anchor = { planet, angle, altitude, angularSpeed };
+    p.isMoving = false;
+    p.dx = 0;
+    p.dy = 0;
+    followAnchor(p, 0);
+    world.nearMisses.delete(planet);
+    world.events.push({ type: outcome === 'orbit' ? 'orbitCaptured' : 'landed', x: p.x, y: p.y });
+}
+
+// Keep a parked or orbiting ship with its planet, turning by angularStep
+function followAnchor(player, angularStep) {
+    const anchor = player.anchor;
+    anchor.angle += angularStep;
+    const distance = anchor.planet.radius + player.radius + anchor.altitude;
+    player.x = anchor.planet.x + Math.cos(anchor.angle) * distance;
+    player.y = anchor.planet.y + Math.sin(anchor.angle) * distance;
+}
+
+// Thrust adds to the velocity before gravity, burning fuel each tick it is applied
+function applyThrust(world) {
+    if (!isThrusting(world)) return;
+
+    const p = world.player;
+    const acceleration = THRUST_ACCELERATION * world.scale;
+    p.dx += Math.cos(p.thrustAngle) * acceleration;
+    p.dy += Math.sin(p.thrustAngle) * acceleration;
+    p.thrustImpulse.dx += Math.cos(p.thrustAngle) * acceleration;
+    p.thrustImpulse.dy += Math.sin(p.thrustAngle) * acceleration;
+    p.fuel = Math.max(0, p.fuel - FUEL_BURN_PER_TICK);
+    if (p.fuel === 0) {
+        world.events.push({ type: 'fuelEmpty' });
+    }
+}
+
+function spawnFuelPickups(world) {
+    // Authored levels only have the fuel that was placed
+    if (world.levelDefinition || world.fuelPickups.length >= FUEL_PICKUP_MAX_ON_FIELD) return;
+
+    const rng = world.powerUpRng;
+    if (rng.next() < FUEL_PICKUP_SPAWN_RATE) {
+        world.fuelPickups.push({
+            x: rng.next() * world.width,
+            y: rng.next() * world.height,
+            radius: FUEL_PICKUP_RADIUS * world.scale
+        });
+    }
+}
+
+function spawnCollectableStars(world) {
+    // Authored levels only have the stars that were placed
+    if (world.levelDefinition) return;
+
+    // The same number of stars per screen however big the level is, give or take
+    // what the difficulty asks for
+    const rng = world.rng;
+    if (rng.next() < STAR_SPAWN_RATE * world.screens * world.screens * world.tuning.starSpawnRate) {
+        world.collectableStars.push({
+            x: rng.next() * world.width,
+            y: rng.next() * world.height,
+            radius: STAR_RADIUS * world.scale
+        });
+    }
+}
+
+// --- POWER-UPS ---
+
+function isPowerUpActive(world, kind) {
+    return (world.activePowerUps[kind] || 0) > 0;
+}
+
+// Kinds a generated level can spawn
+function getPowerUpKindsForLevel(level) {
+    return Object.keys(POWER_UP_KINDS).filter(kind => level >= POWER_UP_KINDS[kind].fromLevel);
+}
+
+// Chance per tick of a power-up appearing on a generated level
+function getPowerUpSpawnRate(level) {
+    return POWER_UP_SPAWN_RATE + (level - 1) * POWER_UP_SPAWN_RATE_PER_LEVEL;
+}
+
+function spawnPowerUps(world) {
+    // Authored levels only have the power-ups that were placed
+    if (world.levelDefinition || world.powerUps.length >= POWER_UP_MAX_ON_FIELD) return;
+
+    const rng = world.powerUpRng;
+    const level = world.currentLevel - world.campaignLevels.length;
+    if (rng.next() < getPowerUpSpawnRate(level)) {
+        const kinds = getPowerUpKindsForLevel(level);
+        world.powerUps.push({
+            x: rng.next() * world.width,
+            y: rng.next() * world.height,
+            radius: POWER_UP_RADIUS * world.scale,
+            kind: kinds[rng.int(kinds.length)]
+        });
+    }
+}
+
+// Start a power-up's timer; picking up one that is already running starts it over
+function activatePowerUp(world, kind) {
+    world.activePowerUps[kind] = POWER_UP_KINDS[kind].duration;
+}
+
+// Count down running power-ups at the end of a tick
+function updateActivePowerUps(world) {
+    for (const kind of Object.keys(world.activePowerUps)) {
+        world.activePowerUps[kind]--;
+        if (world.activePowerUps[kind] <= 0) {
+            delete world.activePowerUps[kind];
+            world.events.push({ type: 'powerUpExpired', kind });
+        }
+    }
+}
+
+// How far planets and comets move this tick, relative to their velocity
+function getHazardSpeed(world) {
+    return isPowerUpActive(world, 'slowMotion') ? SLOW_MOTION_FACTOR : 1;
+}
+
+function getShipSpeed(world) {
+    return isPowerUpActive(world, 'boost') ? BOOST_SPEED_MULTIPLIER : 1;
+}
+
+function pullStarsWithMagnet(world) {
+    if (!isPowerUpActive(world, 'magnet')) return;
+
+    const p = world.player;
+    const range = MAGNET_RANGE * world.scale;
+    const pull = MAGNET_PULL * world.scale;
+    world.collectableStars.forEach(star => {
+        const distance = getDistance(p, star);
+        if (distance < range && distance > 0) {
+            const step = Math.min(pull, distance);
+            star.x += (p.x - star.x) / distance * step;
+            star.y += (p.y - star.y) / distance * step;
+        }
+    });
+}
+
+// The shield takes a deadly hit instead of the ship. What isn't solid (comets) is
+// destroyed; off a solid body the ship bounces, pushed back out to its surface.
+function absorbHitWithShield(world, type, entity) {
+    const p = world.player;
+    delete world.activePowerUps.shield;
+    world.events.push({ type: 'shieldHit', cause: type.crashCause, x: p.x, y: p.y });
+    if (world.slingshots.has(entity)) {
+        world.slingshots.set(entity, null); // Bouncing off isn't a slingshot
+    }
+
+    if (!type.solid) {
+        const entities = world[type.collection];
+        entities.splice(entities.indexOf(entity), 1);
+        return;
+    }
+
+    const distance = getDistance(p, entity) || 1;
+    const nx = (p.x - entity.x) / distance;
+    const ny = (p.y - entity.y) / distance;
+    const along = p.dx * nx + p.dy * ny;
+    if (along < 0) {
+        p.dx -= 2 * along * nx;
+        p.dy -= 2 * along * ny;
+    }
+    const clearance = entity.radius + p.radius + 1;
+    p.x = entity.x + nx * clearance;
+    p.y = entity.y + ny * clearance;
+}
+
+// --- COLLISIONS ---
+
+function updateSpatialGrid(world) {
+    const spatialGrid = world.spatialGrid;
+    if (!spatialGrid) return;
+
+    spatialGrid.clear();
+
+    for (const type of ENTITY_TYPES.values()) {
+        if (type.spatial) {
+            world[type.collection].forEach(entity => spatialGrid.insert(entity));
+        }
+    }
+}
+
+// Check player collision with a group of entities (optimized)
+function checkPlayerCollisionWithEntities(world, entities, onCollision) {
+    for (let i = entities.length - 1; i >= 0; i--) {
+        const entity = entities[i];
+        if (areCollidingOptimized(world.player, entity)) {
+            onCollision(entity, i);
+        }
+    }
+}
+
+// First entity among ones that end the run that the player touches, or null
+function checkPlayerCollisionWithDangerousEntities(world, entities) {
+    for (const entity of entities) {
+        if (areCollidingOptimized(world.player, entity)) {
+            return entity;
+        }
+    }
+    return null;
+}
+
+// Nearby entities from the spatial grid, limited to the given group and culled by distance
+function getNearbyCandidates(world, entities) {
+    const maxDistance = MAX_COLLISION_DISTANCE * world.scale;
+    return world.spatialGrid.getNearbyEntities(world.player).filter(entity => {
+        if (!entities.includes(entity)) return false;
+
+        // Distance culling - skip entities that are too far away
+        return getDistanceSquared(world.player, entity) < (maxDistance * maxDistance);
+    });
+}
+
+// Optimized collision detection using spatial grid
+function checkPlayerCollisionWithEntitiesOptimized(world, entities, onCollision) {
+    if (!world.spatialGrid || entities.length === 0) {
+        return checkPlayerCollisionWithEntities(world, entities, onCollision);
+    }
+
+    const nearbyEntities = world.spatialGrid.getNearbyEntities(world.player);
+    const relevantEntities = nearbyEntities.filter(entity => entities.includes(entity));
+
+    for (let i = relevantEntities.length - 1; i >= 0; i--) {
+        const entity = relevantEntities[i];
+        if (areCollidingOptimized(world.player, entity)) {
+            const index = entities.indexOf(entity);
+            if (index !== -1) {
+                onCollision(entity, index);
+            }
+        }
+    }
+}
+
+// Optimized dangerous collision check using spatial grid
+function checkPlayerCollisionWithDangerousEntitiesOptimized(world, entities) {
+    if (!world.spatialGrid || entities.length === 0) {
+        return checkPlayerCollisionWithDangerousEntities(world, entities);
+    }
+    return checkPlayerCollisionWithDangerousEntities(world, getNearbyCandidates(world, entities));
+}
+
+// Fast collision check with distance culling
+function checkPlayerCollisionWithEntitiesOptimizedFast(world, entities, onCollision) {
+    if (!world.spatialGrid || entities.length === 0) {
+        return checkPlayerCollisionWithEntities(world, entities, onCollision);
+    }
+
+    const relevantEntities = getNearbyCandidates(world, entities);
+    for (let i = relevantEntities.length - 1; i >= 0; i--) {
+        const entity = relevantEntities[i];
+        if (areCollidingOptimized(world.player, entity)) {
+            const index = entities.indexOf(entity);
+            if (index !== -1) {
+                onCollision(entity, index);
+            }
+        }
+    }
+}
+
+// Resolve this tick's collisions; returns true if the run ended
+function checkCollisions(world) {
+    const p = world.player;
+
+    // Update spatial grid less frequently for better performance
+    if (world.tick % COLLISION_CHECK_FREQUENCY === 0) {
+        updateSpatialGrid(world);
+    }
+
+    // Deadly entities first. The body the ship is parked on doesn't count.
+    for (const type of ENTITY_TYPES.values()) {
+        if (type.collision !== 'deadly') continue;
+        const all = world[type.collection];
+        const entities = p.anchor ? all.filter(entity => entity !== p.anchor.planet) : all;
+        const hit = type.spatial
+            ? checkPlayerCollisionWithDangerousEntitiesOptimized(world, entities)
+            : checkPlayerCollisionWithDangerousEntities(world, entities);
+        const landing = hit && type.landable ? getLandingOutcome(p, hit, world.scale) : null;
+        if (landing) {
+            anchorToPlanet(world, hit, landing);
+        } else if (hit && !type.ignoresShield && isPowerUpActive(world, 'shield')) {
+            absorbHitWithShield(world, type, hit);
+        } else if (hit) {
+            world.events.push({ type: 'crash', cause: type.crashCause, x: p.x, y: p.y });
+            return true;
+        }
+    }
+
+    // Then whatever the ship picks up or sets off
+    for (const type of ENTITY_TYPES.values()) {
+        if (type.collision !== 'collectible' && type.collision !== 'trigger') continue;
+        const entities = world[type.collection];
+        const check = type.spatial ? checkPlayerCollisionWithEntitiesOptimized : checkPlayerCollisionWithEntities;
+        check(world, entities, (entity, index) => {
+            if (type.collision === 'collectible') {
+                entities.splice(index, 1);
+            }
+            type.onTouch(world, entity);
+        });
+    }
+
+    // Player vs Walls (most critical check, always run). A parked ship goes where
+    // its planet takes it, even when that hangs it over the edge.
+    if (!p.anchor && (p.x < 0 || p.x > world.width || p.y < 0 || p.y > world.height)) {
+        world.events.push({ type: 'crash', cause: 'wall', x: p.x, y: p.y });
+        return true;
+    }
+    return false;
+}
+
+// A near miss is reported once the ship has passed close to a planet and is pulling away
+function checkNearMisses(world) {
+    const p = world.player;
+    if (!p.isMoving) return;
+
+    const limit = NEAR_MISS_DISTANCE * world.scale;
+    world.planets.forEach(planet => {
+        const gap = getDistance(p, planet) - planet.radius - p.radius;
+        if (planet === p.launchedFrom) {
+            // Taking off from a planet isn't a close pass
+            if (gap >= limit) p.launchedFrom = null;
+            return;
+        }
+        if (gap < limit) {
+            const closest = world.nearMisses.get(planet);
+            world.nearMisses.set(planet, closest === undefined ? gap : Math.min(closest, gap));
+        } else if (world.nearMisses.has(planet)) {
+            const clearance = world.nearMisses.get(planet) / world.scale;
+            const closeness = 1 - Math.max(0, clearance) / NEAR_MISS_DISTANCE;
+            const points = awardSkillPoints(world, 'nearMiss', NEAR_MISS_SCORE * (0.5 + 0.5 * closeness));
+            world.events.push({ type: 'nearMiss', x: p.x, y: p.y, clearance, ...points });
+            world.nearMisses.delete(planet);
+            world.levelNearMisses++;
+        }
+    });
+}
+
+// A slingshot is a pass that left the ship a lot faster: its speed is compared between
+// coming within SLINGSHOT_RANGE of a planet and leaving it again, leaving out thrust.
+// Only bending the path or slowing down scores nothing.
+function checkSlingshots(world) {
+    const p = world.player;
+    if (!p.isMoving) return;
+
+    const range = SLINGSHOT_RANGE * world.scale;
+    world.planets.forEach(planet => {
+        const gap = getDistance(p, planet) - planet.radius - p.radius;
+        const dx = p.dx - p.thrustImpulse.dx;
+        const dy = p.dy - p.thrustImpulse.dy;
+        if (gap < range && !world.slingshots.has(planet)) {
+            world.slingshots.set(planet, { dx, dy });
+        } else if (gap >= range && world.slingshots.has(planet)) {
+            const entry = world.slingshots.get(planet); // null when the ship set off from here
+            world.slingshots.delete(planet);
+            if (!entry) return;
+            const speedGain = (Math.hypot(dx, dy) - Math.hypot(entry.dx, entry.dy)) / world.scale;
+            if (speedGain >= SLINGSHOT_MIN_SPEED_GAIN) {
+                const points = awardSkillPoints(world, 'slingshot', SLINGSHOT_SCORE_PER_SPEED_GAIN * speedGain);
+                world.events.push({ type: 'slingshot', x: p.x, y: p.y, speedGain, ...points });
+            }
+        }
+    });
+}
+
+// --- SCORING ---
+
+function createScoreBreakdown() {
+    return Object.fromEntries(SCORE_SOURCES.map(source => [source, 0]));
+}
+
+// Score basePoints times the combo multiplier, then raise the multiplier.
+// Returns { points, multiplier } as scored, for the event.
+function awardSkillPoints(world, source, basePoints) {
+    const multiplier = world.combo.multiplier;
+    const points = Math.round(basePoints * multiplier);
+    world.score += points;
+    world.scoreBreakdown[source] += points;
+    world.combo.multiplier = Math.min(COMBO_MAX, multiplier + COMBO_STEP);
+    world.combo.holdTicks = COMBO_HOLD_TICKS;
+    return { points, multiplier };
+}
+
+function updateCombo(world) {
+    const combo = world.combo;
+    if (combo.holdTicks > 0) {
+        combo.holdTicks--;
+    } else {
+        combo.multiplier = Math.max(1, combo.multiplier - COMBO_DECAY_PER_TICK);
+    }
+}
+
+// --- LEVEL PROGRESS ---
+
+// Cumulative score a generated level asks for (level 1 = first generated level)
+function getLevelScoreThreshold(level) {
+    return BASE_SCORE_THRESHOLD * Math.pow(SCORE_THRESHOLD_MULTIPLIER, level - 1);
+}
+
+// Move on to the next level number once the current one's goal is met.
+// The caller decides when to call setupLevel() for it.
+function checkLevelCompletion(world) {
+    const level = world.levelDefinition;
+    const levelScore = world.score - world.levelStartScore;
+    const completed = level
+        ? isLevelGoalMet(level, levelScore, world.collectableStars.length)
+        : world.score >= world.proceduralScoreBase +
+            getLevelScoreThreshold(world.currentLevel - world.campaignLevels.length);
+
+    if (completed) {
+        const seconds = (world.tick - world.levelStartTick) * SIMULATION_STEP_MS / 1000;
+        recordLevelCleared(world.difficulty, seconds, world.levelNearMisses);
+        world.events.push({
+            type: 'levelComplete',
+            level: world.currentLevel,
+            rating: level ? getStarRating(level, levelScore) : null
+        });
+        world.currentLevel++;
+    }
+    return completed;
+}
+
+// --- PREDICTION AND HEADLESS RUNS ---
+
+// Forward-simulate a launch against copies of the moving gravity sources, with slow
+// motion and boost running out when they would and wormholes carrying the ship through.
+// Returns the predicted points and how the flight ends: a crash cause such as 'planet',
+// 'landed', 'orbit', 'offscreen' or null.
+function predictTrajectory(world, launchVelocity, steps) {
+    const { width, height } = world;
+    const ship = {
+        x: world.player.x,
+        y: world.player.y,
+        dx: launchVelocity.dx,
+        dy: launchVelocity.dy,
+        radius: world.player.radius,
+        isMoving: true
+    };
+    // The copies move in a world of their own, so moons go round their copied parents
+    // and triggers such as wormholes act on the predicted ship
+    const predicted = { ...world, player: ship, events: [] };
+    const bodies = getEntityTypes()
+        .filter(type => type.mass)
+        .flatMap(type => {
+            predicted[type.collection] = world[type.collection].map(entity => ({ ...entity }));
+            return predicted[type.collection].map(entity => ({ type, entity }));
+        });
+    const triggers = getEntityTypes().filter(type => type.collision === 'trigger');
+    const slowTicks = world.activePowerUps.slowMotion || 0;
+    const boostTicks = world.activePowerUps.boost || 0;
+    const points = [];
+
+    for (let i = 0; i < steps; i++) {
+        // Same order as stepWorld: bodies move, then the ship
+        const hazardSpeed = i < slowTicks ? SLOW_MOTION_FACTOR : 1;
+        bodies.forEach(({ type, entity }) => type.move && type.move(entity, predicted, hazardSpeed));
+        const sources = bodies.map(({ type, entity }) => ({ x: entity.x, y: entity.y, mass: type.mass(entity) }));
+        applyGravityAndMove(ship, sources, world.scale, i < boostTicks ? BOOST_SPEED_MULTIPLIER : 1);
+
+        const hit = bodies.find(({ type, entity }) => type.collision === 'deadly' && areColliding(ship, entity));
+        if (hit) {
+            points.push({ x: ship.x, y: ship.y });
+            const landing = hit.type.landable ? getLandingOutcome(ship, hit.entity, world.scale) : null;
+            return { points, end: landing || hit.type.crashCause, endPoint: { x: ship.x, y: ship.y } };
+        }
+        // Same order as checkCollisions: deadly bodies, then triggers, then the walls
+        triggers.forEach(type => world[type.collection].forEach(entity => {
+            if (areColliding(ship, entity)) type.onTouch(predicted, entity);
+        }));
+        points.push({ x: ship.x, y: ship.y });
+        if (ship.x < 0 || ship.x > width || ship.y < 0 || ship.y > height) {
+            return { points, end: 'offscreen', endPoint: { x: ship.x, y: ship.y } };
+        }
+    }
+
+    return { points, end: null, endPoint: null };
+}
+
+// Launch the ship and run the world until the flight is decided or maxTicks pass.
+// Returns { outcome, ticks, score } where outcome is the crash cause, 'landed',
+// 'orbit', 'levelComplete' or 'timeout'. Meant for balancing scripts and tests.
+function simulateLaunch(world, angle, power, maxTicks = 60 * 60) {
+    launchPlayer(world, angle, power);
+    for (let ticks = 1; ticks <= maxTicks; ticks++) {
+        for (const event of stepWorld(world)) {
+            if (event.type === 'crash') {
+                return { outcome: event.cause, ticks, score: world.score };
+            }
+            if (event.type === 'levelComplete') {
+                return { outcome: 'levelComplete', ticks, score: world.score };
+            }
+            if (event.type === 'landed' || event.type === 'orbitCaptured') {
+                return { outcome: event.type === 'landed' ? 'landed' : 'orbit', ticks, score: world.score };
+            }
+        }
+    }
+    return { outcome: 'timeout', ticks: maxTicks, score: world.score };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BASE_HEIGHT,
+        WORLD_BASE_SCREENS,
+        WORLD_SCREENS_PER_LEVEL,
+        WORLD_MAX_SCREENS,
+        PLAYER_RADIUS,
+        PLAYER_MAX_LAUNCH_POWER,
+        PLANET_MAX_RADIUS,
+        PLANET_TYPE_COUNT,
+        GRAVITY,
+        COMET_START_LEVEL,
+        COMET_RADIUS,
+        COMET_LIFETIME,
+        COMET_FIRST_WAVE_TICKS,
+        COMET_MAX_WAVE_SIZE,
+        COMET_WARNING_TICKS,
+        COMET_STAGGER_TICKS,
+        BASE_PLANET_COUNT,
+        PLANET_COUNT_PER_LEVEL,
+        ORBIT_GAP,
+        N_BODY_GRAVITY_SCALE,
+        STAR_SCORE,
+        NEAR_MISS_DISTANCE,
+        NEAR_MISS_SCORE,
+        SLINGSHOT_RANGE,
+        SLINGSHOT_MIN_SPEED_GAIN,
+        SLINGSHOT_SCORE_PER_SPEED_GAIN,
+        COMBO_STEP,
+        COMBO_MAX,
+        COMBO_HOLD_TICKS,
+        FLIGHT_SCORE_INTERVAL_TICKS,
+        SCORE_SOURCES,
+        POWER_UP_KINDS,
+        SLOW_MOTION_FACTOR,
+        MAGNET_RANGE,
+        BOOST_SPEED_MULTIPLIER,
+        FUEL_CAPACITY,
+        FUEL_BURN_PER_TICK,
+        THRUST_ACCELERATION,
+        FUEL_PICKUP_AMOUNT,
+        LANDING_MAX_SPEED,
+        ORBIT_CAPTURE_MAX_SPEED,
+        ORBIT_MAX_ANGULAR_SPEED,
+        SIMULATION_STEP_MS,
+        getDistanceSquared,
+        getDistance,
+        areColliding,
+        areAABBColliding,
+        areCollidingOptimized,
+        isOffScreen,
+        getOrbitCentre,
+        placeOnOrbit,
+        SpatialGrid,
+        registerEntityType,
+        getEntityTypes,
+        getEntityType,
+        getAllEntities,
+        findOpenSpot,
+        createWorld,
+        setWorldDimensions,
+        setWorldScreens,
+        getGeneratedWorldScreens,
+        setWorldSeed,
+        resetRun,
+        createPlayer,
+        setupLevel,
+        computeLaunchVelocity,
+        launchPlayer,
+        setThrust,
+        isThrusting,
+        stepWorld,
+        updatePlayer,
+        applyGravityAndMove,
+        checkCollisions,
+        getLandingOutcome,
+        checkNearMisses,
+        checkSlingshots,
+        awardSkillPoints,
+        isPowerUpActive,
+        getPowerUpKindsForLevel,
+        getPowerUpSpawnRate,
+        activatePowerUp,
+        getCometWaveInterval,
+        getCometWaveSize,
+        getLevelScoreThreshold,
+        checkLevelCompletion,
+        predictTrajectory,
+        simulateLaunch
+    };
+}
@@ -0,0 +1,155 @@
+// --- STATE MANAGEMENT SYSTEM ---
+// The game's screens and which ones can follow which. The page's handlers for
+// each state live in game.js; this file has no DOM so it can be tested in Node.
+
+// Game States
+const GAME_STATES = {
+    LOADING: 'LOADING',
+    START: 'START',
+    LEVEL_TRANSITION: 'LEVEL_TRANSITION', 
+    PLAYING: 'PLAYING',
+    PAUSED: 'PAUSED',
+    GAME_OVER: 'GAME_OVER',
+    REPLAY: 'REPLAY',
+    EDITOR: 'EDITOR',
+    LEVEL_SELECT: 'LEVEL_SELECT',
+    SETTINGS: 'SETTINGS'
+};
+
+// Moves between GAME_STATES along the transition table, calling the enter, update,
+// render and exit handlers of each state. Subclasses supply the handlers.
+class GameStateMachine {
+    constructor() {
+        this.currentState = GAME_STATES.LOADING;
+        this.previousState = null;
+        this.stateData = {};
+        this.transitions = this.defineTransitions();
+        this.stateHandlers = this.defineStateHandlers();
+    }
+
+    defineTransitions() {
+        return {
+            [GAME_STATES.LOADING]: {
+                [GAME_STATES.START]: true
+            },
+            [GAME_STATES.START]: {
+                [GAME_STATES.PLAYING]: true,
+                [GAME_STATES.LEVEL_TRANSITION]: true,
+                [GAME_STATES.REPLAY]: true, // Imported replay
+                [GAME_STATES.EDITOR]: true,
+                [GAME_STATES.LEVEL_SELECT]: true,
+                [GAME_STATES.SETTINGS]: true
+            },
+            [GAME_STATES.LEVEL_TRANSITION]: {
+                [GAME_STATES.PLAYING]: true,
+                [GAME_STATES.START]: true // Allow restart during transition
+            },
+            [GAME_STATES.PLAYING]: {
+                [GAME_STATES.PAUSED]: true,
+                [GAME_STATES.GAME_OVER]: true,
+                [GAME_STATES.LEVEL_TRANSITION]: true,
+                [GAME_STATES.START]: true, // Allow restart
+                [GAME_STATES.EDITOR]: true // End of a test play
+            },
+            [GAME_STATES.PAUSED]: {
+                [GAME_STATES.PLAYING]: true,
+                [GAME_STATES.START]: true,
+                [GAME_STATES.GAME_OVER]: true,
+                [GAME_STATES.EDITOR]: true,
+                [GAME_STATES.SETTINGS]: true
+            },
+            [GAME_STATES.GAME_OVER]: {
+                [GAME_STATES.START]: true,
+                [GAME_STATES.PLAYING]: true, // Direct restart
+                [GAME_STATES.REPLAY]: true // Watch the run that just ended
+            },
+            [GAME_STATES.REPLAY]: {
+                [GAME_STATES.START]: true
+            },
+            [GAME_STATES.EDITOR]: {
+                [GAME_STATES.START]: true,
+                [GAME_STATES.PLAYING]: true // Test play
+            },
+            [GAME_STATES.LEVEL_SELECT]: {
+                [GAME_STATES.START]: true,
+                [GAME_STATES.PLAYING]: true
+            },
+            [GAME_STATES.SETTINGS]: {
+                [GAME_STATES.START]: true, // Back to whichever screen opened it
+                [GAME_STATES.PAUSED]: true
+            }
+        };
+    }
+
+    // State name -> { enter, update, render, exit, onAction }; all optional
+    defineStateHandlers() {
+        return {};
+    }
+
+    transition(newState, data = {}) {
+        // Check if transition is valid
+        if (!this.canTransition(newState)) {
+            console.warn(`❌ Invalid transition from ${this.currentState} to ${newState}`);
+            return false;
+        }
+
+        console.log(`🔄 State transition: ${this.currentState} → ${newState}`);
+
+        // Exit current state
+        if (this.stateHandlers[this.currentState]?.exit) {
+            this.stateHandlers[this.currentState].exit();
+        }
+
+        // Update state
+        this.previousState = this.currentState;
+        this.currentState = newState;
+        
+        // Merge any transition data
+        this.stateData = { ...this.stateData, ...data };
+
+        // Enter new state
+        if (this.stateHandlers[this.currentState]?.enter) {
+            this.stateHandlers[this.currentState].enter();
+        }
+
+        return true;
+    }
+
+    canTransition(newState) {
+        return this.transitions[this.currentState]?.[newState] || false;
+    }
+
+    update() {
+        if (this.stateHandlers[this.currentState]?.update) {
+            this.stateHandlers[this.currentState].update();
+        }
+    }
+
+    render() {
+        if (this.stateHandlers[this.currentState]?.render) {
+            this.stateHandlers[this.currentState].render();
+        }
+    }
+
+    // Offer an input action (see input.js) to the current state; true if it used it
+    handleAction(action) {
+        const handler = this.stateHandlers[this.currentState];
+        return Boolean(handler?.onAction && handler.onAction(action));
+    }
+
+    getCurrentState() {
+        return this.currentState;
+    }
+
+    getStateData() {
+        return this.stateData;
+    }
+
+    isInState(state) {
+        return this.currentState === state;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_STATES, GameStateMachine };
+}
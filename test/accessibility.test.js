@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    COLOR_PALETTES,
+    DEFAULT_PALETTE,
+    ANNOUNCE_DELAY_MS,
+    getColorPalette,
+    Announcer
+} = require('../accessibility.js');
+
+describe('colour palettes', () => {
+    it('fill the same roles with hex colours', () => {
+        const roles = Object.keys(COLOR_PALETTES[DEFAULT_PALETTE]).sort();
+        for (const [name, palette] of Object.entries(COLOR_PALETTES)) {
+            assert.deepEqual(Object.keys(palette).sort(), roles, `palette ${name}`);
+            for (const color of Object.values(palette)) {
+                assert.match(color, /^#[0-9A-F]{6}$/i);
+            }
+        }
+    });
+
+    it('falls back to the default palette for unknown names', () => {
+        assert.equal(getColorPalette('redGreen'), COLOR_PALETTES.redGreen);
+        assert.equal(getColorPalette('sepia'), COLOR_PALETTES[DEFAULT_PALETTE]);
+        assert.equal(getColorPalette(undefined), COLOR_PALETTES[DEFAULT_PALETTE]);
+    });
+});
+
+describe('Announcer', () => {
+    it('clears the region and then reads messages sent together as one', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const element = { textContent: 'Score 500' };
+        const announcer = new Announcer(element);
+
+        announcer.announce('Level 2 complete');
+        announcer.announce('Level 3');
+        assert.equal(element.textContent, '');
+
+        t.mock.timers.tick(ANNOUNCE_DELAY_MS);
+        assert.equal(element.textContent, 'Level 2 complete. Level 3');
+
+        announcer.announce('Level 3');
+        assert.equal(element.textContent, '');
+        t.mock.timers.tick(ANNOUNCE_DELAY_MS);
+        assert.equal(element.textContent, 'Level 3');
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CAMERA_MIN_ZOOM, CAMERA_ZOOM_OUT_SPEED, Camera } = require('../camera.js');
+
+function viewingCamera(width = 800, height = 600) {
+    const camera = new Camera();
+    camera.setViewport(width, height);
+    return camera;
+}
+
+describe('Camera', () => {
+    it('eases towards its target instead of jumping', () => {
+        const camera = viewingCamera();
+        camera.follow(100, 0, 0, 1000 / 60);
+        assert.ok(camera.x > 0 && camera.x < 100);
+        for (let i = 0; i < 300; i++) {
+            camera.follow(100, 0, 0, 1000 / 60);
+        }
+        assert.ok(Math.abs(camera.x - 100) < 0.01);
+    });
+
+    it('covers the same ground at any frame rate', () => {
+        const fast = viewingCamera();
+        const slow = viewingCamera();
+        for (let i = 0; i < 4; i++) {
+            fast.follow(100, 0, 0, 1000 / 120);
+        }
+        slow.follow(100, 0, 0, 1000 / 30);
+        assert.ok(Math.abs(fast.x - slow.x) < 1e-9);
+    });
+
+    it('zooms out with speed, down to the minimum', () => {
+        const camera = viewingCamera();
+        for (let i = 0; i < 600; i++) {
+            camera.follow(0, 0, CAMERA_ZOOM_OUT_SPEED * 2, 1000 / 60);
+        }
+        assert.ok(Math.abs(camera.zoom - CAMERA_MIN_ZOOM) < 1e-3);
+    });
+
+    it('stays inside the world, and centres a world smaller than the view', () => {
+        const camera = viewingCamera();
+        camera.centerOn(0, 5000);
+        camera.clampTo(2000, 3000);
+        assert.deepEqual({ x: camera.x, y: camera.y }, { x: 400, y: 2700 });
+
+        camera.clampTo(500, 3000);
+        assert.equal(camera.x, 250);
+    });
+
+    it('converts between screen and world points', () => {
+        const camera = viewingCamera();
+        camera.centerOn(1000, 1000, 0.5);
+        assert.deepEqual(camera.worldToScreen(1000, 1000), { x: 400, y: 300 });
+        assert.deepEqual(camera.worldToScreen(1200, 1000), { x: 500, y: 300 });
+        assert.deepEqual(camera.screenToWorld(500, 300), { x: 1200, y: 1000 });
+        assert.deepEqual(camera.getViewRect(), { x: 200, y: 400, width: 1600, height: 1200 });
+    });
+
+    it('shakes within a fading intensity and then settles', () => {
+        const camera = viewingCamera();
+        camera.startShake(10, 100);
+        camera.updateShake(50, () => 1);
+        assert.equal(camera.shakeX, 5);
+        camera.updateShake(50, () => 1);
+        assert.equal(camera.shake, null);
+        assert.equal(camera.shakeX, 0);
+    });
+
+    it('lets a stronger shake take over but not a weaker one', () => {
+        const camera = viewingCamera();
+        camera.startShake(10, 100);
+        camera.startShake(4, 500);
+        assert.equal(camera.shake.intensity, 10);
+        camera.startShake(20, 100);
+        assert.equal(camera.shake.intensity, 20);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    AIM_DEFAULT_ANGLE,
+    AIM_TURN_SPEED,
+    AIM_CHARGE_TIME_MS,
+    AimController,
+    normalizeAngle
+} = require('../controls.js');
+
+describe('AimController', () => {
+    it('turns at a fixed rate while a direction is held', () => {
+        const aim = new AimController();
+        aim.setTurn(1);
+        aim.update(250);
+        assert.ok(Math.abs(aim.angle - (AIM_DEFAULT_ANGLE + AIM_TURN_SPEED / 4)) < 1e-9);
+        assert.ok(aim.active);
+
+        aim.setTurn(0);
+        const angle = aim.angle;
+        aim.update(1000);
+        assert.equal(aim.angle, angle);
+    });
+
+    it('charges to full power and no further', () => {
+        const aim = new AimController();
+        aim.startCharge();
+        aim.update(AIM_CHARGE_TIME_MS / 2);
+        assert.ok(Math.abs(aim.charge - 0.5) < 1e-9);
+        aim.update(AIM_CHARGE_TIME_MS);
+        assert.equal(aim.charge, 1);
+    });
+
+    it('charges slower with a partly pulled trigger and keeps the charge when it stops', () => {
+        const aim = new AimController();
+        aim.startCharge(0.5);
+        aim.update(AIM_CHARGE_TIME_MS / 2);
+        aim.stopCharge();
+        aim.update(AIM_CHARGE_TIME_MS);
+        assert.ok(Math.abs(aim.charge - 0.25) < 1e-9);
+        assert.equal(aim.isCharging(), false);
+    });
+
+    it('uses up the charge on release and ignores a tap', () => {
+        const aim = new AimController();
+        aim.startCharge();
+        aim.update(AIM_CHARGE_TIME_MS);
+        assert.equal(aim.release(), 1);
+        assert.equal(aim.charge, 0);
+        assert.equal(aim.isCharging(), false);
+
+        aim.startCharge();
+        aim.update(1);
+        assert.equal(aim.release(), 0);
+    });
+});
+
+describe('normalizeAngle', () => {
+    it('keeps angles in (-PI, PI]', () => {
+        assert.ok(Math.abs(normalizeAngle(3 * Math.PI) - Math.PI) < 1e-9);
+        assert.ok(Math.abs(normalizeAngle(-Math.PI / 2 - 2 * Math.PI) + Math.PI / 2) < 1e-9);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DIFFICULTY_HISTORY,
+    DIFFICULTY_PAR_SECONDS,
+    DIFFICULTY_BOUNDS,
+    createDifficultyState,
+    recordLevelCleared,
+    recordDeath,
+    getDifficultyPressure,
+    getDifficultyTuning
+} = require('../difficulty.js');
+
+describe('adaptive difficulty', () => {
+    it('plays the standard formula with no history or when fixed', () => {
+        const standard = { planetCount: 1, planetSpeed: 1, cometInterval: 1, starSpawnRate: 1 };
+        assert.deepEqual(getDifficultyTuning(createDifficultyState()), standard);
+        assert.deepEqual(getDifficultyTuning(createDifficultyState(true, [-1, -1, -1])), standard);
+    });
+
+    it('gives a player who keeps dying the most relief it allows', () => {
+        const state = createDifficultyState();
+        for (let i = 0; i < DIFFICULTY_HISTORY; i++) {
+            recordDeath(state);
+        }
+        assert.equal(getDifficultyPressure(state), -1);
+        const tuning = getDifficultyTuning(state);
+        for (const [knob, [relief]] of Object.entries(DIFFICULTY_BOUNDS)) {
+            assert.ok(Math.abs(tuning[knob] - relief) < 1e-9, knob);
+        }
+    });
+
+    it('pushes a player who clears levels quickly with near misses to spare', () => {
+        const state = createDifficultyState();
+        recordLevelCleared(state, DIFFICULTY_PAR_SECONDS / 4, 10);
+        assert.ok(getDifficultyPressure(state) > 0.5);
+        const tuning = getDifficultyTuning(state);
+        assert.ok(tuning.planetCount > 1 && tuning.planetSpeed > 1);
+        assert.ok(tuning.cometInterval < 1 && tuning.starSpawnRate < 1);
+
+        // A slow clear with no near misses counts the other way
+        const slow = createDifficultyState();
+        recordLevelCleared(slow, DIFFICULTY_PAR_SECONDS * 2, 0);
+        assert.ok(getDifficultyPressure(slow) < 0);
+    });
+
+    it('remembers only the recent outcomes and weighs the newest most', () => {
+        const state = createDifficultyState();
+        for (let i = 0; i < DIFFICULTY_HISTORY; i++) {
+            recordLevelCleared(state, 0, 100);
+        }
+        recordDeath(state);
+        assert.equal(state.outcomes.length, DIFFICULTY_HISTORY);
+        assert.ok(getDifficultyPressure(state) < (DIFFICULTY_HISTORY - 2) / DIFFICULTY_HISTORY);
+    });
+
+    it('leaves the history alone while fixed', () => {
+        const state = createDifficultyState(true, [0.5]);
+        recordDeath(state);
+        recordLevelCleared(state, 10, 5);
+        assert.deepEqual(state.outcomes, [0.5]);
+    });
+
+    it('keeps only usable outcomes from stored history', () => {
+        const state = createDifficultyState(false, [0.5, null, 'x', -0.5]);
+        assert.deepEqual(state.outcomes, [0.5, -0.5]);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    BASE_HEIGHT,
+    registerEntityType,
+    getEntityTypes,
+    getAllEntities,
+    setupLevel,
+    stepWorld,
+    updatePlayer,
+    checkCollisions,
+    predictTrajectory
+} = require('../simulation.js');
+const { parseLevel } = require('../level-format.js');
+const { emptyWorld } = require('./fixtures.js');
+
+// Registered once for the whole file: a pad that pushes the ship away and
+// counts touches, and a mine that drifts and blows up on contact
+let padTouches = 0;
+registerEntityType('testPad', {
+    collection: 'testPads',
+    levelKey: 'testPads',
+    fromLevel: (entry, world) => ({ x: entry.x * world.width, y: entry.y * world.height, radius: 10 }),
+    mass: () => -40,
+    collision: 'trigger',
+    onTouch: () => padTouches++,
+    spatial: false
+});
+registerEntityType('testMine', {
+    collection: 'testMines',
+    move: (mine, world, speed) => { mine.x += mine.dx * speed; },
+    update: (world, mine) => mine.x < 1000,
+    collision: 'deadly',
+    crashCause: 'mine'
+});
+
+describe('entity registry', () => {
+    it('keeps types in registration order after the built-in ones', () => {
+        const names = getEntityTypes().map(type => type.name);
+        assert.deepEqual(names, ['planet', 'comet', 'star', 'powerUp', 'fuel', 'testPad', 'testMine']);
+    });
+
+    it('refuses a second type with the same name', () => {
+        assert.throws(() => registerEntityType('planet', { collection: 'morePlanets' }), /already registered/);
+    });
+
+    it('gives every world an empty collection per type', () => {
+        const world = emptyWorld();
+        assert.deepEqual(world.testPads, []);
+        assert.deepEqual(world.testMines, []);
+    });
+
+    it('moves entities and drops the ones their type is done with', () => {
+        const world = emptyWorld();
+        world.testMines = [{ x: 995, y: 100, dx: 6, dy: 0, radius: 10 }, { x: 100, y: 100, dx: 6, dy: 0, radius: 10 }];
+        stepWorld(world);
+        assert.deepEqual(world.testMines.map(mine => mine.x), [106]);
+        assert.equal(getAllEntities(world).length, 1);
+    });
+
+    it('applies negative mass as a push', () => {
+        const world = emptyWorld();
+        world.player.isMoving = true;
+        world.testPads = [{ x: world.player.x + 100, y: world.player.y, radius: 10 }];
+        updatePlayer(world);
+        assert.ok(world.player.dx < 0);
+    });
+
+    it('crashes with the type\'s cause and fires triggers without removing them', () => {
+        const world = emptyWorld();
+        const { x, y } = world.player;
+        world.testPads = [{ x, y, radius: 10 }];
+        checkCollisions(world);
+        checkCollisions(world);
+        assert.equal(padTouches, 2);
+        assert.equal(world.testPads.length, 1);
+
+        world.testMines = [{ x, y, dx: 0, dy: 0, radius: 10 }];
+        assert.equal(checkCollisions(world), true);
+        assert.deepEqual(world.events.at(-1), { type: 'crash', cause: 'mine', x, y });
+    });
+
+    it('builds authored entities from the type\'s level key', () => {
+        const world = emptyWorld();
+        world.customLevel = {
+            ...parseLevel({ version: 2, name: 'T', start: { x: 0.5, y: 0.5 }, planets: [], comets: [], stars: [], goals: { score: 1 }, par: [1, 2, 3] }),
+            testPads: [{ x: 0.25, y: 0.5 }]
+        };
+        setupLevel(world);
+        assert.deepEqual(world.testPads, [{ x: 480, y: BASE_HEIGHT / 2, radius: 10 }]);
+    });
+
+    it('predicts flights against every gravity source', () => {
+        const world = emptyWorld();
+        world.testPads = [{ x: world.player.x + 100, y: world.player.y, radius: 10 }];
+        const prediction = predictTrajectory(world, { dx: 0, dy: 0 }, 10);
+        assert.ok(prediction.points.at(-1).x < world.player.x);
+    });
+});
@@ -0,0 +1,9 @@
+// Shared test fixtures; not a test file itself (see the test script in package.json)
+const { BASE_HEIGHT, createWorld } = require('../simulation.js');
+
+// A world at base resolution (scale 1) with nothing in it yet
+function emptyWorld(options = {}) {
+    return createWorld({ width: 1920, height: BASE_HEIGHT, seed: 'TEST', ...options });
+}
+
+module.exports = { emptyWorld };
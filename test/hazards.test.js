@@ -0,0 +1,218 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    setupLevel,
+    updatePlayer,
+    checkCollisions,
+    predictTrajectory,
+    activatePowerUp,
+    getDistance,
+    findOpenSpot
+} = require('../simulation.js');
+const { SeededRandom } = require('../random.js');
+const {
+    BLACK_HOLE_HORIZON_RADIUS,
+    BLACK_HOLE_DISC_SCALE,
+    BLACK_HOLE_START_CLEARANCE,
+    WORMHOLE_RADIUS,
+    WORMHOLE_MIN_SEPARATION,
+    REPULSOR_RADIUS,
+    getHazardCount
+} = require('../hazards.js');
+const { createEmptyLevel, parseLevel } = require('../level-format.js');
+const { emptyWorld } = require('./fixtures.js');
+
+function flyingWorld(dx, dy) {
+    const world = emptyWorld();
+    Object.assign(world.player, { isMoving: true, dx, dy });
+    return world;
+}
+
+// Set up generated level `level` (the campaign is empty, so every level is generated)
+function generatedWorld(level, seed = 'TEST') {
+    const world = emptyWorld({ seed, startLevel: level });
+    setupLevel(world);
+    return world;
+}
+
+describe('black holes', () => {
+    it('pull far harder than a planet of the same size', () => {
+        const pulled = flyingWorld(0, 0);
+        const { x, y } = pulled.player;
+        pulled.blackHoles = [{ x: x + 200, y, radius: BLACK_HOLE_HORIZON_RADIUS }];
+        updatePlayer(pulled);
+
+        const byPlanet = flyingWorld(0, 0);
+        byPlanet.planets = [{ x: x + 200, y, radius: BLACK_HOLE_HORIZON_RADIUS }];
+        updatePlayer(byPlanet);
+
+        assert.ok(pulled.player.dx > byPlanet.player.dx * 10);
+    });
+
+    it('end the run at the event horizon, shield or not', () => {
+        const world = flyingWorld(1, 0);
+        const { x, y } = world.player;
+        activatePowerUp(world, 'shield');
+        world.blackHoles = [{ x, y, radius: BLACK_HOLE_HORIZON_RADIUS }];
+        assert.equal(checkCollisions(world), true);
+        assert.deepEqual(world.events.at(-1), { type: 'crash', cause: 'blackHole', x, y });
+    });
+});
+
+describe('wormholes', () => {
+    function pairedWorld(dx, dy) {
+        const world = flyingWorld(dx, dy);
+        const { x, y } = world.player;
+        world.wormholes = [
+            { x, y, radius: WORMHOLE_RADIUS, pair: 0 },
+            { x: 1500, y: 300, radius: WORMHOLE_RADIUS, pair: 0 }
+        ];
+        return world;
+    }
+
+    it('put the ship out of the other end with its momentum', () => {
+        const world = pairedWorld(3, 4);
+        assert.equal(checkCollisions(world), false);
+
+        const p = world.player;
+        assert.deepEqual({ dx: p.dx, dy: p.dy }, { dx: 3, dy: 4 });
+        assert.ok(getDistance(p, world.wormholes[1]) > WORMHOLE_RADIUS + p.radius);
+        assert.ok(p.x > 1500 && p.y > 300); // Ahead of the exit, along the velocity
+        assert.equal(world.events.at(-1).type, 'wormhole');
+    });
+
+    it('put the ship out beside the exit when straight ahead is blocked', () => {
+        const world = pairedWorld(3, 0);
+        const exit = world.wormholes[1];
+        const planet = { x: exit.x + 60, y: exit.y, radius: 30 };
+        world.planets = [planet];
+        assert.equal(checkCollisions(world), false);
+
+        const p = world.player;
+        assert.ok(getDistance(p, exit) < WORMHOLE_RADIUS * 2);
+        assert.ok(getDistance(p, planet) > planet.radius + p.radius);
+        assert.deepEqual({ dx: p.dx, dy: p.dy }, { dx: 3, dy: 0 });
+    });
+
+    it('never put the ship out past the edge of the world', () => {
+        const world = pairedWorld(0, -3);
+        Object.assign(world.wormholes[1], { x: 1500, y: WORMHOLE_RADIUS });
+        checkCollisions(world);
+        assert.ok(world.player.y > world.player.radius);
+    });
+
+    it('leave the ship where it is when every way out is blocked', () => {
+        const world = pairedWorld(3, 0);
+        const { x, y } = world.player;
+        world.planets = [{ x: 1500, y: 300, radius: 80 }];
+        checkCollisions(world);
+        assert.deepEqual({ x: world.player.x, y: world.player.y }, { x, y });
+        assert.equal(world.events.length, 0);
+    });
+
+    it('leave a ship at rest where it is', () => {
+        const world = pairedWorld(0, 0);
+        world.player.isMoving = false;
+        const { x, y } = world.player;
+        checkCollisions(world);
+        assert.deepEqual({ x: world.player.x, y: world.player.y }, { x, y });
+        assert.equal(world.events.length, 0);
+    });
+
+    it('take the predicted flight path through with them', () => {
+        const world = emptyWorld();
+        const { x, y } = world.player;
+        world.wormholes = [
+            { x: x + 100, y, radius: WORMHOLE_RADIUS, pair: 0 },
+            { x: 1500, y: 300, radius: WORMHOLE_RADIUS, pair: 0 }
+        ];
+        const prediction = predictTrajectory(world, { dx: 5, dy: 0 }, 60);
+        const exit = world.wormholes[1];
+        assert.ok(prediction.points.some(point => getDistance(point, exit) < WORMHOLE_RADIUS * 2));
+        assert.ok(prediction.points.every(point => point.x < x + 100 || point.x > 1400));
+        assert.deepEqual(world.player, emptyWorld().player);
+        assert.equal(world.events.length, 0);
+    });
+
+    it('are read from authored levels with their pair numbers', () => {
+        const level = parseLevel({
+            ...createEmptyLevel(),
+            wormholes: [{ x: 0.1, y: 0.1, pair: 0 }, { x: 0.9, y: 0.9, pair: 0 }]
+        });
+        assert.deepEqual(level.wormholes.map(w => w.pair), [0, 0]);
+        assert.throws(() => parseLevel({ ...level, wormholes: [{ x: 0.1, y: 0.1 }] }), /wormholes/);
+    });
+});
+
+describe('white dwarfs', () => {
+    it('push the ship away', () => {
+        const world = flyingWorld(0, 0);
+        world.repulsors = [{ x: world.player.x + 100, y: world.player.y, radius: REPULSOR_RADIUS }];
+        updatePlayer(world);
+        assert.ok(world.player.dx < 0);
+    });
+
+    it('bounce a shielded ship instead of ending the run', () => {
+        const world = flyingWorld(2, 0);
+        const { x, y } = world.player;
+        activatePowerUp(world, 'shield');
+        world.repulsors = [{ x: x + 10, y, radius: REPULSOR_RADIUS }];
+        assert.equal(checkCollisions(world), false);
+        assert.equal(world.repulsors.length, 1);
+        assert.equal(world.events.at(-1).cause, 'whiteDwarf');
+    });
+});
+
+describe('hazard generation', () => {
+    it('brings each hazard in at its own level and caps it', () => {
+        assert.deepEqual([1, 2, 3, 4].map(level => getHazardCount('repulsor', level)), [0, 1, 1, 1]);
+        assert.equal(getHazardCount('wormhole', 2), 0);
+        assert.equal(getHazardCount('blackHole', 3), 0);
+        assert.equal(getHazardCount('blackHole', 4), 1);
+        assert.equal(getHazardCount('blackHole', 100), 2);
+    });
+
+    it('leaves the first levels free of hazards', () => {
+        const world = generatedWorld(1);
+        assert.deepEqual([world.blackHoles, world.wormholes, world.repulsors], [[], [], []]);
+    });
+
+    it('keeps hazards apart, black holes far from the ship and wormhole ends far from each other', () => {
+        for (const seed of ['A', 'B', 'C', 'D']) {
+            const world = generatedWorld(12, seed);
+            const hazards = [...world.blackHoles, ...world.wormholes, ...world.repulsors];
+            assert.ok(hazards.length > 0);
+            hazards.forEach((a, i) => hazards.slice(i + 1).forEach(b => {
+                assert.ok(getDistance(a, b) > a.radius + b.radius);
+            }));
+            world.blackHoles.forEach(hole => {
+                assert.ok(getDistance(hole, world.player) >= BLACK_HOLE_START_CLEARANCE * world.scale);
+            });
+            assert.equal(world.wormholes.length % 2, 0);
+            for (let i = 0; i < world.wormholes.length; i += 2) {
+                const [entrance, exit] = world.wormholes.slice(i, i + 2);
+                assert.equal(entrance.pair, exit.pair);
+                assert.ok(getDistance(entrance, exit) >= WORMHOLE_MIN_SEPARATION * Math.max(world.width, world.height));
+            }
+        }
+    });
+
+    it('keeps later bodies out of a black hole\'s whole disc, not just its horizon', () => {
+        const world = emptyWorld({ campaignLevels: [parseLevel({ ...createEmptyLevel(), blackHoles: [{ x: 0.5, y: 0.5 }] })] });
+        setupLevel(world);
+        const [hole] = world.blackHoles;
+        const rng = new SeededRandom('DISC');
+        for (let i = 0; i < 200; i++) {
+            const spot = findOpenSpot(world, rng, 10, 0);
+            assert.ok(getDistance(spot, hole) >= BLACK_HOLE_HORIZON_RADIUS * BLACK_HOLE_DISC_SCALE + 10);
+        }
+    });
+
+    it('places the same hazards for the same seed', () => {
+        const first = generatedWorld(8);
+        const second = generatedWorld(8);
+        assert.deepEqual(second.blackHoles, first.blackHoles);
+        assert.deepEqual(second.wormholes, first.wormholes);
+        assert.deepEqual(second.repulsors, first.repulsors);
+    });
+});
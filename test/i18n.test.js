@@ -0,0 +1,40 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LANGUAGES, DEFAULT_LANGUAGE, TRANSLATIONS, setLanguage, t } = require('../i18n.js');
+
+// Names of the {placeholders} in a template, sorted
+function placeholdersOf(template) {
+    return (template.match(/\{\w+\}/g) || []).sort();
+}
+
+describe('translations', () => {
+    afterEach(() => setLanguage(DEFAULT_LANGUAGE));
+
+    it('has a table for every listed language with the same keys and placeholders as English', () => {
+        const english = TRANSLATIONS[DEFAULT_LANGUAGE];
+        for (const code of Object.keys(LANGUAGES)) {
+            const table = TRANSLATIONS[code];
+            assert.ok(table, `no translations for ${code}`);
+            assert.deepEqual(Object.keys(table).sort(), Object.keys(english).sort(), `${code} keys`);
+            for (const key of Object.keys(english)) {
+                assert.deepEqual(placeholdersOf(table[key]), placeholdersOf(english[key]), `${code} ${key}`);
+            }
+        }
+    });
+
+    it('fills in placeholders and leaves unknown ones alone', () => {
+        assert.equal(t('hud.score', { score: 120 }), 'Score: 120');
+        assert.equal(t('level.named', { level: 2 }), 'Level 2: {name}');
+    });
+
+    it('switches language and falls back to English for unknown codes', () => {
+        assert.equal(setLanguage('es'), 'es');
+        assert.equal(t('hud.score', { score: 5 }), 'Puntos: 5');
+        assert.equal(setLanguage('xx'), DEFAULT_LANGUAGE);
+        assert.equal(t('hud.score', { score: 5 }), 'Score: 5');
+    });
+
+    it('returns the key itself when nothing matches', () => {
+        assert.equal(t('no.such.key'), 'no.such.key');
+    });
+});
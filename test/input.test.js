@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    INPUT_ACTIONS,
+    BINDINGS_STORAGE_KEY,
+    createDefaultBindings,
+    sanitizeBindings,
+    loadBindings,
+    saveBindings,
+    getStickAngle,
+    InputManager
+} = require('../input.js');
+
+// Manager with default bindings that records every action it is offered;
+// consume decides which action names the "game" uses up
+function createRecordingManager(consume = []) {
+    const actions = [];
+    const manager = new InputManager(createDefaultBindings(), (action) => {
+        actions.push(`${action.name} ${action.phase}`);
+        return consume.includes(action.name);
+    });
+    return { manager, actions };
+}
+
+// Gamepad snapshot with the given buttons held and the left stick at (x, y)
+function gamepad(pressedButtons = [], x = 0, y = 0) {
+    return {
+        axes: [x, y],
+        buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressedButtons.includes(i), value: pressedButtons.includes(i) ? 1 : 0 }))
+    };
+}
+
+describe('InputManager', () => {
+    it('turns key presses into pressed and released actions, ignoring repeats', () => {
+        const { manager, actions } = createRecordingManager();
+        manager.keyDown('ArrowLeft');
+        manager.keyDown('ArrowLeft');
+        assert.ok(manager.isHeld('turnLeft'));
+        manager.keyUp('ArrowLeft');
+        assert.deepEqual(actions, ['turnLeft pressed', 'turnLeft released']);
+        assert.equal(manager.isHeld('turnLeft'), false);
+    });
+
+    it('matches letters regardless of case and reports unbound keys as nothing', () => {
+        const { manager, actions } = createRecordingManager();
+        assert.deepEqual(manager.keyDown('M').map(action => action.name), ['mute']);
+        assert.deepEqual(manager.keyDown('q'), []);
+        assert.deepEqual(actions, ['mute pressed']);
+    });
+
+    it('offers the actions of a shared key in order until one is used', () => {
+        const { manager, actions } = createRecordingManager(['pause']);
+        manager.keyDown('Escape');
+        assert.deepEqual(actions, ['pause pressed']);
+
+        const menu = createRecordingManager(['back']);
+        menu.manager.keyDown('Escape');
+        assert.deepEqual(menu.actions, ['pause pressed', 'back pressed']);
+    });
+
+    it('keeps an action held while any of its inputs is down', () => {
+        const { manager, actions } = createRecordingManager();
+        manager.keyDown(' ');
+        manager.pollGamepad(gamepad([7]));
+        manager.keyUp(' ');
+        assert.ok(manager.isHeld('charge'));
+        manager.pollGamepad(gamepad([]));
+        assert.deepEqual(actions.filter(action => action.startsWith('charge')), ['charge pressed', 'charge released']);
+    });
+
+    it('fires gamepad buttons on the poll where they change and reports the stick angle', () => {
+        const { manager, actions } = createRecordingManager();
+        manager.pollGamepad(gamepad([9]));
+        manager.pollGamepad(gamepad([9]));
+        manager.pollGamepad(gamepad([], 0, -1));
+        assert.deepEqual(actions, ['pause pressed', 'pause released', 'aim moved']);
+    });
+
+    it('rebinds from the next key and cancels with Escape', () => {
+        const { manager, actions } = createRecordingManager();
+        let captured;
+        manager.captureNext('keyboard', (code) => { captured = code; });
+        manager.keyDown('X');
+        assert.equal(captured, 'x');
+        assert.deepEqual(actions, []);
+
+        manager.bind('keyboard', 'launch', captured);
+        manager.keyDown('x');
+        assert.deepEqual(actions, ['launch pressed']);
+
+        manager.captureNext('keyboard', (code) => { captured = code; });
+        manager.keyDown('Escape');
+        assert.equal(captured, null);
+    });
+
+    it('rebinds gamepad buttons from the next new press', () => {
+        const { manager } = createRecordingManager();
+        let captured;
+        manager.pollGamepad(gamepad([0]));
+        manager.captureNext('gamepad', (code) => { captured = code; });
+        manager.pollGamepad(gamepad([0]));
+        assert.equal(captured, undefined);
+        manager.pollGamepad(gamepad([0, 3]));
+        assert.equal(captured, 3);
+    });
+});
+
+describe('bindings', () => {
+    it('binds every action on both devices by default', () => {
+        const bindings = createDefaultBindings();
+        for (const action of INPUT_ACTIONS) {
+            assert.ok(Array.isArray(bindings.keyboard[action]), `keyboard ${action}`);
+            assert.ok(Array.isArray(bindings.gamepad[action]), `gamepad ${action}`);
+        }
+    });
+
+    it('replaces malformed or missing bindings with the defaults', () => {
+        const defaults = createDefaultBindings();
+        const bindings = sanitizeBindings({
+            version: defaults.version,
+            keyboard: { launch: ['l'], pause: [42] },
+            gamepad: { launch: [2], back: ['B'] }
+        });
+        assert.deepEqual(bindings.keyboard.launch, ['l']);
+        assert.deepEqual(bindings.keyboard.pause, defaults.keyboard.pause);
+        assert.deepEqual(bindings.gamepad.launch, [2]);
+        assert.deepEqual(bindings.gamepad.back, defaults.gamepad.back);
+        assert.deepEqual(bindings.keyboard.charge, defaults.keyboard.charge);
+        assert.deepEqual(sanitizeBindings({ version: 0 }), defaults);
+    });
+
+    it('round-trips through storage', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const items = {};
+        const storage = { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+        const bindings = createDefaultBindings();
+        bindings.keyboard.launch = ['Enter'];
+        assert.ok(saveBindings(bindings, storage));
+        assert.deepEqual(loadBindings(storage), bindings);
+
+        items[BINDINGS_STORAGE_KEY] = 'nope';
+        assert.deepEqual(loadBindings(storage), createDefaultBindings());
+    });
+
+    it('falls back to the defaults when localStorage is blocked', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        globalThis.window = {
+            get localStorage() { throw new Error('SecurityError: The operation is insecure.'); }
+        };
+        t.after(() => { delete globalThis.window; });
+        assert.deepEqual(loadBindings(), createDefaultBindings());
+        assert.equal(saveBindings(createDefaultBindings()), false);
+    });
+});
+
+describe('getStickAngle', () => {
+    it('reads stick angles outside the deadzone only', () => {
+        assert.equal(getStickAngle(0.1, -0.1), null);
+        assert.equal(getStickAngle(1, 0), 0);
+        assert.ok(Math.abs(getStickAngle(0, -1) + Math.PI / 2) < 1e-9);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateScoreSubmission,
+    parseListQuery,
+    createRateLimiter
+} = require('../leaderboard.js');
+
+function submission(overrides = {}) {
+    return { name: 'Ada', score: 1200, level: 3, mode: 'normal', seed: 'ABC123', fixedDifficulty: true, ...overrides };
+}
+
+describe('validateScoreSubmission', () => {
+    it('accepts a well-formed score and trims the name', () => {
+        const { value, error } = validateScoreSubmission(submission({ name: '  Ada  ' }));
+        assert.equal(error, undefined);
+        assert.deepEqual(value, { name: 'Ada', score: 1200, level: 3, mode: 'normal', seed: 'ABC123', fixedDifficulty: true });
+    });
+
+    it('stores a missing seed as null', () => {
+        assert.equal(validateScoreSubmission(submission({ seed: undefined })).value.seed, null);
+    });
+
+    it('counts a score without fixedDifficulty as played at fixed difficulty', () => {
+        assert.equal(validateScoreSubmission(submission({ fixedDifficulty: undefined })).value.fixedDifficulty, true);
+        assert.equal(validateScoreSubmission(submission({ fixedDifficulty: false })).value.fixedDifficulty, false);
+    });
+
+    it('rejects a missing body', () => {
+        assert.match(validateScoreSubmission(null).error, /JSON body/);
+        assert.match(validateScoreSubmission('Ada').error, /JSON body/);
+    });
+
+    it('rejects each malformed field', () => {
+        const rejected = [
+            [{ name: '' }, /Name/],
+            [{ name: 'x'.repeat(17) }, /Name/],
+            [{ name: '<script>' }, /Name/],
+            [{ score: -1 }, /Score/],
+            [{ score: 1.5 }, /Score/],
+            [{ score: '100' }, /Score/],
+            [{ score: 2e9 }, /Score/],
+            [{ level: 0 }, /Level/],
+            [{ level: 1001 }, /Level/],
+            [{ mode: 'insane' }, /Mode/],
+            [{ seed: 'abc' }, /Seed/],
+            [{ seed: 42 }, /Seed/],
+            [{ fixedDifficulty: 'true' }, /fixedDifficulty/]
+        ];
+        for (const [overrides, message] of rejected) {
+            const { value, error } = validateScoreSubmission(submission(overrides));
+            assert.equal(value, undefined, JSON.stringify(overrides));
+            assert.match(error, message, JSON.stringify(overrides));
+        }
+    });
+});
+
+describe('parseListQuery', () => {
+    it('defaults to the top 10 of everything', () => {
+        assert.deepEqual(parseListQuery({}), { value: { limit: 10 } });
+    });
+
+    it('reads each filter and caps the limit', () => {
+        const { value } = parseListQuery({
+            mode: 'hard', fixedDifficulty: 'false', level: '4',
+            since: '2024-01-01', until: '2024-12-31', limit: '500'
+        });
+        assert.deepEqual(value, {
+            mode: 'hard',
+            fixedDifficulty: false,
+            level: 4,
+            since: Date.parse('2024-01-01'),
+            until: Date.parse('2024-12-31'),
+            limit: 100
+        });
+    });
+
+    it('rejects filters it cannot read', () => {
+        const rejected = [
+            [{ mode: 'insane' }, /Mode/],
+            [{ fixedDifficulty: 'yes' }, /fixedDifficulty/],
+            [{ level: '0' }, /Level/],
+            [{ level: 'two' }, /Level/],
+            [{ since: 'yesterday' }, /since/],
+            [{ until: 'soon' }, /until/],
+            [{ limit: '-5' }, /Limit/],
+            [{ limit: '2.5' }, /Limit/]
+        ];
+        for (const [query, message] of rejected) {
+            const { value, error } = parseListQuery(query);
+            assert.equal(value, undefined, JSON.stringify(query));
+            assert.match(error, message, JSON.stringify(query));
+        }
+    });
+});
+
+describe('createRateLimiter', () => {
+    // Run one request through the limiter; returns whether it got through and the response
+    function send(limiter, ip) {
+        const res = {
+            headers: {},
+            statusCode: null,
+            set(name, value) { this.headers[name] = value; return this; },
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        let passed = false;
+        limiter({ ip }, res, () => { passed = true; });
+        return { passed, res };
+    }
+
+    it('lets up to max requests through per window and then refuses with Retry-After', (t) => {
+        let now = 1000000;
+        t.mock.method(Date, 'now', () => now);
+        const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+
+        assert.ok(send(limiter, '1.1.1.1').passed);
+        assert.ok(send(limiter, '1.1.1.1').passed);
+        now += 15000;
+        const refused = send(limiter, '1.1.1.1');
+        assert.equal(refused.passed, false);
+        assert.equal(refused.res.statusCode, 429);
+        assert.equal(refused.res.headers['Retry-After'], 45);
+
+        // Each client has its own window
+        assert.ok(send(limiter, '2.2.2.2').passed);
+    });
+
+    it('starts a fresh window once the old one has passed', (t) => {
+        let now = 1000000;
+        t.mock.method(Date, 'now', () => now);
+        const limiter = createRateLimiter({ windowMs: 60000, max: 1 });
+
+        assert.ok(send(limiter, '1.1.1.1').passed);
+        now += 59999;
+        assert.equal(send(limiter, '1.1.1.1').passed, false);
+        now += 1;
+        assert.ok(send(limiter, '1.1.1.1').passed);
+        assert.equal(send(limiter, '1.1.1.1').passed, false);
+    });
+});
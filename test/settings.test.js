@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    SETTINGS_STORAGE_KEY,
+    DRAG_SENSITIVITY_MIN,
+    DRAG_SENSITIVITY_MAX,
+    createDefaultSettings,
+    sanitizeSettings,
+    loadSettings,
+    saveSettings
+} = require('../settings.js');
+
+// Just enough of localStorage for the settings functions
+function createMemoryStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        getItem: (key) => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+describe('sanitizeSettings', () => {
+    it('falls back to the defaults for missing data or another schema version', () => {
+        assert.deepEqual(sanitizeSettings(null), createDefaultSettings());
+        assert.deepEqual(sanitizeSettings({ version: 0, muted: true }), createDefaultSettings());
+    });
+
+    it('clamps numbers into range and replaces values of the wrong type', () => {
+        const settings = sanitizeSettings({
+            version: createDefaultSettings().version,
+            volumes: { master: 3, music: -1, sfx: 'loud' },
+            muted: 'yes',
+            effectIntensity: 0.25,
+            dragSensitivity: 10,
+            showTrajectory: false,
+            showFps: true,
+            language: 'fr',
+            highContrast: 1,
+            colorPalette: 'redGreen',
+            reducedMotion: true
+        });
+        assert.deepEqual(settings.volumes, { master: 1, music: 0, sfx: createDefaultSettings().volumes.sfx });
+        assert.equal(settings.muted, false);
+        assert.equal(settings.effectIntensity, 0.25);
+        assert.equal(settings.dragSensitivity, DRAG_SENSITIVITY_MAX);
+        assert.equal(settings.showTrajectory, false);
+        assert.equal(settings.showFps, true);
+        assert.equal(settings.language, 'fr');
+        assert.equal(settings.highContrast, false);
+        assert.equal(settings.colorPalette, 'redGreen');
+        assert.equal(settings.reducedMotion, true);
+
+        const slow = sanitizeSettings({ ...createDefaultSettings(), dragSensitivity: 0 });
+        assert.equal(slow.dragSensitivity, DRAG_SENSITIVITY_MIN);
+    });
+});
+
+describe('loadSettings / saveSettings', () => {
+    it('round-trips through storage', () => {
+        const storage = createMemoryStorage();
+        const settings = { ...createDefaultSettings(), showFps: true, language: 'es' };
+        assert.ok(saveSettings(settings, storage));
+        assert.deepEqual(loadSettings(storage), settings);
+    });
+
+    it('returns the defaults for empty or corrupt storage', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        assert.deepEqual(loadSettings(createMemoryStorage()), createDefaultSettings());
+        assert.deepEqual(loadSettings(createMemoryStorage({ [SETTINGS_STORAGE_KEY]: '{not json' })), createDefaultSettings());
+    });
+
+    it('reports a failed save instead of throwing', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const fullStorage = { setItem: () => { throw new Error('QuotaExceededError'); } };
+        assert.equal(saveSettings(createDefaultSettings(), fullStorage), false);
+    });
+
+    it('copes with a browser that blocks localStorage altogether', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        globalThis.window = {
+            get localStorage() { throw new Error('SecurityError: The operation is insecure.'); }
+        };
+        t.after(() => { delete globalThis.window; });
+        assert.deepEqual(loadSettings(), createDefaultSettings());
+        assert.equal(saveSettings(createDefaultSettings()), false);
+    });
+});
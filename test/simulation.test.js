@@ -0,0 +1,1000 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SeededRandom } = require('../random.js');
+const { LEVEL_FORMAT_VERSION, parseLevel } = require('../level-format.js');
+const { createDifficultyState } = require('../difficulty.js');
+const {
+    BASE_HEIGHT,
+    GRAVITY,
+    NEAR_MISS_DISTANCE,
+    POWER_UP_KINDS,
+    SLOW_MOTION_FACTOR,
+    MAGNET_RANGE,
+    BOOST_SPEED_MULTIPLIER,
+    FUEL_CAPACITY,
+    FUEL_BURN_PER_TICK,
+    THRUST_ACCELERATION,
+    FUEL_PICKUP_AMOUNT,
+    LANDING_MAX_SPEED,
+    ORBIT_CAPTURE_MAX_SPEED,
+    NEAR_MISS_SCORE,
+    SLINGSHOT_RANGE,
+    SLINGSHOT_MIN_SPEED_GAIN,
+    SLINGSHOT_SCORE_PER_SPEED_GAIN,
+    COMBO_STEP,
+    COMBO_MAX,
+    COMBO_HOLD_TICKS,
+    FLIGHT_SCORE_INTERVAL_TICKS,
+    SCORE_SOURCES,
+    WORLD_BASE_SCREENS,
+    WORLD_MAX_SCREENS,
+    COMET_START_LEVEL,
+    COMET_FIRST_WAVE_TICKS,
+    COMET_MAX_WAVE_SIZE,
+    COMET_WARNING_TICKS,
+    COMET_STAGGER_TICKS,
+    BASE_PLANET_COUNT,
+    PLANET_COUNT_PER_LEVEL,
+    SpatialGrid,
+    areColliding,
+    areCollidingOptimized,
+    setupLevel,
+    getGeneratedWorldScreens,
+    getOrbitCentre,
+    launchPlayer,
+    setThrust,
+    isThrusting,
+    stepWorld,
+    updatePlayer,
+    checkCollisions,
+    getLandingOutcome,
+    predictTrajectory,
+    checkNearMisses,
+    checkSlingshots,
+    awardSkillPoints,
+    isPowerUpActive,
+    getPowerUpKindsForLevel,
+    activatePowerUp,
+    getLevelScoreThreshold,
+    getCometWaveInterval,
+    getCometWaveSize,
+    checkLevelCompletion
+} = require('../simulation.js');
+const { emptyWorld } = require('./fixtures.js');
+
+function makeLevel(overrides = {}) {
+    return parseLevel({
+        version: LEVEL_FORMAT_VERSION,
+        name: 'Test',
+        start: { x: 0.5, y: 0.5 },
+        planets: [],
+        comets: [],
+        stars: [],
+        powerUps: [],
+        fuelPickups: [],
+        blackHoles: [],
+        wormholes: [],
+        repulsors: [],
+        nBody: false,
+        goals: { score: 500 },
+        par: [500, 600, 700],
+        ...overrides
+    });
+}
+
+describe('SpatialGrid', () => {
+    // 3 x 1 cells; the last column sticks out past the grid's width
+    const createGrid = () => new SpatialGrid(250, 100, 100);
+    const occupiedCells = grid => grid.grid.map((cell, i) => (cell.length > 0 ? i : -1)).filter(i => i >= 0);
+
+    it('rounds partial cells up', () => {
+        const grid = createGrid();
+        assert.equal(grid.cols, 3);
+        assert.equal(grid.rows, 1);
+        assert.equal(grid.grid.length, 3);
+    });
+
+    it('maps points on and past the edges to cells or -1', () => {
+        const grid = createGrid();
+        assert.equal(grid.getCell(0, 0), 0);
+        assert.equal(grid.getCell(99.99, 99.99), 0);
+        assert.equal(grid.getCell(100, 0), 1);
+        assert.equal(grid.getCell(299.99, 50), 2);
+        assert.equal(grid.getCell(300, 50), -1);
+        assert.equal(grid.getCell(-0.01, 50), -1);
+        assert.equal(grid.getCell(50, 100), -1);
+        assert.equal(grid.getCell(50, -0.01), -1);
+    });
+
+    it('puts an entity at the origin in the first cell only', () => {
+        const grid = createGrid();
+        grid.insert({ x: 0, y: 0, radius: 10 });
+        assert.deepEqual(occupiedCells(grid), [0]);
+    });
+
+    it('clamps entities hanging over the edges into the border cells', () => {
+        const grid = createGrid();
+        grid.insert({ x: -5, y: -5, radius: 10 });
+        grid.insert({ x: 250, y: 100, radius: 1 });
+        assert.deepEqual(occupiedCells(grid), [0, 2]);
+    });
+
+    it('ignores entities entirely outside the grid', () => {
+        const grid = createGrid();
+        grid.insert({ x: 400, y: 50, radius: 10 });
+        grid.insert({ x: -50, y: 50, radius: 10 });
+        grid.insert({ x: 50, y: 250, radius: 10 });
+        assert.deepEqual(occupiedCells(grid), []);
+        assert.deepEqual(grid.getNearbyEntities({ x: 400, y: 50, radius: 10 }), []);
+    });
+
+    it('files an entity on a cell boundary in both cells', () => {
+        const grid = createGrid();
+        const planet = { x: 100, y: 50, radius: 5 };
+        grid.insert(planet);
+        assert.deepEqual(occupiedCells(grid), [0, 1]);
+        assert.deepEqual(grid.getNearbyEntities({ x: 150, y: 50, radius: 1 }), [planet]);
+    });
+
+    it('returns each nearby entity once even when it spans several cells', () => {
+        const grid = createGrid();
+        const big = { x: 125, y: 50, radius: 120 };
+        grid.insert(big);
+        assert.deepEqual(grid.getNearbyEntities({ x: 150, y: 50, radius: 100 }), [big]);
+    });
+
+    it('forgets everything on clear', () => {
+        const grid = createGrid();
+        grid.insert({ x: 50, y: 50, radius: 10 });
+        grid.clear();
+        assert.deepEqual(occupiedCells(grid), []);
+    });
+});
+
+describe('collision checks', () => {
+    it('agree between areColliding and areCollidingOptimized', () => {
+        const rng = new SeededRandom(12345);
+        for (let i = 0; i < 5000; i++) {
+            const a = { x: rng.range(0, 200), y: rng.range(0, 200), radius: rng.range(0, 50) };
+            const b = { x: rng.range(0, 200), y: rng.range(0, 200), radius: rng.range(0, 50) };
+            assert.equal(areCollidingOptimized(a, b), areColliding(a, b), JSON.stringify({ a, b }));
+        }
+    });
+
+    it('agree on the edge cases', () => {
+        const cases = [
+            [{ x: 0, y: 0, radius: 10 }, { x: 20, y: 0, radius: 10 }], // Exactly touching
+            [{ x: 0, y: 0, radius: 10 }, { x: 19.999, y: 0, radius: 10 }], // Just overlapping
+            [{ x: 0, y: 0, radius: 10 }, { x: 14.2, y: 14.2, radius: 10 }], // Inside the AABB, outside the circle
+            [{ x: 5, y: 5, radius: 10 }, { x: 5, y: 5, radius: 3 }], // Concentric
+            [{ x: 5, y: 5, radius: 0 }, { x: 5, y: 5, radius: 0 }] // Zero size
+        ];
+        const expected = [false, true, false, true, false];
+        cases.forEach(([a, b], i) => {
+            assert.equal(areColliding(a, b), expected[i], `case ${i}`);
+            assert.equal(areCollidingOptimized(a, b), expected[i], `case ${i}`);
+        });
+    });
+});
+
+describe('updatePlayer gravity', () => {
+    function worldWithPlanets(planets, options) {
+        const world = emptyWorld(options);
+        world.player.isMoving = true;
+        world.planets = planets.map(p => ({ dx: 0, dy: 0, ...p }));
+        return world;
+    }
+
+    it('pulls the ship towards a planet by GRAVITY * radius / distance squared', () => {
+        const world = worldWithPlanets([{ x: 0, y: 0, radius: 40 }]);
+        world.planets[0].x = world.player.x + 100;
+        world.planets[0].y = world.player.y;
+        const startX = world.player.x;
+
+        updatePlayer(world);
+
+        const expected = 100 * (GRAVITY * 40 / (100 * 100));
+        assert.ok(Math.abs(world.player.dx - expected) < 1e-12);
+        assert.equal(world.player.dy, 0);
+        // Velocity is applied before moving (semi-implicit Euler)
+        assert.ok(Math.abs(world.player.x - (startX + expected)) < 1e-9);
+    });
+
+    it('keeps accelerating over consecutive ticks', () => {
+        const world = worldWithPlanets([{ x: 0, y: 0, radius: 40 }]);
+        world.planets[0].x = world.player.x + 100;
+        world.planets[0].y = world.player.y;
+
+        updatePlayer(world);
+        const firstDx = world.player.dx;
+        updatePlayer(world);
+        // Closer now, so the second pull is stronger than the first
+        assert.ok(world.player.dx - firstDx > firstDx);
+    });
+
+    it('cancels out between two identical planets on either side', () => {
+        const world = worldWithPlanets([{ x: 0, y: 0, radius: 30 }, { x: 0, y: 0, radius: 30 }]);
+        world.planets[0].x = world.player.x - 80;
+        world.planets[0].y = world.player.y;
+        world.planets[1].x = world.player.x + 80;
+        world.planets[1].y = world.player.y;
+
+        updatePlayer(world);
+        assert.ok(Math.abs(world.player.dx) < 1e-12);
+        assert.equal(world.player.dy, 0);
+    });
+
+    it('scales the pull with the world size', () => {
+        const pullAt = height => {
+            const world = worldWithPlanets([{ x: 0, y: 0, radius: 40 }], { height });
+            world.planets[0].x = world.player.x;
+            world.planets[0].y = world.player.y + 100;
+            updatePlayer(world);
+            return world.player.dy;
+        };
+        assert.ok(Math.abs(pullAt(BASE_HEIGHT / 2) - pullAt(BASE_HEIGHT) / 2) < 1e-12);
+    });
+
+    it('ignores a planet sitting exactly on the ship', () => {
+        const world = worldWithPlanets([{ x: 0, y: 0, radius: 40 }]);
+        world.planets[0].x = world.player.x;
+        world.planets[0].y = world.player.y;
+        updatePlayer(world);
+        assert.equal(world.player.dx, 0);
+        assert.equal(world.player.dy, 0);
+    });
+
+    it('counts flight time and score only while moving', () => {
+        const world = worldWithPlanets([{ x: 100, y: 100, radius: 40 }]);
+        world.player.isMoving = false;
+        const { x, y } = world.player;
+
+        updatePlayer(world);
+        assert.deepEqual([world.player.x, world.player.y, world.score, world.runStats.flightTicks], [x, y, 0, 0]);
+
+        world.player.isMoving = true;
+        updatePlayer(world);
+        assert.equal(world.runStats.flightTicks, 1);
+        assert.equal(world.score, 0);
+
+        // Drifting only earns a token point now and then
+        for (let i = 1; i < FLIGHT_SCORE_INTERVAL_TICKS; i++) {
+            updatePlayer(world);
+        }
+        assert.equal(world.score, 1);
+        assert.equal(world.scoreBreakdown.flight, 1);
+    });
+});
+
+describe('near misses', () => {
+    // Ship moving, one still planet of radius 40; gap is measured surface to surface
+    function flyby() {
+        const world = emptyWorld();
+        world.player.isMoving = true;
+        world.planets = [{ x: 500, y: 500, radius: 40, dx: 0, dy: 0 }];
+        const placeShipAtGap = gap => {
+            world.player.x = 500 + 40 + world.player.radius + gap;
+            world.player.y = 500;
+        };
+        return { world, placeShipAtGap };
+    }
+
+    it('reports the closest gap once the ship pulls away', () => {
+        const { world, placeShipAtGap } = flyby();
+        for (const gap of [50, 20, 6, 12, 29]) {
+            placeShipAtGap(gap);
+            checkNearMisses(world);
+        }
+        assert.deepEqual(world.events, []);
+
+        placeShipAtGap(31);
+        checkNearMisses(world);
+        assert.equal(world.events.length, 1);
+        assert.equal(world.events[0].type, 'nearMiss');
+        assert.ok(Math.abs(world.events[0].clearance - 6) < 1e-9);
+
+        // Only once per pass
+        checkNearMisses(world);
+        assert.equal(world.events.length, 1);
+    });
+
+    it('ignores planets the ship never got close to', () => {
+        const { world, placeShipAtGap } = flyby();
+        placeShipAtGap(NEAR_MISS_DISTANCE + 1);
+        checkNearMisses(world);
+        placeShipAtGap(200);
+        checkNearMisses(world);
+        assert.deepEqual(world.events, []);
+    });
+
+    it('does not count the ship waiting next to a planet before launch', () => {
+        const { world, placeShipAtGap } = flyby();
+        world.player.isMoving = false;
+        placeShipAtGap(5);
+        checkNearMisses(world);
+        placeShipAtGap(100);
+        checkNearMisses(world);
+        assert.deepEqual(world.events, []);
+    });
+});
+
+describe('power-ups', () => {
+    // Nothing spawns on its own: pickups and hazards are placed by each test
+    function quietWorld() {
+        const world = emptyWorld();
+        world.levelDefinition = makeLevel();
+        return world;
+    }
+
+    it('are picked up through the collision check and start their timer', () => {
+        const world = quietWorld();
+        const { x, y } = world.player;
+        world.powerUps = [{ x: x + 10, y, radius: 14, kind: 'magnet' }, { x: x + 300, y, radius: 14, kind: 'boost' }];
+
+        assert.equal(checkCollisions(world), false);
+        assert.deepEqual(world.events, [{ type: 'powerUpCollected', kind: 'magnet', x: x + 10, y }]);
+        assert.equal(world.activePowerUps.magnet, POWER_UP_KINDS.magnet.duration);
+        assert.deepEqual(world.powerUps.map(u => u.kind), ['boost']);
+    });
+
+    it('run out after their duration', () => {
+        const world = quietWorld();
+        activatePowerUp(world, 'boost');
+        for (let tick = 1; tick < POWER_UP_KINDS.boost.duration; tick++) {
+            assert.deepEqual(stepWorld(world), []);
+        }
+        assert.ok(isPowerUpActive(world, 'boost'));
+        assert.deepEqual(stepWorld(world), [{ type: 'powerUpExpired', kind: 'boost' }]);
+        assert.ok(!isPowerUpActive(world, 'boost'));
+    });
+
+    it('let the shield take one planet hit, bouncing the ship back out', () => {
+        const world = quietWorld();
+        const p = world.player;
+        world.planets = [{ x: p.x + 50, y: p.y, radius: 40, dx: 0, dy: 0 }];
+        p.dx = 5; // Too fast to land
+        activatePowerUp(world, 'shield');
+
+        assert.equal(checkCollisions(world), false);
+        assert.equal(world.events[0].type, 'shieldHit');
+        assert.equal(world.events[0].cause, 'planet');
+        assert.ok(!isPowerUpActive(world, 'shield'));
+        assert.equal(p.dx, -5);
+        assert.ok(!areColliding(p, world.planets[0]));
+
+        p.x += 5;
+        assert.equal(checkCollisions(world), true);
+        assert.equal(world.events.at(-1).type, 'crash');
+    });
+
+    it('let the shield destroy a comet', () => {
+        const world = quietWorld();
+        world.comets = [{ x: world.player.x, y: world.player.y + 20, dx: 0, dy: 0, radius: 15 }];
+        activatePowerUp(world, 'shield');
+
+        assert.equal(checkCollisions(world), false);
+        assert.equal(world.events[0].cause, 'comet');
+        assert.deepEqual(world.comets, []);
+    });
+
+    it('pull stars in range towards the ship with the magnet', () => {
+        const world = quietWorld();
+        const { x, y } = world.player;
+        world.collectableStars = [
+            { x: x + 100, y, radius: 10 },
+            { x: x + MAGNET_RANGE + 50, y, radius: 10 }
+        ];
+        activatePowerUp(world, 'magnet');
+        stepWorld(world);
+        assert.ok(world.collectableStars[0].x < x + 100);
+        assert.equal(world.collectableStars[1].x, x + MAGNET_RANGE + 50);
+    });
+
+    it('slow planets down and speed the ship up', () => {
+        const world = quietWorld();
+        world.planets = [{ x: 100, y: 100, radius: 20, dx: 1, dy: 0 }];
+        world.player.isMoving = true;
+        world.player.dx = 2;
+        const shipX = world.player.x;
+        activatePowerUp(world, 'slowMotion');
+        activatePowerUp(world, 'boost');
+
+        stepWorld(world);
+        assert.equal(world.planets[0].x, 100 + SLOW_MOTION_FACTOR);
+        assert.ok(Math.abs(world.player.x - (shipX + world.player.dx * BOOST_SPEED_MULTIPLIER)) < 1e-9);
+    });
+
+    it('spawn more kinds on later levels', () => {
+        assert.deepEqual(getPowerUpKindsForLevel(1), ['magnet', 'boost']);
+        assert.deepEqual(getPowerUpKindsForLevel(3), ['shield', 'slowMotion', 'magnet', 'boost']);
+    });
+
+    it('come from the level file on authored levels, skipping unknown kinds', () => {
+        const level = makeLevel({ powerUps: [{ x: 0.25, y: 0.5, kind: 'shield' }, { x: 0.75, y: 0.5, kind: 'teleport' }] });
+        const world = emptyWorld({ campaignLevels: [level] });
+        setupLevel(world);
+        assert.deepEqual(world.powerUps.map(u => [u.x, u.kind]), [[480, 'shield']]);
+    });
+
+    it('are left off levels saved before there were any', () => {
+        const level = makeLevel({ version: 2, powerUps: undefined });
+        assert.equal(level.version, LEVEL_FORMAT_VERSION);
+        assert.deepEqual(level.powerUps, []);
+    });
+});
+
+describe('thrust and fuel', () => {
+    function flyingWorld() {
+        const world = emptyWorld();
+        world.levelDefinition = makeLevel(); // Nothing spawns
+        world.player.isMoving = true;
+        return world;
+    }
+
+    it('accelerates along the thrust angle and burns fuel', () => {
+        const world = flyingWorld();
+        setThrust(world, Math.PI / 2);
+        assert.ok(isThrusting(world));
+
+        updatePlayer(world);
+        assert.ok(Math.abs(world.player.dx) < 1e-12);
+        assert.ok(Math.abs(world.player.dy - THRUST_ACCELERATION) < 1e-12);
+        assert.equal(world.player.fuel, FUEL_CAPACITY - FUEL_BURN_PER_TICK);
+
+        setThrust(world, null);
+        updatePlayer(world);
+        assert.ok(Math.abs(world.player.dy - THRUST_ACCELERATION) < 1e-12);
+    });
+
+    it('does nothing before launch', () => {
+        const world = flyingWorld();
+        world.player.isMoving = false;
+        setThrust(world, 0);
+        updatePlayer(world);
+        assert.equal(world.player.dx, 0);
+        assert.equal(world.player.fuel, FUEL_CAPACITY);
+    });
+
+    it('reports once when the tank runs dry and then stops pushing', () => {
+        const world = flyingWorld();
+        world.player.fuel = FUEL_BURN_PER_TICK;
+        setThrust(world, 0);
+
+        updatePlayer(world);
+        assert.deepEqual(world.events, [{ type: 'fuelEmpty' }]);
+        assert.ok(!isThrusting(world));
+        const dx = world.player.dx;
+        updatePlayer(world);
+        assert.equal(world.player.dx, dx);
+        assert.equal(world.events.length, 1);
+    });
+
+    it('refills from fuel pickups up to a full tank', () => {
+        const world = flyingWorld();
+        const { x, y } = world.player;
+        world.player.fuel = FUEL_CAPACITY - FUEL_PICKUP_AMOUNT / 2;
+        world.fuelPickups = [{ x, y: y + 10, radius: 12 }];
+
+        checkCollisions(world);
+        assert.equal(world.player.fuel, FUEL_CAPACITY);
+        assert.deepEqual(world.fuelPickups, []);
+        assert.deepEqual(world.events, [{ type: 'fuelCollected', x, y: y + 10 }]);
+    });
+
+    it('starts every level with a full tank', () => {
+        const world = emptyWorld();
+        world.player.fuel = 0;
+        setupLevel(world);
+        assert.equal(world.player.fuel, FUEL_CAPACITY);
+        assert.equal(world.player.thrustAngle, null);
+    });
+});
+
+describe('landing and orbit', () => {
+    // Ship just touching a still planet of radius 40 from its right, flying at (dx, dy)
+    function touchdown(dx, dy) {
+        const world = emptyWorld();
+        world.levelDefinition = makeLevel(); // Nothing spawns
+        world.planets = [{ x: 500, y: 500, radius: 40, dx: 0, dy: 0 }];
+        Object.assign(world.player, { x: 500 + 40 + world.player.radius - 1, y: 500, dx, dy, isMoving: true });
+        return world;
+    }
+
+    it('tells landings, orbits and crashes apart by approach speed and angle', () => {
+        const planet = { x: 0, y: 0, dx: 0, dy: 0 };
+        const ship = (dx, dy) => ({ x: 60, y: 0, dx, dy });
+        assert.equal(getLandingOutcome(ship(-LANDING_MAX_SPEED, 0), planet, 1), 'landed');
+        assert.equal(getLandingOutcome(ship(-0.5, ORBIT_CAPTURE_MAX_SPEED - 0.5), planet, 1), 'orbit');
+        assert.equal(getLandingOutcome(ship(-LANDING_MAX_SPEED - 1, 0.5), planet, 1), null);
+        assert.equal(getLandingOutcome(ship(0, ORBIT_CAPTURE_MAX_SPEED + 1), planet, 1), null);
+        // Speeds are relative to the planet
+        assert.equal(getLandingOutcome(ship(-LANDING_MAX_SPEED - 1, 0), { ...planet, dx: -2 }, 1), 'landed');
+    });
+
+    it('parks a slow ship on the surface instead of crashing', () => {
+        const world = touchdown(-1, 0);
+        assert.equal(checkCollisions(world), false);
+        assert.equal(world.events[0].type, 'landed');
+        assert.equal(world.player.isMoving, false);
+        assert.ok(!areColliding(world.player, world.planets[0]));
+
+        // It rides along with the planet and is safe from it while parked
+        world.planets[0].x += 10;
+        stepWorld(world);
+        assert.equal(world.player.x, 510 + 40 + world.player.radius + 2);
+        assert.ok(!world.events.some(e => e.type === 'crash'));
+    });
+
+    it('still crashes a fast approach', () => {
+        const world = touchdown(-LANDING_MAX_SPEED - 1, 0);
+        assert.equal(checkCollisions(world), true);
+        assert.equal(world.events[0].type, 'crash');
+    });
+
+    it('carries a glancing ship around the planet in orbit', () => {
+        const world = touchdown(-1, ORBIT_CAPTURE_MAX_SPEED - 1);
+        checkCollisions(world);
+        assert.equal(world.events[0].type, 'orbitCaptured');
+
+        const angle = world.player.anchor.angle;
+        stepWorld(world);
+        assert.ok(world.player.anchor.angle > angle);
+        assert.ok(Math.abs(getDistanceToCentre(world) - (40 + world.player.radius + 25)) < 1e-9);
+    });
+
+    it('launches again from the planet without counting take-off as a near miss', () => {
+        const world = touchdown(-1, 0);
+        checkCollisions(world);
+        launchPlayer(world, 0, 5);
+        assert.equal(world.player.anchor, null);
+        for (let i = 0; i < 30; i++) {
+            stepWorld(world);
+        }
+        assert.ok(world.player.x > 600);
+        assert.ok(!world.events.some(e => e.type === 'nearMiss'));
+    });
+
+    it('predicts a soft landing', () => {
+        const world = touchdown(0, 0);
+        world.player.x += 5; // Gravity is strong; any further out and the ship arrives too fast
+        const prediction = predictTrajectory(world, { dx: -1, dy: 0 }, 240);
+        assert.equal(prediction.end, 'landed');
+    });
+
+    function getDistanceToCentre(world) {
+        return Math.hypot(world.player.x - world.planets[0].x, world.player.y - world.planets[0].y);
+    }
+});
+
+describe('skill scoring', () => {
+    it('multiplies each award by the combo and raises it up to the cap', () => {
+        const world = emptyWorld();
+        assert.deepEqual(awardSkillPoints(world, 'stars', 100), { points: 100, multiplier: 1 });
+        assert.deepEqual(awardSkillPoints(world, 'nearMiss', 100), { points: 150, multiplier: 1 + COMBO_STEP });
+        for (let i = 0; i < 20; i++) {
+            awardSkillPoints(world, 'stars', 0);
+        }
+        assert.equal(world.combo.multiplier, COMBO_MAX);
+        assert.equal(world.score, 250);
+    });
+
+    it('holds the combo for a while, then lets it drain back to 1', () => {
+        const world = emptyWorld();
+        world.player.x = -1000; // Out of everything's way; the ship is not moving
+        awardSkillPoints(world, 'stars', 0);
+        for (let i = 0; i < COMBO_HOLD_TICKS; i++) {
+            stepWorld(world);
+        }
+        assert.equal(world.combo.multiplier, 1 + COMBO_STEP);
+
+        stepWorld(world);
+        assert.ok(world.combo.multiplier < 1 + COMBO_STEP);
+        for (let i = 0; i < 100; i++) {
+            stepWorld(world);
+        }
+        assert.equal(world.combo.multiplier, 1);
+    });
+
+    it('scores near misses by how close they were', () => {
+        const world = emptyWorld();
+        world.player.isMoving = true;
+        world.planets = [{ x: 500, y: 500, radius: 40, dx: 0, dy: 0 }];
+        world.player.y = 500;
+        for (const gap of [0, NEAR_MISS_DISTANCE + 1]) {
+            world.player.x = 500 + 40 + world.player.radius + gap;
+            checkNearMisses(world);
+        }
+        assert.equal(world.events[0].points, NEAR_MISS_SCORE);
+        assert.equal(world.scoreBreakdown.nearMiss, NEAR_MISS_SCORE);
+    });
+
+    describe('slingshots', () => {
+        // Ship moving past one still planet; velocity is set by each test
+        function pass() {
+            const world = emptyWorld();
+            world.player.isMoving = true;
+            world.planets = [{ x: 500, y: 500, radius: 40, dx: 0, dy: 0 }];
+            const placeShip = (gap, dx, dy) => {
+                Object.assign(world.player, { x: 500, y: 500 - 40 - world.player.radius - gap, dx, dy });
+                checkSlingshots(world);
+            };
+            return { world, placeShip };
+        }
+
+        it('scores the speed gained across a pass', () => {
+            const { world, placeShip } = pass();
+            placeShip(SLINGSHOT_RANGE - 1, 4, 0);
+            placeShip(10, 4, 4);
+            assert.deepEqual(world.events, []);
+            placeShip(SLINGSHOT_RANGE + 1, -6, -8);
+
+            assert.equal(world.events.length, 1);
+            assert.equal(world.events[0].type, 'slingshot');
+            assert.ok(Math.abs(world.events[0].speedGain - 6) < 1e-9);
+            assert.equal(world.scoreBreakdown.slingshot, SLINGSHOT_SCORE_PER_SPEED_GAIN * 6);
+        });
+
+        it('ignores passes that bend the path without speeding the ship up', () => {
+            const { world, placeShip } = pass();
+            placeShip(SLINGSHOT_RANGE - 1, 4, 0);
+            placeShip(SLINGSHOT_RANGE + 1, 0, -4);
+            assert.deepEqual(world.events, []);
+        });
+
+        it('ignores passes that gain too little or lose speed', () => {
+            const { world, placeShip } = pass();
+            placeShip(SLINGSHOT_RANGE - 1, 4, 0);
+            placeShip(SLINGSHOT_RANGE + 1, 4 + SLINGSHOT_MIN_SPEED_GAIN - 0.5, 0);
+            placeShip(SLINGSHOT_RANGE - 1, 8, 0);
+            placeShip(SLINGSHOT_RANGE + 1, 1, 0);
+            assert.deepEqual(world.events, []);
+        });
+
+        it('does not count speed gained from thrust', () => {
+            const { world, placeShip } = pass();
+            placeShip(SLINGSHOT_RANGE - 1, 4, 0);
+            world.player.thrustImpulse = { dx: 0, dy: 6 };
+            placeShip(SLINGSHOT_RANGE + 1, 4, 6);
+            assert.deepEqual(world.events, []);
+        });
+
+        it('does not count taking off from the planet', () => {
+            const { world, placeShip } = pass();
+            world.player.isMoving = false;
+            placeShip(0, 0, 0);
+            launchPlayer(world, -Math.PI / 2, 10);
+            placeShip(SLINGSHOT_RANGE + 1, 0, -10);
+            assert.deepEqual(world.events, []);
+        });
+    });
+
+    it('breaks the level score down by source', () => {
+        const world = emptyWorld();
+        awardSkillPoints(world, 'slingshot', 200);
+        awardSkillPoints(world, 'stars', 100);
+        assert.deepEqual(Object.keys(world.scoreBreakdown), SCORE_SOURCES);
+        const total = SCORE_SOURCES.reduce((sum, source) => sum + world.scoreBreakdown[source], 0);
+        assert.equal(total, world.score);
+    });
+});
+
+describe('world size', () => {
+    it('makes generated levels bigger than the screen, up to a limit', () => {
+        assert.equal(getGeneratedWorldScreens(1), WORLD_BASE_SCREENS);
+        assert.ok(getGeneratedWorldScreens(3) > WORLD_BASE_SCREENS);
+        assert.equal(getGeneratedWorldScreens(100), WORLD_MAX_SCREENS);
+    });
+
+    it('covers the whole playfield with the spatial grid and keeps authored levels to one screen', () => {
+        const world = emptyWorld();
+        setupLevel(world);
+        assert.equal(world.width, 1920 * WORLD_BASE_SCREENS);
+        assert.equal(world.spatialGrid.width, world.width);
+        assert.equal(world.spatialGrid.height, world.height);
+
+        world.customLevel = makeLevel();
+        setupLevel(world);
+        assert.equal(world.width, 1920);
+        assert.equal(world.height, BASE_HEIGHT);
+    });
+});
+
+describe('orbits', () => {
+    // Distance from each orbiting planet to what it circles, and to its binary partner
+    function assertSystemsClear(world) {
+        world.planets.forEach(planet => {
+            if (!planet.orbit) return;
+            const centre = getOrbitCentre(world.planets, planet.orbit);
+            if (planet.orbit.parent !== null) {
+                assert.ok(Math.hypot(planet.x - centre.x, planet.y - centre.y) > planet.radius + centre.radius);
+            }
+        });
+        world.planets.forEach((a, i) => world.planets.slice(i + 1).forEach(b => {
+            if (a.orbit && b.orbit && a.orbit.parent === null && a.orbit.cx === b.orbit.cx && a.orbit.cy === b.orbit.cy) {
+                assert.ok(!areColliding(a, b));
+            }
+        }));
+    }
+
+    function orbitLevel(planets, overrides = {}) {
+        return makeLevel({ planets, ...overrides });
+    }
+
+    it('carries a moon round its planet, following the planet as it drifts', () => {
+        const level = orbitLevel([
+            { x: 0.5, y: 0.5, radius: 40, dx: 1, dy: 0 },
+            { x: 0, y: 0, radius: 10, orbit: { parent: 0, a: 120, b: 80, period: 360 } }
+        ]);
+        const world = emptyWorld({ campaignLevels: [level] });
+        setupLevel(world);
+        const [planet, moon] = world.planets;
+        assert.deepEqual({ x: moon.x, y: moon.y }, { x: planet.x + 120, y: planet.y });
+
+        for (let i = 0; i < 90; i++) {
+            stepWorld(world);
+        }
+        // A quarter turn on, out along the minor axis of the planet's new position
+        assert.ok(Math.abs(moon.x - planet.x) < 1e-6);
+        assert.ok(Math.abs(moon.y - planet.y - 80) < 1e-6);
+        // Its velocity is the orbit's plus the planet's
+        assert.ok(Math.abs(moon.dx - (1 - 120 * Math.PI * 2 / 360)) < 0.05);
+    });
+
+    it('keeps the two halves of a binary on opposite sides of their barycentre', () => {
+        const level = orbitLevel([
+            { x: 0.5, y: 0.5, radius: 40, orbit: { a: 60, period: 300 } },
+            { x: 0.5, y: 0.5, radius: 20, orbit: { a: 120, phase: Math.PI, period: 300 } }
+        ]);
+        const world = emptyWorld({ campaignLevels: [level] });
+        setupLevel(world);
+        for (let i = 0; i < 200; i++) {
+            stepWorld(world);
+            const [heavy, light] = world.planets;
+            assert.ok(Math.abs((heavy.x * 40 + light.x * 20) / 60 - 960) < 1e-6);
+            assert.ok(Math.abs((heavy.y * 40 + light.y * 20) / 60 - BASE_HEIGHT / 2) < 1e-6);
+        }
+    });
+
+    it('generates planets with moons and binaries that never run into each other', () => {
+        for (const seed of ['A', 'B', 'C']) {
+            const world = emptyWorld({ seed, startLevel: 4 });
+            setupLevel(world);
+            assert.equal(world.planets.length, 1 + BASE_PLANET_COUNT + 3 * PLANET_COUNT_PER_LEVEL);
+            assert.ok(world.planets.some(planet => planet.orbit));
+            world.planets.forEach((planet, index) => {
+                if (planet.orbit && planet.orbit.parent !== null) {
+                    assert.ok(planet.orbit.parent < index);
+                }
+            });
+            for (let i = 0; i < 600; i++) {
+                stepWorld(world);
+                assertSystemsClear(world);
+            }
+        }
+    });
+
+    it('reads orbits from levels, rejecting parents that don\'t come first', () => {
+        const level = orbitLevel([{ x: 0.5, y: 0.5, radius: 40 }, { x: 0, y: 0, radius: 10, orbit: { parent: 0, a: 100 } }]);
+        assert.deepEqual(level.planets[1].orbit, { parent: 0, a: 100, b: 100, tilt: 0, phase: 0, period: 600 });
+        assert.equal(level.planets[0].orbit, undefined);
+        assert.throws(() => orbitLevel([{ x: 0.5, y: 0.5, radius: 10, orbit: { parent: 0, a: 100 } }]), /planet 0 has a malformed orbit/);
+        assert.throws(() => orbitLevel([{ x: 0.5, y: 0.5, radius: 10, orbit: { a: 100, period: 0 } }]), /malformed orbit/);
+    });
+
+    it('lets a drifting planet fly off instead of bouncing off the walls', () => {
+        const level = orbitLevel([{ x: 0.99, y: 0.5, radius: 10, dx: 5, dy: 0 }], { version: 6 });
+        assert.equal(level.planets[0].dx, 5); // Older levels keep their drift
+        const world = emptyWorld({ campaignLevels: [level] });
+        setupLevel(world);
+        for (let i = 0; i < 60; i++) {
+            stepWorld(world);
+        }
+        assert.ok(world.planets[0].x > world.width);
+        assert.equal(world.planets[0].dx, 5);
+    });
+
+    it('lets free planets pull each other only on n-body levels', () => {
+        const planets = [{ x: 0.25, y: 0.5, radius: 40 }, { x: 0.75, y: 0.5, radius: 40 }];
+        for (const nBody of [false, true]) {
+            const world = emptyWorld({ campaignLevels: [orbitLevel(planets, { nBody })] });
+            setupLevel(world);
+            stepWorld(world);
+            assert.equal(world.planets[0].dx > 0, nBody);
+            assert.equal(world.planets[1].dx < 0, nBody);
+        }
+    });
+
+    it('predicts against moving copies, leaving the real orbits alone', () => {
+        const level = orbitLevel([
+            { x: 0.5, y: 0.8, radius: 40 },
+            { x: 0, y: 0, radius: 10, orbit: { parent: 0, a: 150, period: 200 } }
+        ]);
+        const world = emptyWorld({ campaignLevels: [level] });
+        setupLevel(world);
+        const moon = { ...world.planets[1] };
+        predictTrajectory(world, { dx: 0, dy: 0 }, 100);
+        assert.deepEqual(world.planets[1], moon);
+    });
+});
+
+describe('comet waves', () => {
+    // A generated comet level with the planets cleared away and the ship out of reach
+    function cometWorld(seed = 'TEST') {
+        const world = emptyWorld({ seed, startLevel: COMET_START_LEVEL });
+        setupLevel(world);
+        world.planets = [];
+        world.player.radius = 0;
+        return world;
+    }
+
+    function runTicks(world, ticks) {
+        const events = [];
+        for (let i = 0; i < ticks; i++) {
+            events.push(...stepWorld(world));
+        }
+        return events;
+    }
+
+    it('stay away before their level and on authored levels', () => {
+        const world = emptyWorld({ startLevel: COMET_START_LEVEL - 1 });
+        setupLevel(world);
+        assert.equal(world.cometWaves, null);
+
+        world.customLevel = makeLevel();
+        world.currentLevel = COMET_START_LEVEL;
+        setupLevel(world);
+        assert.equal(world.cometWaves, null);
+    });
+
+    it('flag each comet of a wave before it arrives, one after another', () => {
+        const world = cometWorld();
+        assert.deepEqual(world.comets, []);
+        const events = runTicks(world, COMET_FIRST_WAVE_TICKS + 1);
+        assert.deepEqual(events.filter(e => e.type === 'cometWave'), [{ type: 'cometWave', count: 1 }]);
+        assert.equal(world.incomingComets.length, 1);
+        assert.deepEqual(world.comets, []);
+
+        const [incoming] = world.incomingComets;
+        runTicks(world, incoming.arrivalTick - world.tick + 1);
+        assert.equal(world.incomingComets.length, 0);
+        assert.equal(world.comets.length, 1);
+        assert.equal(incoming.arrivalTick - COMET_WARNING_TICKS, COMET_FIRST_WAVE_TICKS);
+
+        // Later comets of a bigger wave come in staggered
+        world.cometWaves.nextWaveTick = world.tick;
+        world.cometWaves.startTick = world.tick - 60 * 60 * 10;
+        stepWorld(world);
+        const arrivals = world.incomingComets.map(comet => comet.arrivalTick).sort((a, b) => a - b);
+        assert.ok(arrivals.length > 1);
+        assert.equal(arrivals[1] - arrivals[0], COMET_STAGGER_TICKS);
+    });
+
+    it('come more often on later levels and in bigger waves the longer a level goes on', () => {
+        assert.ok(getCometWaveInterval(COMET_START_LEVEL + 3) < getCometWaveInterval(COMET_START_LEVEL));
+        assert.equal(getCometWaveInterval(100), getCometWaveInterval(101));
+        assert.equal(getCometWaveSize(COMET_START_LEVEL, 0), 1);
+        assert.ok(getCometWaveSize(COMET_START_LEVEL + 4, 0) > 1);
+        assert.ok(getCometWaveSize(COMET_START_LEVEL, 60 * 60 * 2) > 1);
+        assert.equal(getCometWaveSize(100, 60 * 60 * 60), COMET_MAX_WAVE_SIZE);
+    });
+
+    it('send the same waves for the same seed', () => {
+        const first = cometWorld('WAVES');
+        const second = cometWorld('WAVES');
+        runTicks(first, 2000);
+        runTicks(second, 2000);
+        assert.deepEqual(second.comets, first.comets);
+        assert.deepEqual(second.incomingComets, first.incomingComets);
+    });
+
+    it('bend round planets and burn up in them', () => {
+        const world = emptyWorld();
+        world.player.radius = 0;
+        world.planets = [{ x: 1000, y: 500, radius: 40, dx: 0, dy: 0 }];
+        world.comets = [{ x: 600, y: 400, dx: 2, dy: 0, radius: 15, age: 0 }];
+        stepWorld(world);
+        assert.ok(world.comets[0].dy > 0);
+
+        world.comets = [{ x: 1000, y: 450, dx: 0, dy: 2, radius: 15, age: 0 }];
+        const events = stepWorld(world);
+        assert.deepEqual(world.comets, []);
+        assert.equal(events.filter(e => e.type === 'cometImpact').length, 1);
+    });
+});
+
+describe('difficulty tuning', () => {
+    function tunedWorld(outcomes, fixed = false) {
+        const world = emptyWorld({ startLevel: 4 });
+        world.difficulty = createDifficultyState(fixed, outcomes);
+        setupLevel(world);
+        return world;
+    }
+
+    it('gives generated levels fewer planets when struggling and more when cruising', () => {
+        const standard = tunedWorld([-1, -1], true).planets.length;
+        assert.equal(standard, 1 + BASE_PLANET_COUNT + 3 * PLANET_COUNT_PER_LEVEL);
+        assert.ok(tunedWorld([-1, -1]).planets.length < standard);
+        assert.ok(tunedWorld([1, 1]).planets.length > standard);
+    });
+
+    it('records a crash and a cleared level against the run\'s difficulty', () => {
+        const world = emptyWorld();
+        world.difficulty = createDifficultyState();
+        setupLevel(world);
+        world.score = 1000;
+        stepWorld(world);
+        assert.equal(world.difficulty.outcomes.length, 1);
+
+        Object.assign(world.player, { isMoving: true, dx: 10, dy: 0 });
+        world.planets = [{ x: world.player.x + 40, y: world.player.y, radius: 30, dx: 0, dy: 0 }];
+        stepWorld(world);
+        assert.deepEqual(world.difficulty.outcomes.slice(1), [-1]);
+    });
+});
+
+describe('level score thresholds', () => {
+    it('grows by 1.5x per generated level', () => {
+        assert.equal(getLevelScoreThreshold(1), 1000);
+        assert.equal(getLevelScoreThreshold(2), 1500);
+        assert.equal(getLevelScoreThreshold(3), 2250);
+    });
+
+    it('completes a generated level exactly at its cumulative threshold', () => {
+        const world = emptyWorld();
+        setupLevel(world);
+
+        world.score = 999;
+        assert.equal(checkLevelCompletion(world), false);
+        assert.equal(world.currentLevel, 1);
+        assert.deepEqual(world.events, []);
+
+        world.score = 1000;
+        assert.equal(checkLevelCompletion(world), true);
+        assert.equal(world.currentLevel, 2);
+        assert.deepEqual(world.events, [{ type: 'levelComplete', level: 1, rating: null }]);
+
+        // Level 2 asks for its threshold in total, not on top of level 1's
+        world.events = [];
+        setupLevel(world);
+        world.score = 1499;
+        assert.equal(checkLevelCompletion(world), false);
+        world.score = 1500;
+        assert.equal(checkLevelCompletion(world), true);
+    });
+
+    it('counts generated thresholds from the score the campaign ended on', () => {
+        const campaignLevels = [makeLevel(), makeLevel()];
+        const world = emptyWorld({ startLevel: 3, campaignLevels });
+        world.score = 700;
+        setupLevel(world);
+
+        assert.equal(world.levelDefinition, null);
+        assert.equal(world.proceduralScoreBase, 700);
+        world.score = 1699;
+        assert.equal(checkLevelCompletion(world), false);
+        world.score = 1700;
+        assert.equal(checkLevelCompletion(world), true);
+    });
+
+    it('uses an authored level\'s goal score on top of the score it started with', () => {
+        const world = emptyWorld({ campaignLevels: [makeLevel()] });
+        world.score = 200;
+        setupLevel(world);
+
+        world.score = 699;
+        assert.equal(checkLevelCompletion(world), false);
+        world.score = 750;
+        assert.equal(checkLevelCompletion(world), true);
+        assert.deepEqual(world.events, [{ type: 'levelComplete', level: 1, rating: 1 }]);
+    });
+
+    it('waits for every star when the level asks for them', () => {
+        const level = makeLevel({ stars: [{ x: 0.1, y: 0.1 }], goals: { score: 0, collectAllStars: true } });
+        const world = emptyWorld({ campaignLevels: [level] });
+        setupLevel(world);
+
+        assert.equal(checkLevelCompletion(world), false);
+        world.collectableStars = [];
+        assert.equal(checkLevelCompletion(world), true);
+    });
+});
@@ -0,0 +1,153 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_STATES, GameStateMachine } = require('../state-machine.js');
+
+// Machine whose handlers just log what was called
+class RecordingStateMachine extends GameStateMachine {
+    defineStateHandlers() {
+        this.calls = [];
+        const handlers = {};
+        for (const state of Object.values(GAME_STATES)) {
+            handlers[state] = {
+                enter: () => this.calls.push(`enter ${state}`),
+                exit: () => this.calls.push(`exit ${state}`),
+                update: () => this.calls.push(`update ${state}`)
+            };
+        }
+        return handlers;
+    }
+}
+
+// Put a fresh machine into a state without going through the table
+function machineIn(state) {
+    const machine = new RecordingStateMachine();
+    machine.currentState = state;
+    return machine;
+}
+
+describe('GameStateMachine', () => {
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+    });
+
+    it('starts in LOADING and can only go to START from there', () => {
+        const machine = new RecordingStateMachine();
+        assert.equal(machine.getCurrentState(), GAME_STATES.LOADING);
+        assert.deepEqual(Object.keys(machine.transitions[GAME_STATES.LOADING]), [GAME_STATES.START]);
+    });
+
+    it('has a table entry for every state and only targets known states', () => {
+        const machine = new RecordingStateMachine();
+        const states = Object.values(GAME_STATES);
+        for (const state of states) {
+            assert.ok(machine.transitions[state], `${state} has no transitions`);
+            for (const target of Object.keys(machine.transitions[state])) {
+                assert.ok(states.includes(target), `${state} -> unknown state ${target}`);
+            }
+        }
+    });
+
+    it('allows every transition in the table and rejects every other one', () => {
+        const states = Object.values(GAME_STATES);
+        for (const from of states) {
+            for (const to of states) {
+                const machine = machineIn(from);
+                const allowed = Boolean(machine.transitions[from][to]);
+                assert.equal(machine.canTransition(to), allowed, `${from} -> ${to}`);
+                assert.equal(machine.transition(to), allowed, `${from} -> ${to}`);
+                assert.equal(machine.getCurrentState(), allowed ? to : from);
+            }
+        }
+    });
+
+    it('keeps the core game loop reachable', () => {
+        const route = [
+            GAME_STATES.START,
+            GAME_STATES.PLAYING,
+            GAME_STATES.PAUSED,
+            GAME_STATES.PLAYING,
+            GAME_STATES.LEVEL_TRANSITION,
+            GAME_STATES.PLAYING,
+            GAME_STATES.GAME_OVER,
+            GAME_STATES.REPLAY,
+            GAME_STATES.START
+        ];
+        const machine = new RecordingStateMachine();
+        for (const state of route) {
+            assert.ok(machine.transition(state), `could not reach ${state} from ${machine.currentState}`);
+        }
+    });
+
+    it('opens settings from the start screen and the pause menu and goes back', () => {
+        for (const origin of [GAME_STATES.START, GAME_STATES.PAUSED]) {
+            const machine = machineIn(origin);
+            assert.ok(machine.transition(GAME_STATES.SETTINGS));
+            assert.equal(machine.previousState, origin);
+            assert.ok(machine.transition(origin));
+        }
+        assert.equal(machineIn(GAME_STATES.PLAYING).canTransition(GAME_STATES.SETTINGS), false);
+    });
+
+    it('runs exit then enter and remembers the previous state', () => {
+        const machine = machineIn(GAME_STATES.START);
+        machine.transition(GAME_STATES.PLAYING);
+        assert.deepEqual(machine.calls, [`exit ${GAME_STATES.START}`, `enter ${GAME_STATES.PLAYING}`]);
+        assert.equal(machine.previousState, GAME_STATES.START);
+        assert.ok(machine.isInState(GAME_STATES.PLAYING));
+    });
+
+    it('leaves state and handlers untouched on an invalid transition', () => {
+        const machine = machineIn(GAME_STATES.REPLAY);
+        machine.stateData = { kept: true };
+
+        assert.equal(machine.transition(GAME_STATES.PLAYING, { replaced: true }), false);
+        assert.equal(machine.getCurrentState(), GAME_STATES.REPLAY);
+        assert.equal(machine.previousState, null);
+        assert.deepEqual(machine.getStateData(), { kept: true });
+        assert.deepEqual(machine.calls, []);
+        assert.equal(console.warn.mock.callCount(), 1);
+    });
+
+    it('rejects unknown states', () => {
+        const machine = machineIn(GAME_STATES.START);
+        assert.equal(machine.transition('NOWHERE'), false);
+        assert.equal(machine.getCurrentState(), GAME_STATES.START);
+    });
+
+    it('merges transition data into the state data', () => {
+        const machine = machineIn(GAME_STATES.PLAYING);
+        machine.stateData = { playStartTime: 1 };
+        machine.transition(GAME_STATES.LEVEL_TRANSITION, { completedRating: 3 });
+        assert.deepEqual(machine.getStateData(), { playStartTime: 1, completedRating: 3 });
+    });
+
+    it('only updates the current state', () => {
+        const machine = machineIn(GAME_STATES.PAUSED);
+        machine.update();
+        assert.deepEqual(machine.calls, [`update ${GAME_STATES.PAUSED}`]);
+    });
+
+    it('offers actions to the current state only and reports whether it used them', () => {
+        const machine = new GameStateMachine();
+        const offered = [];
+        machine.stateHandlers = {
+            [GAME_STATES.PLAYING]: { onAction: (action) => { offered.push(action.name); return action.name === 'pause'; } }
+        };
+        machine.currentState = GAME_STATES.PLAYING;
+        assert.equal(machine.handleAction({ name: 'pause', phase: 'pressed' }), true);
+        assert.equal(machine.handleAction({ name: 'back', phase: 'pressed' }), false);
+        assert.deepEqual(offered, ['pause', 'back']);
+
+        machine.currentState = GAME_STATES.START;
+        assert.equal(machine.handleAction({ name: 'pause', phase: 'pressed' }), false);
+    });
+
+    it('tolerates states without handlers', () => {
+        const machine = new GameStateMachine();
+        assert.ok(machine.transition(GAME_STATES.START));
+        machine.update();
+        machine.render();
+        assert.ok(machine.isInState(GAME_STATES.START));
+    });
+});